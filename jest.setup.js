@@ -1,6 +1,12 @@
 // Polyfill for structuredClone
 require('core-js/stable/structured-clone');
 
+// jsdom has no WebCrypto subtle / TextEncoder; use Node's
+const { webcrypto } = require('crypto');
+const { TextEncoder, TextDecoder } = require('util');
+if (!globalThis.crypto.subtle) Object.defineProperty(globalThis.crypto, 'subtle', { value: webcrypto.subtle });
+if (typeof globalThis.TextEncoder === 'undefined') Object.assign(globalThis, { TextEncoder, TextDecoder });
+
 // Mock window.confirm and window.alert to avoid blocking tests
 global.confirm = jest.fn(() => true);
 global.alert = jest.fn();
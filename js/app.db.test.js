@@ -12,25 +12,79 @@ const {
   updateRecentOrderForNewTask,
   updateRecentOrderForPinToggle,
   seedPinnedDefaults,
-  deleteActivityByEnd,
-  getActivityByEnd,
+  deleteActivityById,
+  getActivityById,
+  putActivity,
+  createHistory,
+  pushHistory,
+  trackChanges,
+  undoHistory,
+  redoHistory,
+  buildBackup,
+  restoreBackup,
+  importActivities,
+  applyActivityPlan,
+  planHistoryChanges,
+  getTaskTagsMap,
+  getTagCatalog,
+  setTaskTags,
+  addCatalogTags,
+  setTagBilling,
+  deleteTag,
+  normalizeSyncState,
+  saveSyncState,
+  captureSyncChanges,
+  syncOnce,
+  SYNC_KEY,
+  setAtRestKeys,
+  isSealed,
+  LOCK_KEY,
+  loadLockMeta,
+  createLock,
+  unlockKeys,
+  reencryptStores,
+  resetLockedData,
+  loadViews,
+  saveViews,
+  VIEWS_KEY,
   STORES,
+  SETTINGS_KEY,
   SEEDED_FLAG
 } = require('./app.js');
 const FDBFactory = require('fake-indexeddb/lib/FDBFactory');
 
+// Local time in January 2025 as an ISO string (2025-01-06 is a Monday)
+const at = (day, h = 0, m = 0) => new Date(2025, 0, day, h, m).toISOString();
+
 // Reset the database before each test
 beforeEach(() => {
   global.indexedDB = new FDBFactory();
   localStorage.clear();
 });
 
+// Create the DB with the version 1 schema: rows keyed by endTime, tags on recentInputs
+const openV1 = (records, activities = []) => new Promise((resolve, reject) => {
+  const req = indexedDB.open('doneTimeDB', 1);
+  req.onupgradeneeded = () => {
+    const db = req.result;
+    const acts = db.createObjectStore('activities', { keyPath: 'endTime' });
+    acts.createIndex('by_endTime', 'endTime', { unique: true });
+    activities.forEach(a => acts.put(a));
+    const recent = db.createObjectStore('recentInputs', { keyPath: 'text' });
+    records.forEach(r => recent.put(r));
+  };
+  req.onsuccess = () => { req.result.close(); resolve(); };
+  req.onerror = () => reject(req.error);
+});
+
 describe('IndexedDB Data Layer', () => {
 
   test('openDB should create object stores on upgrade', async () => {
     const db = await openDB();
     expect(db.objectStoreNames.contains(STORES.activities)).toBe(true);
     expect(db.objectStoreNames.contains(STORES.recent)).toBe(true);
+    expect(db.objectStoreNames.contains(STORES.tags)).toBe(true);
+    expect(db.objectStoreNames.contains(STORES.taskTags)).toBe(true);
     db.close();
   });
 
@@ -43,10 +97,10 @@ describe('IndexedDB Data Layer', () => {
     });
 
     const result = await withStore(db, STORES.activities, 'readonly', (store) => {
-      return store.get(activity.endTime);
+      return store.getAll();
     });
 
-    expect(result).toEqual(activity);
+    expect(result).toEqual([{ ...activity, id: 1 }]);
     db.close();
   });
 
@@ -61,7 +115,7 @@ describe('IndexedDB Data Layer', () => {
     });
 
     const last = await getLastActivity(db);
-    expect(last).toEqual(activity2);
+    expect(last).toEqual({ ...activity2, id: 2 });
     db.close();
   });
 
@@ -144,12 +198,11 @@ describe('IndexedDB Data Layer', () => {
 
   test('updateRecentOrderForNewTask should correctly reorder items', async () => {
     const db = await openDB();
-    const recentTagsMap = new Map();
     await upsertRecent(db, 'Pinned', { pinned: true, order: 0 });
     await upsertRecent(db, 'Unpinned 1', { pinned: false, order: 1 });
 
     // Test adding a new unpinned task
-    await updateRecentOrderForNewTask(db, 'New Task', recentTagsMap);
+    await updateRecentOrderForNewTask(db, 'New Task');
     let recents = await getRecentAll(db);
     let sorted = recents.sort((a,b) => a.order - b.order);
 
@@ -159,7 +212,7 @@ describe('IndexedDB Data Layer', () => {
     expect(sorted[2].text).toBe('Unpinned 1');
 
     // Test updating an existing pinned task (should not change order)
-    await updateRecentOrderForNewTask(db, 'Pinned', recentTagsMap);
+    await updateRecentOrderForNewTask(db, 'Pinned');
     recents = await getRecentAll(db);
     sorted = recents.sort((a,b) => a.order - b.order);
     expect(sorted[0].text).toBe('Pinned');
@@ -214,25 +267,588 @@ describe('IndexedDB Data Layer', () => {
     db.close();
   });
 
-  test('deleteActivityByEnd and getActivityByEnd should work correctly', async () => {
+  test('deleteActivityById and getActivityById should work correctly', async () => {
       const db = await openDB();
       const endTime = '2025-01-01T01:00:00.000Z';
-      const activity = { task: 'Test', startTime: '2025-01-01T00:00:00.000Z', endTime };
-
-      await withStore(db, STORES.activities, 'readwrite', (store) => store.put(activity));
+      const activity = await putActivity(db, { task: 'Test', startTime: '2025-01-01T00:00:00.000Z', endTime });
+      expect(activity.id).toBe(1);
 
-      let fetched = await getActivityByEnd(db, endTime);
+      let fetched = await getActivityById(db, activity.id);
       expect(fetched).toEqual(activity);
 
-      let deleted = await deleteActivityByEnd(db, endTime);
+      let deleted = await deleteActivityById(db, activity.id);
       expect(deleted).toBe(true);
 
-      fetched = await getActivityByEnd(db, endTime);
+      fetched = await getActivityById(db, activity.id);
       expect(fetched).toBeUndefined(); // .get() returns undefined for no match
 
-      deleted = await deleteActivityByEnd(db, null);
+      deleted = await deleteActivityById(db, null);
       expect(deleted).toBe(false);
 
       db.close();
   });
+
+  test('rows with the same endTime should coexist and keep their id when edited', async () => {
+      const db = await openDB();
+      const endTime = '2025-01-01T01:00:00.000Z';
+      const a = await putActivity(db, { task: 'A', startTime: '2025-01-01T00:00:00.000Z', endTime });
+      const b = await putActivity(db, { task: 'B', startTime: '2025-01-01T00:30:00.000Z', endTime });
+      await putActivity(db, { ...a, endTime: '2025-01-01T02:00:00.000Z' });
+
+      const all = await getAllActivities(db);
+      expect(all.map(r => [r.id, r.task, r.endTime])).toEqual([
+        [a.id, 'A', '2025-01-01T02:00:00.000Z'],
+        [b.id, 'B', endTime],
+      ]);
+      db.close();
+  });
+});
+
+describe('Backup and restore', () => {
+  const a1 = { task: 'A', startTime: '2025-01-01T00:00:00.000Z', endTime: '2025-01-01T01:00:00.000Z' };
+  const a2 = { task: 'B', startTime: '2025-01-01T01:00:00.000Z', endTime: '2025-01-01T02:00:00.000Z' };
+
+  test('buildBackup should include every store, settings and the seeded flag', async () => {
+    const db = await openDB();
+    await withStore(db, STORES.activities, 'readwrite', (store) => store.put(a1));
+    await upsertRecent(db, 'A', { pinned: true, tags: ['projA'], order: 0 });
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify({ ticketUrlTemplate: 'https://t/{id}' }));
+    localStorage.setItem(SEEDED_FLAG, '1');
+
+    const backup = await buildBackup(db);
+    expect(backup.version).toBe(1);
+    expect(backup.stores[STORES.activities]).toEqual([{ ...a1, id: 1 }]);
+    expect(backup.stores[STORES.recent][0].tags).toEqual(['projA']);
+    expect(backup.settings.ticketRules[0].urlTemplate).toBe('https://t/{id}');
+    expect(backup.seeded).toBe('1');
+    db.close();
+  });
+
+  test('restoreBackup replace should wipe current data', async () => {
+    const db = await openDB();
+    await withStore(db, STORES.activities, 'readwrite', (store) => store.put(a2));
+    await upsertRecent(db, 'B');
+    const backup = { stores: { [STORES.activities]: [a1], [STORES.recent]: [] }, settings: { ticketUrlTemplate: 'x/{id}' }, seeded: null };
+
+    await restoreBackup(db, backup, { mode: 'replace' });
+
+    expect(await getAllActivities(db)).toEqual([{ ...a1, id: 2 }]);
+    expect(await getRecentAll(db)).toHaveLength(0);
+    expect(JSON.parse(localStorage.getItem(SETTINGS_KEY)).ticketRules[0].urlTemplate).toBe('x/{id}');
+    db.close();
+  });
+
+  test('restoreBackup merge should keep current rows unless preferIncoming', async () => {
+    const db = await openDB();
+    await withStore(db, STORES.activities, 'readwrite', (store) => store.put(a1));
+    const changed = { ...a1, task: 'A (backup)' };
+    const backup = { stores: { [STORES.activities]: [changed, a2] } };
+
+    await restoreBackup(db, backup, { mode: 'merge' });
+    let all = await getAllActivities(db);
+    expect(all.map(a => a.task)).toEqual(['A', 'B']);
+
+    await restoreBackup(db, backup, { mode: 'merge', preferIncoming: true });
+    all = await getAllActivities(db);
+    expect(all.map(a => a.task)).toEqual(['A (backup)', 'B']);
+    db.close();
+  });
+});
+
+describe('CSV import', () => {
+  test('importActivities should write valid rows and honour overwrite', async () => {
+    const db = await openDB();
+    const existing = { task: 'old', startTime: '2025-01-01T00:00:00.000Z', endTime: '2025-01-01T01:00:00.456Z' };
+    await withStore(db, STORES.activities, 'readwrite', (store) => store.put(existing));
+    const preview = [
+      { task: 'new', startTime: '2025-01-01T01:00:00.000Z', endTime: '2025-01-01T02:00:00.000Z', errors: [], existing: false },
+      { task: 'fixed', startTime: '2025-01-01T00:00:00.000Z', endTime: '2025-01-01T01:00:00.000Z', errors: [], existing: true },
+      { task: '', startTime: '', endTime: '', errors: ['作業内容が空です'], existing: false },
+    ];
+
+    expect(await importActivities(db, preview)).toBe(1);
+    expect((await getAllActivities(db)).map(a => a.task)).toEqual(['old', 'new']);
+
+    expect(await importActivities(db, preview, { overwrite: true })).toBe(2);
+    expect((await getAllActivities(db)).map(a => a.task)).toEqual(['fixed', 'new']);
+    db.close();
+  });
+});
+
+describe('applyActivityPlan', () => {
+  test('should remove and upsert rows in one transaction', async () => {
+    const db = await openDB();
+    const a = await putActivity(db, { task: 'A', startTime: '2025-01-01T00:00:00.000Z', endTime: '2025-01-01T02:00:00.000Z' });
+    await applyActivityPlan(db, {
+      remove: [a],
+      upsert: [
+        { ...a, endTime: '2025-01-01T01:00:00.000Z' },
+        { task: 'B', startTime: '2025-01-01T01:00:00.000Z', endTime: a.endTime },
+      ],
+    });
+    const all = await getAllActivities(db);
+    expect(all.map(r => [r.id, r.task])).toEqual([[a.id, 'A'], [2, 'B']]);
+    db.close();
+  });
+
+  test('should return saved rows that undo as one history entry', async () => {
+    const db = await openDB();
+    const first = await putActivity(db, { task: 'A', startTime: '2025-01-01T00:00:00.000Z', endTime: '2025-01-01T01:00:00.000Z' });
+    const second = await putActivity(db, { task: 'B', startTime: '2025-01-01T01:00:00.000Z', endTime: '2025-01-01T02:00:00.000Z' });
+    const plan = { remove: [first, second], upsert: [{ ...first, endTime: second.endTime }] };
+    const saved = await applyActivityPlan(db, plan);
+    expect(saved).toEqual([{ ...first, endTime: second.endTime }]);
+
+    const h = createHistory();
+    pushHistory(h, { label: 'merge', changes: planHistoryChanges(plan, saved) });
+    await undoHistory(db, h);
+    expect(await getAllActivities(db)).toEqual([first, second]);
+    db.close();
+  });
+});
+
+describe('Tag catalog', () => {
+  test('openDB should migrate tags from recentInputs on upgrade', async () => {
+    await openV1([
+      { text: '開始', pinned: true, tags: ['集計対象外'] },
+      { text: 'Task A', pinned: false, tags: ['projA', 'dev'] },
+      { text: 'Task B', pinned: false },
+    ]);
+    const db = await openDB();
+    const map = await getTaskTagsMap(db);
+    expect(map.get('Task A')).toEqual(['projA', 'dev']);
+    expect(map.get('開始')).toEqual(['集計対象外']);
+    expect(map.has('Task B')).toBe(false);
+    expect((await getTagCatalog(db)).map(t => t.name)).toEqual(['dev', 'projA', '集計対象外']);
+    db.close();
+  });
+
+  test('tags should survive trimming of recent inputs', async () => {
+    const db = await openDB();
+    await upsertRecent(db, 'Old task', { pinned: false, lastUsed: 1 });
+    await setTaskTags(db, 'Old task', ['projA']);
+    for (let i = 0; i < 3; i++) await upsertRecent(db, `New ${i}`, { pinned: false, lastUsed: 10 + i });
+    await trimRecentUnpinned(db, 2);
+    expect((await getRecentAll(db)).some(r => r.text === 'Old task')).toBe(false);
+    expect((await getTaskTagsMap(db)).get('Old task')).toEqual(['projA']);
+    db.close();
+  });
+
+  test('setTagBilling should store billing fields that assigning tags keeps', async () => {
+    const db = await openDB();
+    await setTagBilling(db, 'clientA', { rate: '8000', currency: 'jpy', priority: 1 });
+    await setTaskTags(db, 'A', ['clientA']);
+    await addCatalogTags(db, ['clientA', 'new']);
+    expect(await getTagCatalog(db)).toEqual([
+      { name: 'clientA', rate: 8000, currency: 'JPY', billable: true, priority: 1 },
+      { name: 'new' },
+    ]);
+    await setTagBilling(db, 'clientA', null);
+    expect((await getTagCatalog(db))[0]).toEqual({ name: 'clientA' });
+    db.close();
+  });
+
+  test('deleteTag should remove the tag from catalog, tasks and activity overrides', async () => {
+    const db = await openDB();
+    await setTaskTags(db, 'A', ['x', 'y']);
+    const act = { task: 'B', startTime: '2025-01-01T00:00:00.000Z', endTime: '2025-01-01T01:00:00.000Z', tags: ['x'] };
+    await withStore(db, STORES.activities, 'readwrite', (store) => store.put(act));
+
+    await deleteTag(db, 'x');
+
+    expect((await getTaskTagsMap(db)).get('A')).toEqual(['y']);
+    expect((await getTagCatalog(db)).map(t => t.name)).toEqual(['y']);
+    expect((await getAllActivities(db))[0].tags).toEqual([]);
+    db.close();
+  });
+});
+
+describe('Activity id migration', () => {
+  test('openDB should move version 1 rows to auto-generated ids in endTime order', async () => {
+    await openV1([], [
+      { task: 'B', startTime: '2025-01-01T01:00:00.000Z', endTime: '2025-01-01T02:00:00.000Z' },
+      { task: 'A', startTime: '2025-01-01T00:00:00.000Z', endTime: '2025-01-01T01:00:00.000Z' },
+    ]);
+
+    const db = await openDB();
+    const all = await getAllActivities(db);
+    expect(all.map(r => [r.id, r.task])).toEqual([[1, 'A'], [2, 'B']]);
+    expect((await getLastActivity(db)).task).toBe('B');
+    const next = await putActivity(db, { task: 'C', startTime: all[1].endTime, endTime: all[1].endTime });
+    expect(next.id).toBe(3);
+    db.close();
+  });
+});
+
+describe('Undo / redo', () => {
+  test('should revert and reapply an added, edited and deleted row', async () => {
+    const db = await openDB();
+    const h = createHistory();
+    const added = await putActivity(db, { task: 'A', startTime: '2025-01-01T00:00:00.000Z', endTime: '2025-01-01T01:00:00.000Z' });
+    pushHistory(h, { label: 'add', changes: [{ store: STORES.activities, before: null, after: added }] });
+    const edited = await putActivity(db, { ...added, task: 'A2' });
+    pushHistory(h, { label: 'edit', changes: [{ store: STORES.activities, before: added, after: edited }] });
+    await deleteActivityById(db, added.id);
+    pushHistory(h, { label: 'delete', changes: [{ store: STORES.activities, before: edited, after: null }] });
+
+    const tasks = async () => (await getAllActivities(db)).map(a => a.task);
+    expect((await undoHistory(db, h)).label).toBe('delete');
+    expect(await tasks()).toEqual(['A2']);
+    await undoHistory(db, h);
+    expect(await tasks()).toEqual(['A']);
+    await undoHistory(db, h);
+    expect(await tasks()).toEqual([]);
+    expect(await undoHistory(db, h)).toBeNull();
+
+    await redoHistory(db, h);
+    await redoHistory(db, h);
+    expect(await getAllActivities(db)).toEqual([edited]);
+    db.close();
+  });
+
+  test('trackChanges should capture pin and tag changes across stores', async () => {
+    const db = await openDB();
+    const h = createHistory();
+    await upsertRecent(db, 'A', { pinned: false });
+    pushHistory(h, await trackChanges(db, [STORES.recent, STORES.taskTags, STORES.tags], 'change', async () => {
+      await setPinned(db, 'A', true);
+      await setTaskTags(db, 'A', ['projA']);
+    }));
+
+    await undoHistory(db, h);
+    expect((await getRecentAll(db))[0].pinned).toBe(false);
+    expect((await getTaskTagsMap(db)).has('A')).toBe(false);
+    expect(await getTagCatalog(db)).toEqual([]);
+
+    await redoHistory(db, h);
+    expect((await getRecentAll(db))[0].pinned).toBe(true);
+    expect((await getTaskTagsMap(db)).get('A')).toEqual(['projA']);
+    db.close();
+  });
+});
+
+// In-memory sync endpoint: GET / PUT one document with ETag / If-Match, or offline
+function mockSyncServer() {
+  const server = { body: null, version: 0, offline: false, requests: [], raceOnce: null };
+  const response = (status, body = '', etag = null) => ({
+    status,
+    ok: status >= 200 && status < 300,
+    headers: { get: name => (name.toLowerCase() === 'etag' ? etag : null) },
+    text: async () => body,
+  });
+  server.fetch = async (url, { method, body, headers = {} }) => {
+    if (server.offline) throw new TypeError('Failed to fetch');
+    server.requests.push({ method, headers });
+    const etag = `"v${server.version}"`;
+    if (method === 'GET') return server.body == null ? response(404) : response(200, server.body, etag);
+    // another device writes between our GET and PUT
+    if (server.raceOnce) {
+      const race = server.raceOnce;
+      server.raceOnce = null;
+      await race();
+    }
+    if (headers['If-Match'] && headers['If-Match'] !== `"v${server.version}"`) return response(412);
+    if (headers['If-None-Match'] === '*' && server.body != null) return response(412);
+    server.body = body;
+    server.version += 1;
+    return response(201);
+  };
+  server.doc = () => JSON.parse(server.body);
+  return server;
+}
+
+describe('Sync', () => {
+  const clock = (h) => ({ now: new Date(2025, 0, 6, h) });
+  // Each device has its own database and sync state
+  const device = async (name, server) => {
+    global.indexedDB = new FDBFactory();
+    const db = await openDB();
+    const state = normalizeSyncState({ enabled: true, url: 'https://dav.example.com/sync.json', device: name });
+    const sync = (h) => syncOnce(db, state, { fetchFn: server.fetch, ...clock(h) });
+    return { db, state, sync, tasks: async () => (await getAllActivities(db)).map(a => a.task).sort() };
+  };
+
+  test('changes should travel between devices and deletions should leave tombstones', async () => {
+    const server = mockSyncServer();
+    const a = await device('A', server);
+    const b = await device('B', server);
+    await putActivity(a.db, { task: '設計', startTime: at(6, 9), endTime: at(6, 10) });
+    await upsertRecent(a.db, '設計', { pinned: true, lastUsed: 1 });
+
+    expect(await a.sync(11)).toEqual({ pushed: 2, pulled: 0 });
+    expect(server.requests[1].headers['If-None-Match']).toBe('*');
+    expect(await b.sync(12)).toEqual({ pushed: 0, pulled: 2 });
+    expect(await b.tasks()).toEqual(['設計']);
+    expect((await getRecentAll(b.db))[0]).toMatchObject({ text: '設計', pinned: true });
+
+    const [row] = await getAllActivities(b.db);
+    await deleteActivityById(b.db, row.id);
+    await b.sync(13);
+    const tombstone = Object.values(server.doc().entries).find(e => e.deleted);
+    expect(tombstone).toMatchObject({ device: 'B', updatedAt: new Date(2025, 0, 6, 13).toISOString() });
+    await a.sync(14);
+    expect(await a.tasks()).toEqual([]);
+
+    await deleteRecent(b.db, '設計');
+    await b.sync(15);
+    await a.sync(16);
+    expect(await getRecentAll(a.db)).toEqual([]);
+    a.db.close();
+    b.db.close();
+  });
+
+  test('conflicts should go to the later change on every device', async () => {
+    const server = mockSyncServer();
+    const a = await device('A', server);
+    const b = await device('B', server);
+    const row = await putActivity(a.db, { task: '設計', startTime: at(6, 9), endTime: at(6, 10) });
+    await a.sync(10);
+    await b.sync(10);
+
+    // both edit the same row; B's edit is captured later
+    await putActivity(a.db, { ...row, task: '設計（A）' });
+    await captureSyncChanges(a.db, a.state, new Date(2025, 0, 6, 11));
+    const [rowB] = await getAllActivities(b.db);
+    await putActivity(b.db, { ...rowB, task: '設計（B）' });
+    await captureSyncChanges(b.db, b.state, new Date(2025, 0, 6, 12));
+
+    await b.sync(13);
+    await a.sync(14);
+    await b.sync(15);
+    expect(await a.tasks()).toEqual(['設計（B）']);
+    expect(await b.tasks()).toEqual(['設計（B）']);
+    a.db.close();
+    b.db.close();
+  });
+
+  test('changes made offline should wait in the outbox until the endpoint is reachable', async () => {
+    const server = mockSyncServer();
+    const a = await device('A', server);
+    await putActivity(a.db, { task: 'オフライン作業', startTime: at(6, 9), endTime: at(6, 10) });
+    server.offline = true;
+    await expect(a.sync(10)).rejects.toThrow('Failed to fetch');
+    // only keys wait in the outbox; the task text stays in the database
+    expect(a.state.outbox).toHaveLength(1);
+    expect(JSON.stringify(a.state)).not.toContain('オフライン作業');
+
+    // stamped when captured, not when finally sent
+    server.offline = false;
+    await a.sync(18);
+    const [entry] = Object.values(server.doc().entries);
+    expect(entry.updatedAt).toBe(new Date(2025, 0, 6, 10).toISOString());
+    expect(entry.record.task).toBe('オフライン作業');
+    expect(a.state.outbox).toEqual([]);
+    a.db.close();
+  });
+
+  test('a write by another device between GET and PUT should be merged, not lost', async () => {
+    const server = mockSyncServer();
+    const a = await device('A', server);
+    const b = await device('B', server);
+    await putActivity(a.db, { task: 'A の作業', startTime: at(6, 9), endTime: at(6, 10) });
+    await putActivity(b.db, { task: 'B の作業', startTime: at(6, 10), endTime: at(6, 11) });
+    server.raceOnce = () => b.sync(11);
+    await a.sync(12);
+    expect(server.requests.filter(r => r.method === 'PUT')).toHaveLength(3);
+    await b.sync(13);
+    expect(await a.tasks()).toEqual(['A の作業', 'B の作業']);
+    expect(await b.tasks()).toEqual(['A の作業', 'B の作業']);
+    a.db.close();
+    b.db.close();
+  });
+
+  test('a lost remote file should be written again from the device', async () => {
+    const server = mockSyncServer();
+    const a = await device('A', server);
+    await putActivity(a.db, { task: '設計', startTime: at(6, 9), endTime: at(6, 10) });
+    await a.sync(10);
+    server.body = null;
+    expect(await a.sync(11)).toEqual({ pushed: 1, pulled: 0 });
+    expect(Object.values(server.doc().entries).map(e => e.record.task)).toEqual(['設計']);
+    a.db.close();
+  });
+
+  test('a replace restore should not push the backup rows as edits of other rows', async () => {
+    const server = mockSyncServer();
+    const a = await device('A', server);
+    const b = await device('B', server);
+    await putActivity(a.db, { task: '消える行', startTime: at(6, 9), endTime: at(6, 10) });
+    await a.sync(10);
+    await b.sync(10);
+    const kept = { task: '残る行', startTime: at(6, 10), endTime: at(6, 11) };
+    await putActivity(b.db, kept);
+    await b.sync(11);
+    await a.sync(11);
+    const keptKey = Object.keys(server.doc().entries).find(k => server.doc().entries[k].record.task === '残る行');
+
+    // the backup holds the kept row under the id of the row it replaces
+    localStorage.setItem(SYNC_KEY, JSON.stringify(a.state));
+    await restoreBackup(a.db, { stores: { [STORES.activities]: [{ id: 1, ...kept }] } }, { mode: 'replace' });
+    Object.assign(a.state, normalizeSyncState(JSON.parse(localStorage.getItem(SYNC_KEY))));
+    await a.sync(12);
+    await b.sync(13);
+    const live = Object.keys(server.doc().entries).filter(k => !server.doc().entries[k].deleted);
+    expect(live).toEqual([keptKey]);
+    expect(await a.tasks()).toEqual(['残る行']);
+    expect(await b.tasks()).toEqual(['残る行']);
+    a.db.close();
+    b.db.close();
+  });
+
+  test('devices starting from the same rows should share them instead of duplicating', async () => {
+    const server = mockSyncServer();
+    const a = await device('A', server);
+    const b = await device('B', server);
+    const same = { task: '同じ行', startTime: at(6, 9), endTime: at(6, 10) };
+    await putActivity(a.db, same);
+    await putActivity(b.db, same);
+    await a.sync(11);
+    await b.sync(12);
+    await a.sync(13);
+    expect(await a.tasks()).toEqual(['同じ行']);
+    expect(await b.tasks()).toEqual(['同じ行']);
+    a.db.close();
+    b.db.close();
+  });
+});
+
+describe('Lock (encryption at rest)', () => {
+  const raw = (db, name) => withStore(db, name, 'readonly', (store) => store.getAll());
+  const lock = async (db) => {
+    const { meta, keys } = await createLock('secret', { iterations: 1000 });
+    await reencryptStores(db, null, keys);
+    localStorage.setItem(LOCK_KEY, JSON.stringify(meta));
+    setAtRestKeys(keys);
+    return keys;
+  };
+  const seed = async (db) => {
+    await putActivity(db, { task: '顧客A 打合せ', project: '顧客A', startTime: at(6, 9), endTime: at(6, 10) });
+    await upsertRecent(db, '顧客A 打合せ', { pinned: true });
+    await setTaskTags(db, '顧客A 打合せ', ['projA']);
+  };
+
+  afterEach(() => setAtRestKeys(null));
+
+  test('locking should seal existing task texts and the helpers should read them back', async () => {
+    const db = await openDB();
+    await seed(db);
+    await lock(db);
+    const stored = [
+      ...(await raw(db, STORES.activities)).flatMap(r => [r.task, r.project]),
+      ...(await raw(db, STORES.recent)).map(r => r.text),
+      ...(await raw(db, STORES.taskTags)).map(r => r.task),
+    ];
+    expect(stored).toHaveLength(4);
+    expect(stored.every(isSealed)).toBe(true);
+
+    expect((await getAllActivities(db))[0]).toMatchObject({ task: '顧客A 打合せ', project: '顧客A' });
+    expect(await getRecentAll(db)).toEqual([expect.objectContaining({ text: '顧客A 打合せ', pinned: true })]);
+    expect((await getTaskTagsMap(db)).get('顧客A 打合せ')).toEqual(['projA']);
+
+    // keys stay stable, so lookups by text still find the sealed records
+    await upsertRecent(db, '顧客A 打合せ');
+    await setPinned(db, '顧客A 打合せ', false);
+    expect(await getRecentAll(db)).toEqual([expect.objectContaining({ text: '顧客A 打合せ', pinned: false })]);
+    await deleteRecent(db, '顧客A 打合せ');
+    expect(await getRecentAll(db)).toEqual([]);
+    db.close();
+  });
+
+  test('the passphrase should be checked against the stored lock', async () => {
+    const db = await openDB();
+    await lock(db);
+    const meta = loadLockMeta();
+    await expect(unlockKeys(meta, 'wrong')).rejects.toThrow('パスフレーズが違います');
+    const keys = await unlockKeys(meta, 'secret');
+    setAtRestKeys(keys);
+    await putActivity(db, { task: '設計', startTime: at(6, 9), endTime: at(6, 10) });
+    expect((await getAllActivities(db))[0].task).toBe('設計');
+    db.close();
+  });
+
+  test('undo, backups and restores should work on a locked database', async () => {
+    const db = await openDB();
+    await seed(db);
+    await lock(db);
+    const h = createHistory();
+    pushHistory(h, await trackChanges(db, [STORES.taskTags, STORES.tags], 'tags', () => setTaskTags(db, '顧客A 打合せ', ['projB'])));
+    const added = await putActivity(db, { task: '顧客B 見積', startTime: at(6, 10), endTime: at(6, 11) });
+    pushHistory(h, { label: 'add', changes: [{ store: STORES.activities, before: null, after: added }] });
+    await undoHistory(db, h);
+    await undoHistory(db, h);
+    expect((await getTaskTagsMap(db)).get('顧客A 打合せ')).toEqual(['projA']);
+    await redoHistory(db, h);
+    expect((await raw(db, STORES.taskTags)).every(r => isSealed(r.task))).toBe(true);
+
+    const backup = await buildBackup(db);
+    expect(backup.stores[STORES.activities].map(a => a.task)).toEqual(['顧客A 打合せ']);
+    expect(backup.stores[STORES.recent][0].text).toBe('顧客A 打合せ');
+    await restoreBackup(db, backup, { mode: 'merge' });
+    expect(await raw(db, STORES.recent)).toHaveLength(1);
+    await restoreBackup(db, backup, { mode: 'replace' });
+    expect((await raw(db, STORES.activities)).every(r => isSealed(r.task))).toBe(true);
+    expect((await getAllActivities(db)).map(a => a.task)).toEqual(['顧客A 打合せ']);
+    db.close();
+  });
+
+  test('saved views should be sealed in storage while locked', async () => {
+    const db = await openDB();
+    saveViews({ saved: [{ name: '顧客A', search: 'task:"顧客A"' }], last: null });
+    const keys = await lock(db);
+    expect(localStorage.getItem(VIEWS_KEY)).not.toContain('顧客A');
+    await saveViews({ ...loadViews(), last: { search: '顧客B' } });
+    expect(localStorage.getItem(VIEWS_KEY)).not.toContain('顧客B');
+    expect(loadViews()).toMatchObject({ saved: [{ name: '顧客A' }], last: { search: '顧客B' } });
+
+    await reencryptStores(db, keys, null);
+    setAtRestKeys(null);
+    expect(JSON.parse(localStorage.getItem(VIEWS_KEY)).last.search).toBe('顧客B');
+    db.close();
+  });
+
+  test('unlocking for good should write plain text back', async () => {
+    const db = await openDB();
+    await seed(db);
+    const keys = await lock(db);
+    await reencryptStores(db, keys, null);
+    setAtRestKeys(null);
+    expect((await raw(db, STORES.activities))[0].task).toBe('顧客A 打合せ');
+    expect((await raw(db, STORES.recent))[0].text).toBe('顧客A 打合せ');
+    expect((await getTaskTagsMap(db)).get('顧客A 打合せ')).toEqual(['projA']);
+    db.close();
+  });
+
+  test('the saved sync state should not hold task texts while locked', async () => {
+    const db = await openDB();
+    await seed(db);
+    await lock(db);
+    const server = mockSyncServer();
+    const state = normalizeSyncState({ enabled: true, url: 'https://dav.example.com/sync.json', device: 'A' });
+    server.offline = true;
+    await expect(syncOnce(db, state, { fetchFn: server.fetch })).rejects.toThrow('Failed to fetch');
+    saveSyncState(state);
+    expect(localStorage.getItem(SYNC_KEY)).not.toContain('顧客A');
+
+    server.offline = false;
+    await syncOnce(db, state, { fetchFn: server.fetch });
+    saveSyncState(state);
+    expect(localStorage.getItem(SYNC_KEY)).not.toContain('顧客A');
+    // the document itself carries the plain records
+    expect(Object.values(server.doc().entries).map(e => e.record.text).filter(Boolean)).toEqual(['顧客A 打合せ']);
+    db.close();
+  });
+
+  test('a forgotten passphrase should clear the data and start sync over', async () => {
+    const db = await openDB();
+    await seed(db);
+    await lock(db);
+    localStorage.setItem(SYNC_KEY, JSON.stringify({ enabled: true, url: 'https://dav.example.com/sync.json', known: { 'r:x': { h: '1' } }, lastSync: 'x' }));
+    await resetLockedData(db);
+    expect(loadLockMeta()).toBeNull();
+    expect(await getAllActivities(db)).toEqual([]);
+    expect(await getRecentAll(db)).toEqual([]);
+    const sync = JSON.parse(localStorage.getItem(SYNC_KEY));
+    expect(sync).toMatchObject({ enabled: true, known: {}, outbox: [], lastSync: '' });
+    db.close();
+  });
 });
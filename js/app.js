@@ -21,65 +21,219 @@ const escapeHtml = (str) => String(str)
 
 // Settings helpers (persisted in localStorage)
 const SETTINGS_KEY = 'doneTime.settings';
+
+// Ticket link rules, applied in order; the first rule matching a token wins.
+// type 'prefix': literal prefix followed by digits (e.g. "ABC-" → ABC-123, "#" → #123)
+// type 'regex' : any regular expression; {id} is its first capture group (or the whole match)
+// urlTemplate/label placeholders: {id}, {num} (trailing digits), {match} (matched text)
+const LEGACY_TICKET_PATTERNS = [
+  { type: 'prefix', pattern: '#' },
+  { type: 'regex', pattern: '[A-Z][A-Z0-9_]*-[0-9]+' },
+];
+
+function normalizeTicketRules(rules) {
+  if (!Array.isArray(rules)) return [];
+  return rules
+    .filter(r => r && r.pattern && r.urlTemplate)
+    .map(r => ({
+      type: r.type === 'prefix' ? 'prefix' : 'regex',
+      pattern: String(r.pattern),
+      urlTemplate: String(r.urlTemplate),
+      label: r.label ? String(r.label) : '',
+    }));
+}
+
+// Older versions stored a single ticketUrlTemplate used for both #123 and ABC-123
+function getTicketRules(settings) {
+  if (!settings) return [];
+  if (Array.isArray(settings.ticketRules)) return normalizeTicketRules(settings.ticketRules);
+  const tpl = settings.ticketUrlTemplate || '';
+  if (!tpl) return [];
+  return LEGACY_TICKET_PATTERNS.map(p => ({ ...p, urlTemplate: tpl, label: '' }));
+}
+
+function normalizeSettings(raw) {
+  const s = raw && typeof raw === 'object' ? raw : {};
+  const idle = Number(s.idleMinutes);
+  return {
+    ticketRules: getTicketRules(s),
+    // How a multi-tag activity counts in tag totals: 'each' (full duration per tag) or 'split' (evenly)
+    tagSplit: s.tagSplit === 'split' ? 'split' : 'each',
+    // Working hours (local HH:MM) and idle threshold in minutes (0 = off) for the workday prompt
+    workStart: normalizeClock(s.workStart, '09:00'),
+    workEnd: normalizeClock(s.workEnd, '18:00'),
+    idleMinutes: s.idleMinutes == null || s.idleMinutes === '' || !Number.isFinite(idle) ? 180 : Math.max(0, Math.round(idle)),
+    // Opt-in reminder notification after reminderMinutes without a new row (working hours only)
+    reminderEnabled: s.reminderEnabled === true,
+    reminderMinutes: Number(s.reminderMinutes) >= 5 ? Math.round(Number(s.reminderMinutes)) : 60,
+    // Timesheet rounding (see roundActivities); roundUnit in minutes, 0 = off
+    roundUnit: Number(s.roundUnit) > 0 ? Math.min(1440, Math.round(Number(s.roundUnit))) : 0,
+    roundMode: ['up', 'down'].includes(s.roundMode) ? s.roundMode : 'nearest',
+    roundScope: ['taskDay', 'day'].includes(s.roundScope) ? s.roundScope : 'row',
+    // Hierarchy separator in task texts ("projA/設計"); '' = none (the default: texts such as
+    // "1/2 会議" or URLs are not split unless the user opts in)
+    projectSeparator: String(s.projectSeparator || '').trim(),
+    // Export presets: task → project rules (see projectResolver) and the account email
+    projectRules: normalizeProjectRules(s.projectRules),
+    exportEmail: s.exportEmail ? String(s.exportEmail).trim() : '',
+    // Time budgets per tag or task and period (see budgetStatus)
+    budgets: normalizeBudgets(s.budgets),
+  };
+}
+
+function normalizeClock(value, fallback) {
+  const m = /^(\d{1,2}):(\d{2})$/.exec(String(value || ''));
+  if (!m || Number(m[1]) > 23 || Number(m[2]) > 59) return fallback;
+  return `${m[1].padStart(2, '0')}:${m[2]}`;
+}
+
 function loadSettings() {
   try {
     const raw = localStorage.getItem(SETTINGS_KEY);
-    if (!raw) return { ticketUrlTemplate: '' };
-    const parsed = JSON.parse(raw);
-    return { ticketUrlTemplate: parsed.ticketUrlTemplate || '' };
+    if (!raw) return normalizeSettings({});
+    return normalizeSettings(JSON.parse(raw));
   } catch {
-    return { ticketUrlTemplate: '' };
+    return normalizeSettings({});
   }
 }
 function saveSettings(s) {
-  localStorage.setItem(SETTINGS_KEY, JSON.stringify({ ticketUrlTemplate: s.ticketUrlTemplate || '' }));
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(normalizeSettings(s)));
+}
+
+const escapeRegExp = (str) => String(str).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Compile a rule to a global RegExp; invalid user patterns yield null
+function compileTicketRule(rule) {
+  try {
+    const source = rule.type === 'prefix' ? `${escapeRegExp(rule.pattern)}([0-9]+)` : rule.pattern;
+    return new RegExp(source, 'g');
+  } catch {
+    return null;
+  }
+}
+
+// Find ticket tokens in raw text: [{ index, match, id, num, rule }]
+function findTicketTokens(text, rules) {
+  const t = text == null ? '' : String(text);
+  const compiled = rules.map(rule => ({ rule, rx: compileTicketRule(rule) })).filter(c => c.rx);
+  const tokens = [];
+  let pos = 0;
+  while (pos < t.length) {
+    let best = null;
+    for (const c of compiled) {
+      c.rx.lastIndex = pos;
+      const m = c.rx.exec(t);
+      if (!m || !m[0]) continue;
+      // Earliest match wins; at the same position the earlier rule wins
+      if (!best || m.index < best.m.index) best = { m, rule: c.rule };
+    }
+    if (!best) break;
+    const { m, rule } = best;
+    let id;
+    if (rule.type === 'prefix') {
+      id = rule.pattern === '#' ? m[1] : m[0];
+    } else {
+      id = m[1] != null ? m[1] : m[0];
+    }
+    const num = (m[0].match(/([0-9]+)$/) || [])[1] || '';
+    tokens.push({ index: m.index, match: m[0], id, num, rule });
+    pos = m.index + m[0].length;
+  }
+  return tokens;
 }
 
-// Linkify bug ticket IDs in a task string using settings
-// Supported IDs: ABC-123 (project-style), or #123 (hash numeric)
+const fillTicketTemplate = (tpl, token, encode) => tpl
+  .replaceAll('{id}', encode(token.id))
+  .replaceAll('{num}', encode(token.num))
+  .replaceAll('{match}', encode(token.match));
+
+// Linkify bug ticket IDs in a task string using settings (see getTicketRules)
 function linkifyTask(text, settings) {
   const t = text == null ? '' : String(text);
-  const tpl = (settings && settings.ticketUrlTemplate) || '';
-  if (!tpl) return escapeHtml(t);
-
-  // We will search both patterns; to avoid overlap, use a single regex with alternation
-  const rx = /(#[0-9]+)|([A-Z][A-Z0-9_]*-[0-9]+)/g;
-  return escapeHtml(t).replace(rx, (m) => {
-    let id = m;
-    // If hash form, strip leading # for {id}
-    if (m.startsWith('#')) {
-      id = m.slice(1);
-    }
-    const href = tpl.replaceAll('{id}', encodeURIComponent(id));
-    // show original matched text as link text
-    const linkText = escapeHtml(m);
+  const rules = getTicketRules(settings);
+  if (!rules.length) return escapeHtml(t);
+
+  let html = '';
+  let pos = 0;
+  for (const token of findTicketTokens(t, rules)) {
+    html += escapeHtml(t.slice(pos, token.index));
+    const href = fillTicketTemplate(token.rule.urlTemplate, token, encodeURIComponent);
+    // show the label (or the original matched text) as link text
+    const linkText = token.rule.label ? fillTicketTemplate(token.rule.label, token, String) : token.match;
     // rel and target for safety
-    return `<a href="${href}" target="_blank" rel="noopener noreferrer">${linkText}</a>`;
-  });
+    html += `<a href="${escapeHtml(href)}" target="_blank" rel="noopener noreferrer">${escapeHtml(linkText)}</a>`;
+    pos = token.index + token.match.length;
+  }
+  return html + escapeHtml(t.slice(pos));
 }
 
 // IndexedDB setup
 const DB_NAME = 'doneTimeDB';
-const DB_VERSION = 1;
+const DB_VERSION = 3;
 const STORES = {
-  activities: 'activities', // keyPath: endTime
-  recent: 'recentInputs'    // keyPath: 'text'
+  activities: 'activities', // keyPath: 'id' (auto-generated), index by_endTime
+  recent: 'recentInputs',   // keyPath: 'text'
+  tags: 'tags',             // keyPath: 'name' (tag catalog)
+  taskTags: 'taskTags'      // keyPath: 'task' (tags assigned to a task text)
 };
 
+// Build tag catalog / task→tags records from recentInputs records carrying `tags`
+// (where tags lived before DB version 2)
+function deriveTagStores(recentRecords) {
+  const taskTags = [];
+  const names = new Set();
+  for (const r of recentRecords || []) {
+    if (!r || !r.text || !Array.isArray(r.tags) || !r.tags.length) continue;
+    taskTags.push({ task: r.text, tags: r.tags.slice() });
+    r.tags.forEach(t => names.add(t));
+  }
+  return { taskTags, tags: Array.from(names).filter(Boolean).map(name => ({ name })) };
+}
+
+function createActivitiesStore(db) {
+  const store = db.createObjectStore(STORES.activities, { keyPath: 'id', autoIncrement: true });
+  store.createIndex('by_endTime', 'endTime', { unique: false });
+  return store;
+}
+
 function openDB() {
   return new Promise((resolve, reject) => {
     const req = indexedDB.open(DB_NAME, DB_VERSION);
     req.onupgradeneeded = (event) => {
       const db = event.target.result;
+      const tx = event.target.transaction;
       if (!db.objectStoreNames.contains(STORES.activities)) {
-        const store = db.createObjectStore(STORES.activities, { keyPath: 'endTime' });
-        store.createIndex('by_endTime', 'endTime', { unique: true });
+        createActivitiesStore(db);
+      } else if (event.oldVersion < 3) {
+        // v3: rows were keyed by endTime; re-create the store with an auto-generated id.
+        // getAll returns rows in endTime order, so ids follow the existing order.
+        const getReq = tx.objectStore(STORES.activities).getAll();
+        getReq.onsuccess = () => {
+          db.deleteObjectStore(STORES.activities);
+          const store = createActivitiesStore(db);
+          getReq.result.forEach(r => store.add(r));
+        };
       }
       if (!db.objectStoreNames.contains(STORES.recent)) {
         const store = db.createObjectStore(STORES.recent, { keyPath: 'text' });
         store.createIndex('by_lastUsed', 'lastUsed', { unique: false });
         store.createIndex('by_pinned', 'pinned', { unique: false });
       }
+      // v2: tags move out of recentInputs so that trimming suggestions keeps them
+      if (!db.objectStoreNames.contains(STORES.tags)) {
+        db.createObjectStore(STORES.tags, { keyPath: 'name' });
+      }
+      if (!db.objectStoreNames.contains(STORES.taskTags)) {
+        db.createObjectStore(STORES.taskTags, { keyPath: 'task' });
+        if (event.oldVersion >= 1) {
+          const getReq = tx.objectStore(STORES.recent).getAll();
+          getReq.onsuccess = () => {
+            const derived = deriveTagStores(getReq.result);
+            derived.taskTags.forEach(r => tx.objectStore(STORES.taskTags).put(r));
+            derived.tags.forEach(r => tx.objectStore(STORES.tags).put(r));
+          };
+        }
+      }
     };
     req.onsuccess = () => resolve(req.result);
     req.onerror = () => reject(req.error);
@@ -129,22 +283,24 @@ async function getLastActivity(db) {
       resolve(req.result ? req.result.value : null);
     };
     req.onerror = () => reject(req.error);
-  });
+  }).then(r => openRecord(STORES.activities, r));
 }
 
 async function getAllActivities(db) {
-  return withStore(db, STORES.activities, 'readonly', (store) => store.getAll());
+  const records = await withStore(db, STORES.activities, 'readonly', (store) => store.getAll());
+  return openRecords(STORES.activities, records);
 }
 
 async function upsertRecent(db, text, opts = {}) {
+  const key = await sealText(atRest.keys, text);
   const rec = await new Promise((resolve, reject) => {
     const tx = db.transaction(STORES.recent, 'readwrite');
     const store = tx.objectStore(STORES.recent);
-    const getReq = store.get(text);
+    const getReq = store.get(key);
     getReq.onsuccess = () => {
       const exists = getReq.result;
       const next = {
-        text,
+        text: key,
         pinned: exists ? !!exists.pinned : false,
         lastUsed: Date.now(),
         ...opts,
@@ -176,12 +332,13 @@ async function trimRecentUnpinned(db, keep = 30) {
 }
 
 async function setPinned(db, text, pinned) {
+  const key = await sealText(atRest.keys, text);
   return new Promise((resolve, reject) => {
     const tx = db.transaction(STORES.recent, 'readwrite');
     const store = tx.objectStore(STORES.recent);
-    const req = store.get(text);
+    const req = store.get(key);
     req.onsuccess = () => {
-      const rec = req.result || { text, pinned: !!pinned, lastUsed: Date.now() };
+      const rec = req.result || { text: key, pinned: !!pinned, lastUsed: Date.now() };
       rec.pinned = !!pinned;
       store.put(rec);
     };
@@ -192,24 +349,27 @@ async function setPinned(db, text, pinned) {
 }
 
 async function getRecentAll(db) {
-  return withStore(db, STORES.recent, 'readonly', (store) => store.getAll());
+  const records = await withStore(db, STORES.recent, 'readonly', (store) => store.getAll());
+  return openRecords(STORES.recent, records);
 }
 
 async function deleteRecent(db, text) {
   if (!text) return false;
-  await withStore(db, STORES.recent, 'readwrite', (store) => store.delete(text));
+  const key = await sealText(atRest.keys, text);
+  await withStore(db, STORES.recent, 'readwrite', (store) => store.delete(key));
   return true;
 }
 
 // On new task, update order: unpinned go to top of unpinned list.
-async function updateRecentOrderForNewTask(db, task, recentTagsMap) {
+async function updateRecentOrderForNewTask(db, task) {
   const allRecent = await getRecentAll(db);
   const existing = allRecent.find(r => r.text === task);
 
   // If the item is already pinned, just update its lastUsed time and don't change order.
   if (existing && existing.pinned) {
     existing.lastUsed = Date.now();
-    await withStore(db, STORES.recent, 'readwrite', store => store.put(existing));
+    const sealed = await sealRecord(STORES.recent, existing);
+    await withStore(db, STORES.recent, 'readwrite', store => store.put(sealed));
     return allRecent;
   }
 
@@ -224,7 +384,6 @@ async function updateRecentOrderForNewTask(db, task, recentTagsMap) {
     text: task,
     pinned: false,
     lastUsed: Date.now(),
-    tags: existing ? existing.tags : (recentTagsMap.get(task) || []),
   };
   unpinnedItems.unshift(newItem);
 
@@ -233,8 +392,9 @@ async function updateRecentOrderForNewTask(db, task, recentTagsMap) {
     item.order = index;
   });
 
+  const sealed = await sealRecords(STORES.recent, reorderedRecent);
   await withStore(db, STORES.recent, 'readwrite', store => {
-    reorderedRecent.forEach(item => store.put(item));
+    sealed.forEach(item => store.put(item));
   });
 
   return reorderedRecent;
@@ -276,24 +436,35 @@ async function updateRecentOrderForPinToggle(db, task, newPinnedState) {
     item.order = index;
   });
 
+  const sealed = await sealRecords(STORES.recent, reorderedRecent);
   await withStore(db, STORES.recent, 'readwrite', store => {
-    reorderedRecent.forEach(item => store.put(item));
+    sealed.forEach(item => store.put(item));
   });
 
   return reorderedRecent;
 }
 
+// BroadcastChannel name used to tell other open tabs that data changed
+const TAB_CHANNEL = 'doneTime.tabs';
+
+// Tasks carrying this tag (開始/休憩 by default) are left out of totals
+const EXCLUDED_TAG = '集計対象外';
+const START_TASK = '開始';
+const BREAK_TASK = '休憩';
+const UNTAGGED_LABEL = '(タグなし)';
+
 // Seed default pinned suggestions (one-time)
 const SEEDED_FLAG = 'doneTime.seededPinnedDefaults.v5'; // バージョンを更新
 async function seedPinnedDefaults(db) {
   try {
     if (localStorage.getItem(SEEDED_FLAG)) return;
     const defaults = [
-      { text: '開始', pinned: true, lastUsed: Date.now(), tags: ['集計対象外'], order: 0 },
-      { text: '休憩', pinned: true, lastUsed: Date.now(), tags: ['集計対象外'], order: 1 }
+      { text: START_TASK, pinned: true, lastUsed: Date.now(), tags: [EXCLUDED_TAG], order: 0 },
+      { text: BREAK_TASK, pinned: true, lastUsed: Date.now(), tags: [EXCLUDED_TAG], order: 1 }
     ];
+    const sealed = await sealRecords(STORES.recent, defaults);
     await withStore(db, STORES.recent, 'readwrite', (store) => {
-      defaults.forEach((item) => {
+      sealed.forEach((item) => {
         const getReq = store.get(item.text);
         getReq.onsuccess = () => {
           const exists = getReq.result;
@@ -302,6 +473,9 @@ async function seedPinnedDefaults(db) {
         };
       });
     });
+    for (const item of defaults) {
+      await setTaskTags(db, item.text, item.tags);
+    }
     localStorage.setItem(SEEDED_FLAG, '1');
   } catch (e) {
     console.warn('Failed to seed default pinned suggestions', e);
@@ -324,12 +498,14 @@ function sortRecentItems(items) {
 }
 
 // Update buildOptionsFromRecent to respect the order property
-function buildOptionsFromRecent(recent) {
+// With project set, only texts whose projectOf(text) is that project are offered.
+function buildOptionsFromRecent(recent, { project = '', projectOf = () => '' } = {}) {
   const sortedRecent = sortRecentItems(recent);
   const frag = document.createDocumentFragment();
   const seen = new Set();
   sortedRecent.forEach(r => {
     if (seen.has(r.text)) return;
+    if (project && projectOf(r.text) !== project) return;
     seen.add(r.text);
     const opt = document.createElement('option');
     opt.value = r.text;
@@ -353,7 +529,7 @@ function renderTags(tags) {
   return tags.map(t => `<span class="tag tag-searchable" data-tag="${escapeHtml(t)}">${escapeHtml(t)}</span>`).join(' ');
 }
 
-// recentのタグMap
+// recentのタグMap（DBバージョン1形式のレコード用）
 function getRecentTagsMap(recent) {
   const map = new Map();
   for (const r of recent) {
@@ -364,7 +540,7 @@ function getRecentTagsMap(recent) {
   return map;
 }
 
-// 直近履歴からユニークなタグ一覧を取得
+// 直近履歴からユニークなタグ一覧を取得（DBバージョン1形式のレコード用）
 function getAllTagCandidates(recent) {
   const tagSet = new Set();
   for (const r of recent) {
@@ -375,225 +551,2802 @@ function getAllTagCandidates(recent) {
   return Array.from(tagSet).filter(Boolean);
 }
 
-// Activities DB helpers
-async function deleteActivityByEnd(db, endTime) {
-  if (!endTime) return false;
-  await withStore(db, STORES.activities, 'readwrite', (store) => store.delete(endTime));
+// Tag storage: catalog (STORES.tags) + assignments per task text (STORES.taskTags).
+// An activity may override its task's tags with its own `tags` array.
+function activityTags(activity, taskTagsMap) {
+  if (activity && Array.isArray(activity.tags)) return activity.tags;
+  return (activity && taskTagsMap.get(activity.task)) || [];
+}
+
+async function getTaskTagsMap(db) {
+  const records = await openRecords(STORES.taskTags, await withStore(db, STORES.taskTags, 'readonly', (store) => store.getAll()));
+  return new Map(records.map(r => [r.task, r.tags || []]));
+}
+
+async function getTagCatalog(db) {
+  const records = await withStore(db, STORES.tags, 'readonly', (store) => store.getAll());
+  return records.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// Assign tags to a task text; new tag names are added to the catalog
+async function setTaskTags(db, task, tags) {
+  if (!task) return false;
+  const clean = Array.from(new Set((tags || []).map(t => String(t).trim()).filter(Boolean)));
+  const key = await sealText(atRest.keys, task);
+  await new Promise((resolve, reject) => {
+    const tx = db.transaction([STORES.taskTags, STORES.tags], 'readwrite');
+    const assignments = tx.objectStore(STORES.taskTags);
+    const catalog = tx.objectStore(STORES.tags);
+    if (clean.length) assignments.put({ task: key, tags: clean });
+    else assignments.delete(key);
+    clean.forEach((name) => {
+      const getReq = catalog.get(name);
+      getReq.onsuccess = () => {
+        if (!getReq.result) catalog.put({ name });
+      };
+    });
+    tx.oncomplete = () => resolve(true);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
   return true;
 }
 
-async function getActivityByEnd(db, endTime) {
-  if (!endTime) return null;
-  return withStore(db, STORES.activities, 'readonly', (store) => store.get(endTime));
+// Add tag names to the catalog (no-op for known names, which keep their billing fields)
+async function addCatalogTags(db, names) {
+  const clean = (names || []).map(t => String(t).trim()).filter(Boolean);
+  if (!clean.length) return;
+  await withStore(db, STORES.tags, 'readwrite', (store) => {
+    clean.forEach((name) => {
+      const getReq = store.get(name);
+      getReq.onsuccess = () => {
+        if (!getReq.result) store.put({ name });
+      };
+    });
+  });
 }
 
-// Helper: YYYY-MM-DD (local) from ISO string
-const toLocalYMD = (iso) => {
-  if (!iso) return '';
-  const d = new Date(iso);
-  const y = d.getFullYear();
-  const m = String(d.getMonth() + 1).padStart(2, '0');
-  const day = String(d.getDate()).padStart(2, '0');
-  return `${y}-${m}-${day}`;
-};
+// Set (or with null, clear) the billing fields of a catalog tag; see normalizeTagBilling
+async function setTagBilling(db, name, billing) {
+  if (!name) return false;
+  const clean = normalizeTagBilling(billing);
+  await withStore(db, STORES.tags, 'readwrite', (store) => store.put({ name, ...(clean || {}) }));
+  return true;
+}
 
-// Render activities with current filter/grouping settings
-function renderActivities(activitiesTable, activitiesMaster, recentTagsMap, settings) {
-  const filterDateFromInput = document.getElementById('filterDateFrom');
-  const filterDateToInput = document.getElementById('filterDateTo');
-  const groupToggle = document.getElementById('groupToggle');
+// Remove a tag everywhere: catalog, task assignments and per-activity overrides
+async function deleteTag(db, name) {
+  if (!name) return false;
+  const names = [STORES.tags, STORES.taskTags, STORES.activities];
+  await new Promise((resolve, reject) => {
+    const tx = db.transaction(names, 'readwrite');
+    tx.objectStore(STORES.tags).delete(name);
+    const strip = (store, hasTags) => {
+      const req = store.openCursor();
+      req.onsuccess = () => {
+        const cursor = req.result;
+        if (!cursor) return;
+        const rec = cursor.value;
+        if (hasTags(rec) && rec.tags.includes(name)) {
+          rec.tags = rec.tags.filter(t => t !== name);
+          cursor.update(rec);
+        }
+        cursor.continue();
+      };
+    };
+    strip(tx.objectStore(STORES.taskTags), r => Array.isArray(r.tags));
+    strip(tx.objectStore(STORES.activities), r => Array.isArray(r.tags));
+    tx.oncomplete = () => resolve(true);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+  return true;
+}
 
-  const fromYMD = (filterDateFromInput && filterDateFromInput.value) ? filterDateFromInput.value : '';
-  const toYMD = (filterDateToInput && filterDateToInput.value) ? filterDateToInput.value : '';
-  const doGroup = !!(groupToggle && groupToggle.checked);
-  let rows = [];
+// Activities DB helpers
+async function deleteActivityById(db, id) {
+  if (id == null) return false;
+  await withStore(db, STORES.activities, 'readwrite', (store) => store.delete(id));
+  return true;
+}
 
-  const filtered = (fromYMD || toYMD)
-    ? activitiesMaster.filter(a => {
-        const d = toLocalYMD(a.endTime);
-        if (fromYMD && d < fromYMD) return false;
-        if (toYMD && d > toYMD) return false;
-        return true;
-      })
-    : activitiesMaster.slice();
+async function getActivityById(db, id) {
+  if (id == null) return null;
+  return openRecord(STORES.activities, await withStore(db, STORES.activities, 'readonly', (store) => store.get(id)));
+}
 
-  // 「集計対象外」タグ付きの作業内容を「作業別に集計」の時は除外
-  const filtered2 = doGroup
-    ? filtered.filter(a => {
-        const tags = recentTagsMap.get(a.task) || [];
-        return !tags.includes('集計対象外');
-      })
-    : filtered;
+// Insert or update a row; returns the row with its (possibly new) id
+async function putActivity(db, activity) {
+  const sealed = await sealRecord(STORES.activities, activity);
+  const id = await withStore(db, STORES.activities, 'readwrite', (store) => store.put(sealed));
+  return { ...activity, id };
+}
 
-  if (doGroup) {
-    const map = new Map();
-    for (const a of filtered2) {
-      const key = a.task || '';
-      const cur = map.get(key) || {
-        task: key,
-        startTime: a.startTime,
-        endTime: a.endTime,
-        _durationMs: 0
-      };
-      // min start, max end
-      if (a.startTime < cur.startTime) cur.startTime = a.startTime;
-      if (a.endTime > cur.endTime) cur.endTime = a.endTime;
-      cur._durationMs += Math.max(0, new Date(a.endTime) - new Date(a.startTime));
-      map.set(key, cur);
+// Undo / redo
+// A history entry is { label, changes: [{ store, before, after }] } with full records
+// (null where the record does not exist). Undo writes every `before`, redo every `after`.
+const HISTORY_LIMIT = 50;
+const STORE_KEYS = {
+  [STORES.activities]: 'id',
+  [STORES.recent]: 'text',
+  [STORES.tags]: 'name',
+  [STORES.taskTags]: 'task'
+};
+
+function createHistory() {
+  return { undo: [], redo: [] };
+}
+
+// Record a new entry; a new change drops everything that could be redone
+function pushHistory(history, entry) {
+  if (!entry || !entry.changes || !entry.changes.length) return false;
+  history.undo.push(entry);
+  if (history.undo.length > HISTORY_LIMIT) history.undo.shift();
+  history.redo = [];
+  return true;
+}
+
+// Changes between two snapshots ({ storeName: records }) of the same stores
+function diffSnapshots(before, after) {
+  const changes = [];
+  for (const name of Object.keys(before)) {
+    const key = STORE_KEYS[name];
+    const oldMap = new Map(before[name].map(r => [r[key], r]));
+    const newMap = new Map((after[name] || []).map(r => [r[key], r]));
+    for (const [k, r] of oldMap) {
+      const next = newMap.get(k) || null;
+      if (!next || JSON.stringify(next) !== JSON.stringify(r)) changes.push({ store: name, before: r, after: next });
+    }
+    for (const [k, r] of newMap) {
+      if (!oldMap.has(k)) changes.push({ store: name, before: null, after: r });
     }
-    rows = Array.from(map.values()).map(r => ({
-      task: r.task,
-      startTime: r.startTime,
-      endTime: r.endTime,
-      duration: msToHMS(r._durationMs)
-    }));
-  } else {
-    rows = filtered2.map(a => ({
-      ...a,
-      duration: buildDuration(a.startTime, a.endTime)
-    }));
   }
-
-  // Sort by endTime asc (古い完了日が上になるように)
-  rows.sort((a, b) => a.endTime.localeCompare(b.endTime));
-  activitiesTable.clear().rows.add(rows).draw(false);
+  return changes;
 }
 
-async function init() {
-  if (typeof document === 'undefined') return;
-  const db = await openDB();
+async function snapshotStores(db, names) {
+  const snapshot = {};
+  for (const name of names) {
+    snapshot[name] = await withStore(db, name, 'readonly', (store) => store.getAll());
+  }
+  return snapshot;
+}
 
-  // 1. デフォルト候補を必ず先に投入
-  await seedPinnedDefaults(db);
+// Run fn and return a history entry for whatever it changed in the given stores
+async function trackChanges(db, names, label, fn) {
+  const before = await snapshotStores(db, names);
+  await fn();
+  const after = await snapshotStores(db, names);
+  return { label, changes: diffSnapshots(before, after) };
+}
 
-  // 2. recentTable の初期化
-  const recentTable = new DataTable('#recentTable', {
-    data: [],
-    columns: [
-      {
-        title: 'ピン',
-        data: 'pinned',
-        orderable: false,
-        render: (d) => `
-          <i class="bi ${d ? 'bi-pin-fill' : 'bi-pin'} pin-icon" style="cursor: pointer; font-size: 1.2em;"></i>
-        `
-      },
-      { title: '直近の作業入力内容', data: 'text', orderable: false },
-      {
-        title: 'タグ',
-        data: 'tags',
-        orderable: false,
-        render: renderTags
-      },
-      {
-        title: '操作',
-        data: null,
-        orderable: false,
-        render: () => `
-          <button class="btn-delete" title="この入力候補を削除" style="padding:4px 8px; border:1px solid #b91c1c; color:#fecaca; background:#7f1d1d; border-radius:6px; cursor:pointer;">
-            <i class="bi bi-trash"></i> 削除
-          </button>
-        `
-      },
-    ],
-    paging: false
+// Write one side of an entry ('before' = undo, 'after' = redo) in a single transaction
+async function applyHistoryEntry(db, entry, side) {
+  const names = Array.from(new Set(entry.changes.map(c => c.store)));
+  const other = side === 'before' ? 'after' : 'before';
+  // entries hold rows as the app saw them (plain) or as snapshotted (sealed while locked)
+  const ordered = await Promise.all((side === 'before' ? entry.changes.slice().reverse() : entry.changes)
+    .map(async c => ({ store: c.store, rec: await sealRecord(c.store, c[side]), other: await sealRecord(c.store, c[other]) })));
+  await new Promise((resolve, reject) => {
+    const tx = db.transaction(names, 'readwrite');
+    ordered.forEach((c) => {
+      const store = tx.objectStore(c.store);
+      if (c.rec) store.put(c.rec);
+      else store.delete(c.other[store.keyPath]);
+    });
+    tx.oncomplete = () => resolve(true);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
   });
+}
 
-  // Enable drag-and-drop sorting
-  // Initialize this right after table creation, before the first draw.
-  enableDragAndDropSorting(recentTable, db);
-
-  // 3. 入力候補データ取得・描画
-  let recent = await getRecentAll(db);
-  let recentTagsMap = getRecentTagsMap(recent);
-  const sortedRecent = sortRecentItems(recent);
-  recentTable.clear().rows.add(sortedRecent).draw();
-  buildOptionsFromRecent(sortedRecent);
+async function undoHistory(db, history) {
+  const entry = history.undo.pop();
+  if (!entry) return null;
+  try {
+    await applyHistoryEntry(db, entry, 'before');
+  } catch (e) {
+    history.undo.push(entry);
+    throw e;
+  }
+  history.redo.push(entry);
+  return entry;
+}
 
-  // 4. activitiesMaster の初期化
-  const acts = await getAllActivities(db);
-  let activitiesMaster = Array.isArray(acts) ? acts.slice() : [];
+async function redoHistory(db, history) {
+  const entry = history.redo.pop();
+  if (!entry) return null;
+  try {
+    await applyHistoryEntry(db, entry, 'after');
+  } catch (e) {
+    history.redo.push(entry);
+    throw e;
+  }
+  history.undo.push(entry);
+  return entry;
+}
 
-  // Settings state
-  let settings = loadSettings();
+// Utility: timestamp for download file names (YYYYMMDD_HHMMSS, local)
+function fileTimestamp(ts = new Date()) {
+  const y = ts.getFullYear();
+  const m = String(ts.getMonth() + 1).padStart(2, '0');
+  const d = String(ts.getDate()).padStart(2, '0');
+  const hh = String(ts.getHours()).padStart(2, '0');
+  const mm = String(ts.getMinutes()).padStart(2, '0');
+  const ss = String(ts.getSeconds()).padStart(2, '0');
+  return `${y}${m}${d}_${hh}${mm}${ss}`;
+}
 
-  // UI要素取得
-  const filterDateFromInput = document.getElementById('filterDateFrom');
-  const filterDateToInput = document.getElementById('filterDateTo');
-  const groupToggle = document.getElementById('groupToggle');
-  const clearFilterBtn = document.getElementById('clearFilterBtn');
-  const manualAddBtn = document.getElementById('manualAddBtn');
+// Utility: trigger a browser download for in-memory text
+function downloadFile(filename, content, mime = 'text/plain') {
+  const blob = new Blob([content], { type: `${mime};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
 
-  // Modal elements
-  const modalEl = document.getElementById('activityModal');
-  const modalTitle = document.getElementById('activityModalTitle');
-  const modalTask = document.getElementById('modalTask');
-  const modalStart = document.getElementById('modalStart');
-  const modalEnd = document.getElementById('modalEnd');
-  const modalError = document.getElementById('modalError');
-  const modalCancel = document.getElementById('modalCancel');
-  const modalSave = document.getElementById('modalSave');
+// Backup / restore (versioned JSON of all stores + settings)
+const BACKUP_FORMAT = 'doneTime.backup';
+const BACKUP_VERSION = 1;
 
-  // datetime-local helpers
-  const toLocalInputValue = (iso) => {
-    if (!iso) return '';
-    const d = new Date(iso);
-    const y = d.getFullYear();
-    const m = String(d.getMonth() + 1).padStart(2, '0');
-    const day = String(d.getDate()).padStart(2, '0');
-    const hh = String(d.getHours()).padStart(2, '0');
-    const mm = String(d.getMinutes()).padStart(2, '0');
-    return `${y}-${m}-${day}T${hh}:${mm}`;
-  };
-  const fromLocalInputValue = (v) => {
-    if (!v) return '';
-    const d = new Date(v);
-    return d.toISOString();
+async function buildBackup(db) {
+  const stores = {};
+  for (const name of Object.values(STORES)) {
+    // backups always hold plain text; encrypt the file itself with encryptWithPassphrase
+    stores[name] = await openRecords(name, await withStore(db, name, 'readonly', (store) => store.getAll()));
+  }
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    dbVersion: DB_VERSION,
+    exportedAt: nowIso(),
+    stores,
+    settings: loadSettings(),
+    seeded: localStorage.getItem(SEEDED_FLAG)
   };
+}
 
-  // Modal state
-  let editing = false;
-  let originalEndTime = null;
-  function openModal({ title, task = '', startTime = '', endTime = '' }, isEdit = false) {
-    editing = !!isEdit;
-    originalEndTime = isEdit ? endTime : null;
-    if (modalTitle) modalTitle.textContent = title || (isEdit ? 'アクティビティ編集' : 'アクティビティ追加');
-    if (modalTask) modalTask.value = task || '';
-    if (modalStart) modalStart.value = startTime ? toLocalInputValue(startTime) : '';
-    if (modalEnd) modalEnd.value = endTime ? toLocalInputValue(endTime) : '';
-    if (modalError) modalError.textContent = '';
-    if (modalEl) {
-      modalEl.style.display = 'flex';
-    }
-    setTimeout(() => modalTask && modalTask.focus(), 0);
+// Parse and validate a backup file's text. Throws on anything we cannot restore.
+function parseBackup(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('JSONとして読み込めません');
   }
-  function closeModal() {
-    if (modalEl) modalEl.style.display = 'none';
-    editing = false;
-    originalEndTime = null;
+  if (!data || data.format !== BACKUP_FORMAT) {
+    throw new Error('doneTime のバックアップファイルではありません');
+  }
+  if (!(data.version >= 1 && data.version <= BACKUP_VERSION)) {
+    throw new Error(`未対応のバックアップバージョンです: ${data.version}`);
+  }
+  if (!data.stores || typeof data.stores !== 'object') {
+    throw new Error('バックアップにデータが含まれていません');
+  }
+  for (const [name, records] of Object.entries(data.stores)) {
+    if (!Array.isArray(records)) throw new Error(`ストア「${name}」の形式が不正です`);
+  }
+  // Backups taken before DB version 2 carry tags on recentInputs only
+  if (!data.stores[STORES.taskTags] && Array.isArray(data.stores[STORES.recent])) {
+    const derived = deriveTagStores(data.stores[STORES.recent]);
+    data.stores[STORES.taskTags] = derived.taskTags;
+    data.stores[STORES.tags] = derived.tags;
   }
+  return data;
+}
 
-  // Tabs behavior
-  document.querySelectorAll('.tab-btn').forEach(btn => {
-    btn.addEventListener('click', () => {
-      document.querySelectorAll('.tab-btn').forEach(b => b.classList.remove('active'));
-      btn.classList.add('active');
-      const target = btn.dataset.tab;
-      document.querySelectorAll('.tab-panel').forEach(p => {
-        if (p.id === target) {
-          p.style.display = '';
-          p.classList.add('active');
-        } else {
-          p.style.display = 'none';
-          p.classList.remove('active');
-        }
-      });
-    });
-  });
+// Parse a backup file that may be encrypted (see encryptWithPassphrase)
+async function readBackupFile(text, passphrase) {
+  let data = null;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    // parseBackup reports it
+  }
+  if (!isEncryptedFile(data)) return parseBackup(text);
+  if (!passphrase) throw new Error('暗号化されたバックアップです。パスフレーズを入力してください');
+  return parseBackup(await decryptWithPassphrase(data, passphrase));
+}
 
-  // DataTables initialization
-  const activitiesTable = new DataTable('#activitiesTable', {
+// On merge, activities are matched by endTime. Same key with different content is a conflict;
+// identical rows are not.
+function findBackupConflicts(existingActivities, incomingActivities) {
+  const byEnd = new Map(existingActivities.map(a => [a.endTime, a]));
+  const conflicts = [];
+  for (const inc of incomingActivities || []) {
+    const cur = byEnd.get(inc.endTime);
+    if (!cur) continue;
+    if (cur.task === inc.task && cur.startTime === inc.startTime) continue;
+    conflicts.push({ endTime: inc.endTime, current: cur, incoming: inc });
+  }
+  return conflicts;
+}
+
+// Restore a parsed backup.
+// mode 'replace': clear every store and write the backup as-is, settings included.
+// mode 'merge': add missing rows; on endTime conflicts keep the current row unless
+//   preferIncoming is set. Existing input suggestions win over the backup's.
+async function restoreBackup(db, backup, { mode = 'merge', preferIncoming = false } = {}) {
+  const names = Object.values(STORES).filter(n => Array.isArray(backup.stores[n]));
+  const sealed = {};
+  for (const name of names) sealed[name] = await sealRecords(name, backup.stores[name]);
+  await new Promise((resolve, reject) => {
+    const tx = db.transaction(names, 'readwrite');
+    names.forEach((name) => {
+      const store = tx.objectStore(name);
+      const records = sealed[name];
+      if (mode === 'replace') {
+        store.clear();
+        records.forEach(r => store.put(r));
+        return;
+      }
+      if (name === STORES.activities) {
+        // ids are local to each database, so activities are matched by endTime
+        const byEnd = store.index('by_endTime');
+        records.forEach(({ id, ...r }) => {
+          const getReq = byEnd.get(r.endTime);
+          getReq.onsuccess = () => {
+            const exists = getReq.result;
+            if (!exists) store.put(r);
+            else if (preferIncoming) store.put({ ...r, id: exists.id });
+          };
+        });
+        return;
+      }
+      records.forEach((r) => {
+        const getReq = store.get(r[store.keyPath]);
+        getReq.onsuccess = () => {
+          if (!getReq.result) store.put(r);
+        };
+      });
+    });
+    tx.oncomplete = () => resolve(true);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+  if (mode === 'replace') {
+    if (backup.settings) saveSettings(backup.settings);
+    if (backup.seeded) localStorage.setItem(SEEDED_FLAG, backup.seeded);
+    else localStorage.removeItem(SEEDED_FLAG);
+    // the backup's ids may belong to other rows now; each row gets its content-based uid again
+    const sync = loadSyncState();
+    saveSyncState({ ...sync, uids: {} });
+  }
+  return true;
+}
+
+// Encryption (WebCrypto): a passphrase goes through PBKDF2-SHA-256 to an AES-GCM-256 key.
+// Used for encrypted backup files and for the optional lock, which keeps task texts encrypted in
+// IndexedDB and asks for the passphrase at startup.
+const ENCRYPTED_FORMAT = 'doneTime.encrypted';
+const ENCRYPTED_VERSION = 1;
+// OWASP's current figure for PBKDF2-SHA-256; files asking for far more are refused, so that an
+// imported file cannot make the page derive keys for minutes
+const KDF_ITERATIONS = 600000;
+const KDF_MAX_ITERATIONS = 10 * KDF_ITERATIONS;
+
+function bytesToBase64(bytes) {
+  let text = '';
+  bytes.forEach((b) => { text += String.fromCharCode(b); });
+  return btoa(text);
+}
+
+function base64ToBytes(text) {
+  return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+}
+
+function randomBytes(length) {
+  return crypto.getRandomValues(new Uint8Array(length));
+}
+
+// 512 derived bits: the first half is the AES-GCM key, the second an HMAC key (see sealText)
+async function deriveCryptoKeys(passphrase, salt, iterations = KDF_ITERATIONS) {
+  const base = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveBits']);
+  const bits = new Uint8Array(await crypto.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, base, 512));
+  const [aes, mac] = await Promise.all([
+    crypto.subtle.importKey('raw', bits.slice(0, 32), 'AES-GCM', false, ['encrypt', 'decrypt']),
+    crypto.subtle.importKey('raw', bits.slice(32), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']),
+  ]);
+  return { aes, mac };
+}
+
+function kdfIterations(value) {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 1 || n > KDF_MAX_ITERATIONS) throw new Error(`未対応の鍵導出の回数です: ${value}`);
+  return n;
+}
+
+function isEncryptedFile(data) {
+  return !!data && typeof data === 'object' && data.format === ENCRYPTED_FORMAT;
+}
+
+// Encrypt a file's text: { format, version, kdf: { name, hash, iterations, salt }, cipher: { name, iv }, data }
+async function encryptWithPassphrase(text, passphrase, { iterations = KDF_ITERATIONS } = {}) {
+  if (!passphrase) throw new Error('パスフレーズを入力してください');
+  const salt = randomBytes(16);
+  const iv = randomBytes(12);
+  const { aes } = await deriveCryptoKeys(passphrase, salt, iterations);
+  const data = new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, aes, new TextEncoder().encode(text)));
+  return {
+    format: ENCRYPTED_FORMAT,
+    version: ENCRYPTED_VERSION,
+    kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations, salt: bytesToBase64(salt) },
+    cipher: { name: 'AES-GCM', iv: bytesToBase64(iv) },
+    data: bytesToBase64(data),
+  };
+}
+
+async function decryptWithPassphrase(file, passphrase) {
+  if (!isEncryptedFile(file)) throw new Error('暗号化されたファイルではありません');
+  if (file.version !== ENCRYPTED_VERSION || !file.kdf || !file.cipher) {
+    throw new Error(`未対応の暗号化形式です: ${file.version}`);
+  }
+  const iterations = kdfIterations(file.kdf.iterations);
+  if (!passphrase) throw new Error('パスフレーズを入力してください');
+  try {
+    const { aes } = await deriveCryptoKeys(passphrase, base64ToBytes(file.kdf.salt), iterations);
+    const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: base64ToBytes(file.cipher.iv) }, aes, base64ToBytes(file.data));
+    return new TextDecoder().decode(plain);
+  } catch {
+    throw new Error('パスフレーズが違うか、ファイルが壊れています');
+  }
+}
+
+// Encryption at rest ("lock"): task texts and projects are stored sealed in these fields, and the
+// saved views (whose searches hold task texts) in localStorage.
+// Sealing is deterministic (the IV is an HMAC of the text), because recentInputs and taskTags use
+// the text as their key and are looked up by it; the same text always gives the same sealed value.
+// Values without the prefix are plain text and read as-is, so stores written before the lock work.
+const SEALED_PREFIX = '\u0001enc1:';
+const SEALED_FIELDS = {
+  [STORES.activities]: ['task', 'project'],
+  [STORES.recent]: ['text'],
+  [STORES.taskTags]: ['task']
+};
+const LOCK_KEY = 'doneTime.lock';
+const LOCK_CHECK = 'doneTime';
+// keys: the unlocked key pair of this page (null while the lock is off)
+// views: the saved views' JSON while they are sealed in storage (see loadViews)
+const atRest = { keys: null, opened: new WeakMap(), views: null };
+
+function setAtRestKeys(keys) {
+  atRest.keys = keys || null;
+}
+
+function isSealed(value) {
+  return typeof value === 'string' && value.startsWith(SEALED_PREFIX);
+}
+
+async function sealText(keys, text) {
+  if (!keys || typeof text !== 'string' || isSealed(text)) return text;
+  const plain = new TextEncoder().encode(text);
+  const iv = new Uint8Array(await crypto.subtle.sign('HMAC', keys.mac, plain)).slice(0, 12);
+  const data = new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, keys.aes, plain));
+  const out = new Uint8Array(iv.length + data.length);
+  out.set(iv);
+  out.set(data, iv.length);
+  return SEALED_PREFIX + bytesToBase64(out);
+}
+
+// Sealed values repeat (same text, same value), so opened texts are cached per key pair
+async function openText(keys, value) {
+  if (!isSealed(value)) return value;
+  if (!keys) throw new Error('ロックが解除されていません');
+  if (!atRest.opened.has(keys)) atRest.opened.set(keys, new Map());
+  const cache = atRest.opened.get(keys);
+  if (cache.has(value)) return cache.get(value);
+  const bytes = base64ToBytes(value.slice(SEALED_PREFIX.length));
+  let text;
+  try {
+    text = new TextDecoder().decode(await crypto.subtle.decrypt({ name: 'AES-GCM', iv: bytes.slice(0, 12) }, keys.aes, bytes.slice(12)));
+  } catch {
+    throw new Error('暗号化された作業内容を復号できません');
+  }
+  cache.set(value, text);
+  return text;
+}
+
+async function sealRecord(storeName, record, keys = atRest.keys) {
+  const fields = (SEALED_FIELDS[storeName] || []).filter(f => record && typeof record[f] === 'string');
+  if (!keys || !fields.length) return record;
+  const sealed = { ...record };
+  for (const f of fields) sealed[f] = await sealText(keys, record[f]);
+  return sealed;
+}
+
+async function openRecord(storeName, record, keys = atRest.keys) {
+  const fields = (SEALED_FIELDS[storeName] || []).filter(f => record && isSealed(record[f]));
+  if (!fields.length) return record;
+  const opened = { ...record };
+  for (const f of fields) opened[f] = await openText(keys, record[f]);
+  return opened;
+}
+
+function sealRecords(storeName, records, keys = atRest.keys) {
+  return Promise.all((records || []).map(r => sealRecord(storeName, r, keys)));
+}
+
+function openRecords(storeName, records, keys = atRest.keys) {
+  return Promise.all((records || []).map(r => openRecord(storeName, r, keys)));
+}
+
+// Lock settings (localStorage, not in backups): { salt, iterations, check } where check is
+// LOCK_CHECK sealed with the keys, to tell a wrong passphrase before touching any data
+function loadLockMeta() {
+  try {
+    const meta = JSON.parse(localStorage.getItem(LOCK_KEY) || 'null');
+    return meta && meta.salt && isSealed(meta.check) && kdfIterations(meta.iterations) ? meta : null;
+  } catch {
+    return null;
+  }
+}
+
+async function createLock(passphrase, { iterations = KDF_ITERATIONS } = {}) {
+  if (!passphrase) throw new Error('パスフレーズを入力してください');
+  const salt = randomBytes(16);
+  const keys = await deriveCryptoKeys(passphrase, salt, iterations);
+  const meta = { salt: bytesToBase64(salt), iterations, check: await sealText(keys, LOCK_CHECK) };
+  return { meta, keys };
+}
+
+async function unlockKeys(meta, passphrase) {
+  const keys = await deriveCryptoKeys(passphrase || '', base64ToBytes(meta.salt), meta.iterations);
+  let check = '';
+  try {
+    check = await openText(keys, meta.check);
+  } catch {
+    // wrong passphrase
+  }
+  if (check !== LOCK_CHECK) throw new Error('パスフレーズが違います');
+  return keys;
+}
+
+// Open the saved views sealed in storage, once the keys are set (see loadViews)
+async function openSealedViews() {
+  const stored = localStorage.getItem(VIEWS_KEY);
+  atRest.views = isSealed(stored) ? await openText(atRest.keys, stored) : null;
+}
+
+async function reencryptViews(fromKeys, toKeys) {
+  const stored = localStorage.getItem(VIEWS_KEY);
+  if (!stored) return;
+  const text = await openText(fromKeys, stored);
+  atRest.views = toKeys ? text : null;
+  localStorage.setItem(VIEWS_KEY, toKeys ? await sealText(toKeys, text) : text);
+}
+
+// Re-encode the task texts of every sealed store from one key pair to another (null = plain text)
+// in one transaction, then the saved views: turning the lock on (null → keys), off (keys → null)
+// or changing the passphrase.
+async function reencryptStores(db, fromKeys, toKeys) {
+  const names = Object.keys(SEALED_FIELDS);
+  const next = {};
+  for (const name of names) {
+    const records = await withStore(db, name, 'readonly', (store) => store.getAll());
+    next[name] = await sealRecords(name, await openRecords(name, records, fromKeys), toKeys);
+  }
+  await new Promise((resolve, reject) => {
+    const tx = db.transaction(names, 'readwrite');
+    names.forEach((name) => {
+      const store = tx.objectStore(name);
+      store.clear();
+      next[name].forEach(r => store.put(r));
+    });
+    tx.oncomplete = () => resolve(true);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+  await reencryptViews(fromKeys, toKeys);
+  return true;
+}
+
+// Forgotten passphrase: sealed data cannot be read back, so the stores are emptied and the lock
+// removed, and so are the sealed views. Settings stay; sync starts over, so a synced endpoint
+// fills the stores again.
+async function resetLockedData(db) {
+  const names = Object.values(STORES);
+  await new Promise((resolve, reject) => {
+    const tx = db.transaction(names, 'readwrite');
+    names.forEach(name => tx.objectStore(name).clear());
+    tx.oncomplete = () => resolve(true);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+  localStorage.removeItem(LOCK_KEY);
+  localStorage.removeItem(SEEDED_FLAG);
+  if (isSealed(localStorage.getItem(VIEWS_KEY))) localStorage.removeItem(VIEWS_KEY);
+  atRest.views = null;
+  const sync = loadSyncState();
+  saveSyncState({ ...sync, uids: {}, known: {}, outbox: [], lastSync: '' });
+  setAtRestKeys(null);
+  return true;
+}
+
+// Sync with a self-hosted endpoint (optional).
+// The endpoint holds one JSON document, read with GET and written with PUT (a WebDAV file or any
+// REST URL that stores what it is given). ETag / If-Match guard against lost updates; on 412 the
+// document is read again and merged once more.
+// Document: { format, version, entries: { key: { updatedAt, device, record } | { updatedAt, device, deleted: true } } }
+// with keys 'a:<uid>' for activities (ids are local to each database, so rows get a uid that lives
+// in the sync state) and 'r:<hash of the text>' for recentInputs. Deletions stay as tombstones.
+// A row's uid comes from its end time and content when first seen, so devices that start from the
+// same data (e.g. one backup) share rows instead of duplicating them.
+// Conflicts: the later updatedAt wins, then the larger device id, so every device ends up the same.
+// Local changes are found by comparing the stores with the state of the last capture and wait in
+// the outbox until a sync gets through, so edits made offline are kept.
+
+const SYNC_KEY = 'doneTime.sync';
+const SYNC_FORMAT = 'doneTime.sync';
+const SYNC_VERSION = 1;
+
+function makeUid() {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) return crypto.randomUUID();
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+}
+
+// Sync state (kept in localStorage, not in backups):
+// { enabled, url, user, password, device, uids: { id: uid }, known: { key: { h, updatedAt, device } },
+//   outbox: [{ key, updatedAt, device, deleted? }], lastSync }. known holds the version this device
+//   has of each key; outbox entries get their records when they are sent.
+function normalizeSyncState(raw) {
+  const s = raw && typeof raw === 'object' ? raw : {};
+  const obj = (v) => (v && typeof v === 'object' && !Array.isArray(v) ? v : {});
+  return {
+    enabled: s.enabled === true,
+    url: s.url ? String(s.url).trim() : '',
+    user: s.user ? String(s.user) : '',
+    password: s.password ? String(s.password) : '',
+    device: s.device ? String(s.device) : makeUid(),
+    uids: obj(s.uids),
+    known: obj(s.known),
+    outbox: Array.isArray(s.outbox) ? s.outbox : [],
+    lastSync: s.lastSync || '',
+  };
+}
+
+function loadSyncState() {
+  try {
+    return normalizeSyncState(JSON.parse(localStorage.getItem(SYNC_KEY) || 'null'));
+  } catch {
+    return normalizeSyncState(null);
+  }
+}
+
+function saveSyncState(state) {
+  localStorage.setItem(SYNC_KEY, JSON.stringify(state));
+}
+
+// JSON with sorted keys, so the same record always hashes the same
+function stableJson(value) {
+  if (Array.isArray(value)) return `[${value.map(stableJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().filter(k => value[k] !== undefined).map(k => `${JSON.stringify(k)}:${stableJson(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+// FNV-1a of the stable JSON: enough to tell whether a record changed
+function syncHash(record) {
+  const text = stableJson(record);
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return (h >>> 0).toString(16);
+}
+
+// Later updatedAt wins, then the larger device id
+function compareSyncEntries(a, b) {
+  return a.updatedAt.localeCompare(b.updatedAt) || a.device.localeCompare(b.device);
+}
+
+function emptySyncDoc() {
+  return { format: SYNC_FORMAT, version: SYNC_VERSION, entries: {} };
+}
+
+// Merge entries into a document (last writer wins per key); returns a new document
+function mergeSyncDoc(doc, entries) {
+  const merged = { ...emptySyncDoc(), entries: { ...((doc && doc.entries) || {}) } };
+  entries.forEach((entry) => {
+    const cur = merged.entries[entry.key];
+    if (!cur || compareSyncEntries(entry, cur) > 0) {
+      const { key, ...rest } = entry;
+      merged.entries[key] = rest;
+    }
+  });
+  return merged;
+}
+
+// Sync key of a suggestion: a hash, so the text itself never lands in the sync state
+const recentSyncKey = (text) => `r:${syncHash(text)}`;
+
+// Local records by sync key (activities without their local id)
+async function syncLocalRecords(db, state) {
+  const [activities, recent] = await Promise.all([
+    getAllActivities(db),
+    getRecentAll(db),
+  ]);
+  const records = new Map();
+  const taken = new Set(Object.values(state.uids));
+  activities.forEach(({ id, ...rec }) => {
+    if (!state.uids[id]) {
+      const base = `${Date.parse(rec.endTime).toString(36)}-${syncHash({ task: rec.task, startTime: rec.startTime, endTime: rec.endTime })}`;
+      let uid = base;
+      for (let n = 2; taken.has(uid); n++) uid = `${base}-${n}`;
+      taken.add(uid);
+      state.uids[id] = uid;
+    }
+    records.set(`a:${state.uids[id]}`, rec);
+  });
+  recent.forEach(rec => records.set(recentSyncKey(rec.text), rec));
+  return records;
+}
+
+// Queue local changes since the last capture in state.outbox, stamped with now; returns how many
+async function captureSyncChanges(db, state, now = new Date()) {
+  const records = await syncLocalRecords(db, state);
+  const updatedAt = now.toISOString();
+  const changes = [];
+  records.forEach((rec, key) => {
+    const h = syncHash(rec);
+    if (!state.known[key] || state.known[key].h !== h) changes.push({ key, updatedAt, device: state.device, h });
+  });
+  Object.keys(state.known).forEach((key) => {
+    if (!records.has(key) && state.known[key].h) changes.push({ key, updatedAt, device: state.device, deleted: true, h: '' });
+  });
+  // deleted activities no longer need their uid
+  const liveUids = new Set(Array.from(records.keys()).filter(k => k.startsWith('a:')).map(k => k.slice(2)));
+  Object.keys(state.uids).forEach((id) => {
+    if (!liveUids.has(state.uids[id])) delete state.uids[id];
+  });
+  changes.forEach(({ h, ...entry }) => {
+    state.known[entry.key] = { h, updatedAt: entry.updatedAt, device: entry.device };
+    state.outbox = state.outbox.filter(e => e.key !== entry.key).concat(entry);
+  });
+  return changes.length;
+}
+
+// Write the entries of a document that are newer than what this device has; returns how many
+async function applySyncDoc(db, state, doc) {
+  const idByUid = new Map(Object.entries(state.uids).map(([id, uid]) => [uid, Number(id)]));
+  const pending = Object.entries(doc.entries).filter(([key, entry]) => !state.known[key] || compareSyncEntries(entry, state.known[key]) > 0);
+  if (!pending.length) return 0;
+  // records as stored locally (sealed while locked); the document always holds plain text
+  const stored = new Map(await Promise.all(pending.map(async ([key, entry]) => {
+    const store = key.startsWith('r:') ? STORES.recent : STORES.activities;
+    return [key, entry.deleted ? null : await sealRecord(store, entry.record)];
+  })));
+  // a deleted suggestion is found by the hash of its text among the local ones
+  const recentTexts = pending.some(([key, entry]) => key.startsWith('r:') && entry.deleted)
+    ? new Map((await getRecentAll(db)).map(rec => [recentSyncKey(rec.text), rec.text]))
+    : new Map();
+  const recentKeys = new Map(await Promise.all(Array.from(recentTexts)
+    .map(async ([key, text]) => [key, await sealText(atRest.keys, text)])));
+  await new Promise((resolve, reject) => {
+    const tx = db.transaction([STORES.activities, STORES.recent], 'readwrite');
+    const activities = tx.objectStore(STORES.activities);
+    const recent = tx.objectStore(STORES.recent);
+    pending.forEach(([key, entry]) => {
+      state.known[key] = { h: entry.deleted ? '' : syncHash(entry.record), updatedAt: entry.updatedAt, device: entry.device };
+      if (key.startsWith('r:')) {
+        if (entry.deleted) {
+          if (recentKeys.has(key)) recent.delete(recentKeys.get(key));
+        } else {
+          recent.put(stored.get(key));
+        }
+        return;
+      }
+      const uid = key.slice(2);
+      const id = idByUid.get(uid);
+      if (entry.deleted) {
+        if (id != null) {
+          activities.delete(id);
+          delete state.uids[id];
+        }
+      } else if (id != null) {
+        activities.put({ ...stored.get(key), id });
+      } else {
+        const req = activities.add({ ...stored.get(key) });
+        req.onsuccess = () => { state.uids[req.result] = uid; };
+      }
+    });
+    tx.oncomplete = () => resolve(true);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+  return pending.length;
+}
+
+function syncHeaders(state, extra = {}) {
+  const headers = { ...extra };
+  if (state.user) {
+    const bytes = new TextEncoder().encode(`${state.user}:${state.password}`);
+    headers.Authorization = `Basic ${btoa(String.fromCharCode(...bytes))}`;
+  }
+  return headers;
+}
+
+// One round: capture, GET, merge the outbox, PUT when something changed, apply what others wrote.
+// Mutates state (also on failure, so captured changes stay queued); the caller saves it.
+// Returns { pushed, pulled }. Throws when the endpoint cannot be reached or refuses.
+async function syncOnce(db, state, { fetchFn = fetch, now = new Date(), attempts = 3 } = {}) {
+  if (!state.url) throw new Error('同期先のURLが設定されていません');
+  await captureSyncChanges(db, state, now);
+  for (let attempt = 0; attempt < attempts; attempt++) {
+    const res = await fetchFn(state.url, { method: 'GET', cache: 'no-store', headers: syncHeaders(state, { Accept: 'application/json' }) });
+    if (!res.ok && res.status !== 404) throw new Error(`同期先が ${res.status} を返しました`);
+    const etag = res.status === 404 ? null : res.headers.get('ETag');
+    let remote = emptySyncDoc();
+    if (res.status !== 404) {
+      const body = await res.text();
+      if (body.trim()) {
+        remote = JSON.parse(body);
+        if (!remote || remote.format !== SYNC_FORMAT || !remote.entries) throw new Error('同期先のファイルの形式が違います');
+      }
+    }
+    if (!Object.keys(remote.entries).length && state.lastSync) {
+      // 同期済みなのに同期先が空（ファイルが消えた）なら、手元の全件を送り直す（未送信の変更はそのまま）
+      const queued = new Set(state.outbox.map(e => e.key));
+      Object.keys(state.known).forEach((key) => {
+        if (!queued.has(key)) delete state.known[key];
+      });
+      await captureSyncChanges(db, state, now);
+    }
+    // The outbox holds keys only (no task texts in localStorage); records are read now
+    const local = await syncLocalRecords(db, state);
+    const outgoing = state.outbox.map(e => (e.deleted || !local.has(e.key) ? { ...e, deleted: true } : { ...e, record: local.get(e.key) }));
+    const merged = mergeSyncDoc(remote, outgoing);
+    const pushed = state.outbox.filter(e => stableJson(merged.entries[e.key]) !== stableJson(remote.entries[e.key])).length;
+    if (pushed) {
+      const put = await fetchFn(state.url, {
+        method: 'PUT',
+        body: JSON.stringify(merged),
+        headers: syncHeaders(state, {
+          'Content-Type': 'application/json',
+          ...(etag ? { 'If-Match': etag } : res.status === 404 ? { 'If-None-Match': '*' } : {}),
+        }),
+      });
+      // 他の端末が先に書き込んだときは読み直してもう一度まとめる
+      if (put.status === 412) continue;
+      if (!put.ok) throw new Error(`同期先が ${put.status} を返しました`);
+    }
+    const pulled = await applySyncDoc(db, state, merged);
+    state.outbox = [];
+    state.lastSync = now.toISOString();
+    return { pushed, pulled };
+  }
+  throw new Error('他の端末の同期と重なったため、同期できませんでした');
+}
+
+// CSV import (round-trips the activities_detail_*.csv written by the CSV button)
+
+// Minimal RFC 4180 parser: quoted fields, "" escapes, CRLF/LF, leading BOM.
+function parseCsv(text) {
+  const src = String(text || '').replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+    if (quoted) {
+      if (c === '"') {
+        if (src[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          quoted = false;
+        }
+      } else {
+        field += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ',') {
+      row.push(field);
+      field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && src[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += c;
+    }
+  }
+  if (field !== '' || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  // Drop blank lines (e.g. trailing newline written by spreadsheets)
+  return rows.filter(r => r.some(f => f.trim() !== ''));
+}
+
+// Order of year/month/day in this browser's toLocaleString() output
+function localeDateOrder() {
+  try {
+    const parts = new Intl.DateTimeFormat().formatToParts(new Date(2001, 10, 22));
+    return parts.filter(p => ['year', 'month', 'day'].includes(p.type)).map(p => p.type);
+  } catch {
+    return ['year', 'month', 'day'];
+  }
+}
+
+// Parse a timestamp written by fmtLocal (toLocaleString) back to ISO.
+// Accepts ISO strings, "2025/1/2 9:05:00" (ja), "1/2/2025, 9:05:00 AM" (en-US) and
+// the seconds-less variants spreadsheets tend to write back. Returns '' when invalid.
+function parseLocalDateTime(str) {
+  const s = String(str || '').trim();
+  if (!s) return '';
+  if (/^\d{4}-\d{2}-\d{2}T/.test(s)) {
+    const d = new Date(s);
+    return isNaN(d) ? '' : d.toISOString();
+  }
+  const nums = s.match(/\d+/g);
+  if (!nums || nums.length < 5 || nums.length > 6) return '';
+  const order = nums[0].length === 4 ? ['year', 'month', 'day'] : localeDateOrder();
+  const date = {};
+  order.forEach((type, i) => { date[type] = Number(nums[i]); });
+  let hh = Number(nums[3]);
+  const mi = Number(nums[4]);
+  const ss = nums[5] != null ? Number(nums[5]) : 0;
+  const pm = /PM|午後/i.test(s);
+  const am = /AM|午前/i.test(s);
+  if (pm || am) {
+    if (hh < 1 || hh > 12) return '';
+    hh = (hh % 12) + (pm ? 12 : 0);
+  }
+  const d = new Date(date.year, date.month - 1, date.day, hh, mi, ss);
+  // Reject overflowed values such as 2/30 or 25:00
+  if (d.getFullYear() !== date.year || d.getMonth() !== date.month - 1 || d.getDate() !== date.day
+    || d.getHours() !== hh || d.getMinutes() !== mi || d.getSeconds() !== ss) {
+    return '';
+  }
+  return d.toISOString();
+}
+
+// CSV timestamps have no milliseconds, so compare end times at second precision
+const endTimeKey = (iso) => String(iso || '').slice(0, 19);
+
+// Turn parsed CSV rows into import candidates with validation errors.
+// existingActivities is used to flag rows whose endTime already exists in the store.
+function buildImportPreview(csvRows, existingActivities = []) {
+  if (!csvRows.length) throw new Error('CSVにデータがありません');
+  const header = csvRows[0].map(h => h.trim());
+  const col = {
+    task: header.indexOf('作業内容'),
+    start: header.indexOf('開始時刻'),
+    end: header.indexOf('完了時刻'),
+  };
+  if (col.task < 0 || col.start < 0 || col.end < 0) {
+    throw new Error('「作業内容」「開始時刻」「完了時刻」の列が見つかりません');
+  }
+  const existingKeys = new Set(existingActivities.map(a => endTimeKey(a.endTime)));
+  const seen = new Map();
+  return csvRows.slice(1).map((r, i) => {
+    const line = i + 2;
+    const task = (r[col.task] || '').trim();
+    const startTime = parseLocalDateTime(r[col.start]);
+    const endTime = parseLocalDateTime(r[col.end]);
+    const errors = [];
+    if (!task) errors.push('作業内容が空です');
+    if (!startTime) errors.push('開始時刻が不正です');
+    if (!endTime) errors.push('完了時刻が不正です');
+    if (startTime && endTime && endTime < startTime) errors.push('完了時刻が開始時刻より前です');
+    let existing = false;
+    if (endTime) {
+      const key = endTimeKey(endTime);
+      if (seen.has(key)) errors.push(`完了時刻が${seen.get(key)}行目と重複しています`);
+      else seen.set(key, line);
+      existing = existingKeys.has(key);
+    }
+    return { line, task, startTime, endTime, errors, existing };
+  });
+}
+
+// Write valid preview rows into the activities store in one transaction.
+// Rows colliding with an existing endTime are skipped unless overwrite is set.
+async function importActivities(db, previewRows, { overwrite = false } = {}) {
+  const valid = previewRows.filter(r => !r.errors.length && (overwrite || !r.existing));
+  const existing = overwrite ? await getAllActivities(db) : [];
+  const existingByKey = new Map(existing.map(a => [endTimeKey(a.endTime), a]));
+  const rows = await sealRecords(STORES.activities, valid.map(r => ({ task: r.task, startTime: r.startTime, endTime: r.endTime })));
+  await withStore(db, STORES.activities, 'readwrite', (store) => {
+    valid.forEach((r, i) => {
+      const old = existingByKey.get(endTimeKey(r.endTime));
+      store.put(old ? { ...rows[i], id: old.id } : rows[i]);
+    });
+  });
+  return valid.length;
+}
+
+// Helper: YYYY-MM-DD (local) from ISO string
+const toLocalYMD = (iso) => {
+  if (!iso) return '';
+  const d = new Date(iso);
+  const y = d.getFullYear();
+  const m = String(d.getMonth() + 1).padStart(2, '0');
+  const day = String(d.getDate()).padStart(2, '0');
+  return `${y}-${m}-${day}`;
+};
+
+// Grouping modes for the activities table
+const GROUP_MODES = {
+  none: 'なし',
+  task: '作業別',
+  tag: 'タグ別',
+  dayTag: '日付×タグ別',
+  tree: 'プロジェクト別（ツリー）',
+};
+
+// Duration share per tag: 'each' counts the full duration toward every tag,
+// 'split' divides it evenly between the activity's tags.
+function tagShares(tags, ms, tagSplit) {
+  const names = tags.length ? tags : [UNTAGGED_LABEL];
+  const share = tagSplit === 'split' ? ms / names.length : ms;
+  return names.map(name => [name, share]);
+}
+
+// Timesheet rounding: settings.roundUnit minutes (0 = off), roundMode 'nearest' | 'up' | 'down',
+// roundScope 'row' (each row), 'taskDay' (each task's total per day) or 'day' (daily total).
+// The rounded amounts are handed back to the rows they came from, so any grouping of the rows
+// adds up to the same rounded daily totals.
+
+function roundMs(ms, unitMs, mode) {
+  const q = ms / unitMs;
+  return (mode === 'up' ? Math.ceil(q) : mode === 'down' ? Math.floor(q) : Math.round(q)) * unitMs;
+}
+
+// Split total (a multiple of step) in proportion to integer weights, in multiples of step.
+// Largest remainder; ties go to the earlier item so the result is stable.
+function apportion(weights, total, step) {
+  if (!weights.length) return [];
+  const units = Math.round(total / step);
+  const sum = weights.reduce((s, w) => s + w, 0);
+  if (sum <= 0) return weights.map((w, i) => (i === 0 ? units * step : 0));
+  const parts = weights.map(w => Math.floor((w * units) / sum));
+  let left = units - parts.reduce((s, p) => s + p, 0);
+  weights
+    .map((w, i) => [(w * units) % sum, i])
+    .sort((a, b) => b[0] - a[0] || a[1] - b[1])
+    .forEach(([, i]) => {
+      if (left > 0) { parts[i] += 1; left -= 1; }
+    });
+  return parts.map(p => p * step);
+}
+
+// Map of activity → rounded ms, or null when rounding is off.
+// Days follow the endTime like the date filter; rows are apportioned to the second.
+function roundActivities(activities, { roundUnit = 0, roundMode = 'nearest', roundScope = 'row' } = {}) {
+  const unit = roundUnit * 60000;
+  if (!(unit > 0)) return null;
+  const rawMs = (a) => Math.max(0, new Date(a.endTime) - new Date(a.startTime));
+  const days = new Map();
+  activities
+    .slice()
+    .sort((a, b) => a.endTime.localeCompare(b.endTime) || a.startTime.localeCompare(b.startTime))
+    .forEach((a) => {
+      const day = toLocalYMD(a.endTime);
+      const tasks = days.get(day) || new Map();
+      tasks.set(a.task || '', [...(tasks.get(a.task || '') || []), a]);
+      days.set(day, tasks);
+    });
+  const result = new Map();
+  for (const tasks of days.values()) {
+    const groups = Array.from(tasks.values());
+    if (roundScope === 'row') {
+      groups.flat().forEach(a => result.set(a, roundMs(rawMs(a), unit, roundMode)));
+      continue;
+    }
+    const sums = groups.map(rows => rows.reduce((s, a) => s + rawMs(a), 0));
+    const targets = roundScope === 'day'
+      ? apportion(sums, roundMs(sums.reduce((s, v) => s + v, 0), unit, roundMode), unit)
+      : sums.map(s => roundMs(s, unit, roundMode));
+    groups.forEach((rows, i) => {
+      apportion(rows.map(rawMs), targets[i], 1000).forEach((ms, j) => result.set(rows[j], ms));
+    });
+  }
+  return result;
+}
+
+// Billing: catalog tags may carry an hourly rate, a currency (ISO 4217), a billable flag and a priority.
+// A row is billed by one tag: the highest priority wins, then the tag listed first on the row.
+// Tags marked not billable take part as well, so a higher-priority 社内 tag makes a row non-billable.
+// Billable time is the rounded time when rounding is on.
+
+const DEFAULT_CURRENCY = 'JPY';
+
+// Billing fields of a catalog record, or null when the tag has none
+function normalizeTagBilling(rec) {
+  if (!rec) return null;
+  const rate = Number(rec.rate);
+  const priority = Number(rec.priority);
+  const currency = String(rec.currency || '').trim().toUpperCase();
+  const billing = {
+    rate: Number.isFinite(rate) && rate > 0 ? rate : 0,
+    currency: /^[A-Z]{3}$/.test(currency) ? currency : DEFAULT_CURRENCY,
+    billable: rec.billable !== false,
+    priority: Number.isFinite(priority) ? Math.trunc(priority) : 0,
+  };
+  return billing.rate > 0 || !billing.billable ? billing : null;
+}
+
+// Tag name → billing fields, from the tag catalog
+function billingRates(catalog) {
+  const rates = new Map();
+  (catalog || []).forEach((rec) => {
+    const billing = rec && normalizeTagBilling(rec);
+    if (billing) rates.set(rec.name, billing);
+  });
+  return rates;
+}
+
+// The winning tag of a row: { tag, rate, currency, billable, priority } or null
+function billingFor(tags, rates) {
+  let best = null;
+  (tags || []).forEach((tag) => {
+    const billing = rates && rates.get(tag);
+    if (billing && (!best || billing.priority > best.priority)) best = { tag, ...billing };
+  });
+  return best;
+}
+
+// { billableMs, currency, amount } of one row (amount unrounded), or null when no tag has billing
+function billActivity(activity, taskTagsMap, rates, ms) {
+  const billing = billingFor(activityTags(activity, taskTagsMap), rates);
+  if (!billing) return null;
+  const billableMs = billing.billable ? ms : 0;
+  return { billableMs, currency: billing.currency, amount: (billableMs / 3600000) * billing.rate };
+}
+
+// Minor units of a currency (JPY 0, USD 2)
+function currencyDigits(currency) {
+  try {
+    return new Intl.NumberFormat('en', { style: 'currency', currency }).resolvedOptions().maximumFractionDigits;
+  } catch {
+    return 2;
+  }
+}
+
+function roundAmount(amount, currency) {
+  const f = 10 ** currencyDigits(currency);
+  return Math.round((amount + Number.EPSILON) * f) / f;
+}
+
+// Add amount to a { currency: amount } total
+function addAmount(amounts, currency, amount) {
+  amounts[currency] = (amounts[currency] || 0) + amount;
+  return amounts;
+}
+
+// "￥12,000 / $50.50", one part per currency in code order ('' for none)
+function formatAmounts(amounts) {
+  return Object.keys(amounts || {}).sort().map((currency) => {
+    try {
+      return new Intl.NumberFormat('ja-JP', { style: 'currency', currency }).format(amounts[currency]);
+    } catch {
+      return `${amounts[currency]} ${currency}`;
+    }
+  }).join(' / ');
+}
+
+// Build table rows for the date range, search query terms and grouping mode.
+// Grouped modes leave out rows tagged EXCLUDED_TAG.
+// roundedDuration is filled in when rounding (settings, see roundActivities) is on,
+// billableDuration and amount when some tag has billing (rates, see billingRates).
+function buildActivityRows(activitiesMaster, taskTagsMap, { from = '', to = '', query = [], groupMode = 'none', tagSplit = 'each', rounding = null, separator = '', rates = null } = {}) {
+  const inRange = (from || to)
+    ? activitiesMaster.filter(a => {
+        const d = toLocalYMD(a.endTime);
+        if (from && d < from) return false;
+        if (to && d > to) return false;
+        return true;
+      })
+    : activitiesMaster.slice();
+  const filtered = query.length ? inRange.filter(a => matchesQuery(a, query, taskTagsMap)) : inRange;
+
+  // 「集計対象外」タグ付きの作業内容は集計・丸めの対象外
+  const isIncluded = (a) => !activityTags(a, taskTagsMap).includes(EXCLUDED_TAG);
+  const included = filtered.filter(isIncluded);
+  // 丸めは検索で絞り込む前の（丸1日分の）行で計算し、検索によって丸め後の時間が変わらないようにする
+  const rounded = rounding ? roundActivities(inRange.filter(isIncluded), rounding) : null;
+  const billed = rates && rates.size > 0;
+  const billOf = (a) => {
+    if (!billed || activityTags(a, taskTagsMap).includes(EXCLUDED_TAG)) return null;
+    const ms = rounded && rounded.has(a) ? rounded.get(a) : Math.max(0, new Date(a.endTime) - new Date(a.startTime));
+    return billActivity(a, taskTagsMap, rates, ms);
+  };
+  const billingCells = (billableMs, amounts) => ({
+    billableDuration: billed ? msToHMS(Math.round(billableMs)) : '',
+    amount: billed ? formatAmounts(amounts) : '',
+  });
+  // ツリーは階層順のまま返す
+  if (groupMode === 'tree') return buildTaskTreeRows(included, separator, rounded, billed ? billOf : null);
+
+  let rows;
+  if (groupMode === 'none' || !GROUP_MODES[groupMode]) {
+    rows = filtered.map((a) => {
+      const bill = billOf(a);
+      return {
+        ...a,
+        duration: buildDuration(a.startTime, a.endTime),
+        roundedDuration: rounded && rounded.has(a) ? msToHMS(rounded.get(a)) : '',
+        ...billingCells(bill ? bill.billableMs : 0, bill ? addAmount({}, bill.currency, bill.amount) : {})
+      };
+    });
+  } else {
+    const map = new Map();
+    // fraction: the row's share of the activity (tag split), applied to its billing too
+    const add = (key, label, tags, a, ms, roundedMs, bill, fraction) => {
+      const cur = map.get(key) || {
+        task: label,
+        tags,
+        startTime: a.startTime,
+        endTime: a.endTime,
+        _durationMs: 0,
+        _roundedMs: 0,
+        _billableMs: 0,
+        _amounts: {}
+      };
+      // min start, max end
+      if (a.startTime < cur.startTime) cur.startTime = a.startTime;
+      if (a.endTime > cur.endTime) cur.endTime = a.endTime;
+      cur._durationMs += ms;
+      cur._roundedMs += roundedMs;
+      if (bill) {
+        cur._billableMs += bill.billableMs * fraction;
+        addAmount(cur._amounts, bill.currency, bill.amount * fraction);
+      }
+      map.set(key, cur);
+    };
+    for (const a of included) {
+      const ms = Math.max(0, new Date(a.endTime) - new Date(a.startTime));
+      const roundedMs = rounded ? rounded.get(a) : 0;
+      const bill = billOf(a);
+      if (groupMode === 'task') {
+        add(a.task || '', a.task || '', undefined, a, ms, roundedMs, bill, 1);
+        continue;
+      }
+      const day = groupMode === 'dayTag' ? toLocalYMD(a.endTime) : '';
+      const tags = activityTags(a, taskTagsMap);
+      const roundedShares = tagShares(tags, roundedMs, tagSplit);
+      const fraction = tagSplit === 'split' && tags.length ? 1 / tags.length : 1;
+      tagShares(tags, ms, tagSplit).forEach(([tag, share], i) => {
+        add(`${day}\u0000${tag}`, tag, tag === UNTAGGED_LABEL ? [] : [tag], a, share, roundedShares[i][1], bill, fraction);
+      });
+    }
+    rows = Array.from(map.values()).map(r => ({
+      task: r.task,
+      tags: r.tags,
+      startTime: r.startTime,
+      endTime: r.endTime,
+      duration: msToHMS(r._durationMs),
+      roundedDuration: rounded ? msToHMS(r._roundedMs) : '',
+      ...billingCells(r._billableMs, r._amounts)
+    }));
+  }
+
+  // Sort by endTime asc (古い完了日が上になるように)
+  rows.sort((a, b) => a.endTime.localeCompare(b.endTime));
+  return rows;
+}
+
+// Current grouping mode from the selector
+function getGroupMode() {
+  const el = document.getElementById('groupMode');
+  return (el && GROUP_MODES[el.value]) ? el.value : 'none';
+}
+
+// Rows for the current filter/grouping controls (the table and the exporters)
+function currentActivityRows(activitiesMaster, taskTagsMap, settings, { groupMode = getGroupMode(), rates = null } = {}) {
+  const filterDateFromInput = document.getElementById('filterDateFrom');
+  const filterDateToInput = document.getElementById('filterDateTo');
+  const queryInput = document.getElementById('activityQuery');
+  const queryError = document.getElementById('activityQueryError');
+
+  // 構文エラーは検索欄の下に表示し、検索条件なしで表示する
+  let query = [];
+  try {
+    query = parseActivityQuery(queryInput ? queryInput.value : '');
+    if (queryError) queryError.textContent = '';
+  } catch (err) {
+    if (queryError) queryError.textContent = err.message;
+  }
+
+  return buildActivityRows(activitiesMaster, taskTagsMap, {
+    from: (filterDateFromInput && filterDateFromInput.value) ? filterDateFromInput.value : '',
+    to: (filterDateToInput && filterDateToInput.value) ? filterDateToInput.value : '',
+    query,
+    groupMode,
+    tagSplit: settings && settings.tagSplit,
+    rounding: settings,
+    separator: settings ? settings.projectSeparator : '',
+    rates,
+  });
+}
+
+// Render activities with current filter/grouping settings (rates: see billingRates)
+function renderActivities(activitiesTable, activitiesMaster, taskTagsMap, settings, rates = null) {
+  const rows = currentActivityRows(activitiesMaster, taskTagsMap, settings, { rates });
+  // 丸め後の列は丸めを設定したときだけ、請求の列は単価のあるタグがあるときだけ表示
+  const showRounded = !!(settings && settings.roundUnit > 0);
+  const showBilling = !!(rates && rates.size > 0);
+  [['rounded:name', showRounded], ['billable:name', showBilling], ['amount:name', showBilling]].forEach(([sel, show]) => {
+    const col = activitiesTable.column(sel);
+    if (col.visible() !== show) col.visible(show);
+  });
+  activitiesTable.clear().rows.add(rows).draw(false);
+  // ツリー集計は表の代わりに折りたたみ表示（CSVなどの出力は表の行から）
+  const treeEl = document.getElementById('activityTree');
+  const tableEl = document.getElementById('activitiesTable');
+  const tableBox = (tableEl && tableEl.closest('.dt-container')) || tableEl;
+  const isTree = getGroupMode() === 'tree';
+  if (treeEl) {
+    treeEl.style.display = isTree ? '' : 'none';
+    treeEl.innerHTML = isTree ? renderTaskTree(rows, { rounded: showRounded, billing: showBilling }) : '';
+  }
+  if (tableBox) tableBox.style.display = isTree ? 'none' : '';
+}
+
+// Filter views: date presets and named views (date range, grouping, search)
+
+const VIEWS_KEY = 'doneTime.views';
+
+const DATE_PRESETS = {
+  today: '今日',
+  yesterday: '昨日',
+  thisWeek: '今週',
+  lastWeek: '先週',
+  thisMonth: '今月',
+  lastMonth: '先月',
+};
+
+// Local from/to (YYYY-MM-DD) of a preset relative to now; weeks start on Monday as in the reports
+function datePresetRange(preset, now = new Date()) {
+  const y = now.getFullYear();
+  const m = now.getMonth();
+  const d = now.getDate();
+  const monday = d - (now.getDay() + 6) % 7;
+  const ymd = (day, month = m) => toLocalYMD(new Date(y, month, day).toISOString());
+  switch (preset) {
+    case 'today': return { from: ymd(d), to: ymd(d) };
+    case 'yesterday': return { from: ymd(d - 1), to: ymd(d - 1) };
+    case 'thisWeek': return { from: ymd(monday), to: ymd(monday + 6) };
+    case 'lastWeek': return { from: ymd(monday - 7), to: ymd(monday - 1) };
+    case 'thisMonth': return { from: ymd(1), to: ymd(0, m + 1) };
+    case 'lastMonth': return { from: ymd(1, m - 1), to: ymd(0) };
+    default: return null;
+  }
+}
+
+const isYMD = (v) => /^\d{4}-\d{2}-\d{2}$/.test(String(v || ''));
+
+function normalizeView(raw) {
+  const v = raw && typeof raw === 'object' ? raw : {};
+  return {
+    name: v.name ? String(v.name) : '',
+    // A preset is kept by name so that "今週" still means this week when restored later
+    preset: DATE_PRESETS[v.preset] ? v.preset : '',
+    from: isYMD(v.from) ? v.from : '',
+    to: isYMD(v.to) ? v.to : '',
+    groupMode: GROUP_MODES[v.groupMode] ? v.groupMode : 'none',
+    search: v.search ? String(v.search) : '',
+  };
+}
+
+// Date range a view filters on today
+function viewRange(view, now = new Date()) {
+  return datePresetRange(view.preset, now) || { from: view.from, to: view.to };
+}
+
+// { saved: [named views], last: view shown before the reload or null }
+function loadViews() {
+  try {
+    // while locked, the stored views are sealed and read from the copy opened at unlock
+    const stored = localStorage.getItem(VIEWS_KEY);
+    const raw = JSON.parse((isSealed(stored) ? atRest.views : stored) || '{}') || {};
+    return {
+      saved: Array.isArray(raw.saved) ? raw.saved.map(normalizeView).filter(v => v.name) : [],
+      last: raw.last ? normalizeView(raw.last) : null,
+    };
+  } catch {
+    return { saved: [], last: null };
+  }
+}
+function saveViews(views) {
+  const text = JSON.stringify({
+    saved: (views.saved || []).map(normalizeView).filter(v => v.name),
+    last: views.last ? normalizeView(views.last) : null,
+  });
+  if (!atRest.keys) {
+    localStorage.setItem(VIEWS_KEY, text);
+    return Promise.resolve();
+  }
+  // Sealing is async: only the latest views get written
+  atRest.views = text;
+  return sealText(atRest.keys, text).then((sealed) => {
+    if (atRest.views === text) localStorage.setItem(VIEWS_KEY, sealed);
+  }).catch(e => console.warn('Failed to save views', e));
+}
+
+// Add a named view, replacing one with the same name in place
+function upsertView(saved, view) {
+  const v = normalizeView(view);
+  const idx = saved.findIndex(s => s.name === v.name);
+  if (idx < 0) return [...saved, v];
+  return saved.map((s, i) => (i === idx ? v : s));
+}
+
+// Activities search query
+// Space-separated terms, all of which must match; a leading "-" negates a term.
+//   tag:projA         has the tag (exact)          task:"レビュー"   task text contains
+//   dur>30m           duration (> >= < <= =; h/m/s, bare numbers are minutes)
+//   date:a..b         completion date range (either side may be empty, or a single day / preset name)
+//   ticket:ABC-*      a word of the task text matches the pattern (* = anything)
+//   other words       task text or tags contain the word
+const QUERY_FIELDS = ['tag', 'task', 'dur', 'date', 'ticket'];
+
+// Split on whitespace outside double quotes
+function tokenizeQuery(text) {
+  const tokens = [];
+  let cur = '';
+  let quoted = false;
+  for (const ch of String(text || '')) {
+    if (ch === '"') quoted = !quoted;
+    if (!quoted && /\s/.test(ch)) {
+      if (cur) tokens.push(cur);
+      cur = '';
+    } else {
+      cur += ch;
+    }
+  }
+  if (quoted) throw new Error('「"」が閉じられていません');
+  if (cur) tokens.push(cur);
+  return tokens;
+}
+
+function parseQueryDuration(value) {
+  const m = /^(?:(\d+(?:\.\d+)?)h)?(?:(\d+)m)?(?:(\d+)s)?$/i.exec(value);
+  if (/^\d+(?:\.\d+)?$/.test(value)) return Number(value) * 60000;
+  if (!value || !m) throw new Error(`時間の形式が正しくありません: ${value}（例: 30m, 1h30m）`);
+  return ((Number(m[1]) || 0) * 3600 + (Number(m[2]) || 0) * 60 + (Number(m[3]) || 0)) * 1000;
+}
+
+function parseQueryDate(value) {
+  const preset = datePresetRange(value);
+  if (preset) return preset;
+  const [from, to = from] = value.split('..');
+  if (value.split('..').length > 2 || (from && !isYMD(from)) || (to && !isYMD(to)) || (!from && !to)) {
+    throw new Error(`日付の形式が正しくありません: ${value}（例: 2026-10-01..2026-10-15）`);
+  }
+  return { from, to };
+}
+
+// Parse a query into terms; throws with a message for the inline error
+function parseActivityQuery(text) {
+  return tokenizeQuery(text).map((token) => {
+    const neg = token.length > 1 && token.startsWith('-');
+    const body = neg ? token.slice(1) : token;
+    const m = /^([A-Za-z]+)(>=|<=|:|>|<|=)([\s\S]*)$/.exec(body);
+    if (!m) return { type: 'text', neg, value: body.replace(/"/g, '') };
+    const field = m[1].toLowerCase();
+    const op = m[2];
+    const value = m[3].replace(/"/g, '');
+    if (!QUERY_FIELDS.includes(field)) {
+      throw new Error(`不明な項目「${m[1]}」です（${QUERY_FIELDS.join(', ')}）。文字として検索するには "" で囲んでください`);
+    }
+    if (!value) throw new Error(`「${field}${op}」の値がありません`);
+    if (field === 'dur') {
+      if (op === ':') throw new Error('dur には > >= < <= = を使います（例: dur>30m）');
+      return { type: 'dur', neg, op, ms: parseQueryDuration(value) };
+    }
+    if (op !== ':') throw new Error(`${field} には「:」を使います（例: ${field}:…）`);
+    if (field === 'date') return { type: 'date', neg, ...parseQueryDate(value) };
+    if (field === 'ticket') {
+      return { type: 'ticket', neg, pattern: new RegExp(`^${escapeRegExp(value).replace(/\\\*/g, '.*')}$`, 'i') };
+    }
+    return { type: field, neg, value };
+  });
+}
+
+const DUR_OPS = {
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '=': (a, b) => a === b,
+};
+
+function matchesQuery(activity, terms, taskTagsMap) {
+  const task = activity.task || '';
+  const lower = task.toLowerCase();
+  const tags = activityTags(activity, taskTagsMap);
+  return terms.every((t) => {
+    let hit;
+    if (t.type === 'tag') {
+      hit = tags.some(tag => tag.toLowerCase() === t.value.toLowerCase());
+    } else if (t.type === 'task') {
+      hit = lower.includes(t.value.toLowerCase());
+    } else if (t.type === 'dur') {
+      hit = DUR_OPS[t.op](new Date(activity.endTime) - new Date(activity.startTime), t.ms);
+    } else if (t.type === 'date') {
+      const d = toLocalYMD(activity.endTime);
+      hit = (!t.from || d >= t.from) && (!t.to || d <= t.to);
+    } else if (t.type === 'ticket') {
+      hit = task.split(/[\s、。,()（）「」【】[\]]+/).some(word => t.pattern.test(word));
+    } else {
+      hit = `${lower} ${tags.join(' ').toLowerCase()}`.includes(t.value.toLowerCase());
+    }
+    return t.neg ? !hit : hit;
+  });
+}
+
+// Query term for a tag, e.g. from a tag click
+function tagQueryTerm(tag) {
+  return /[\s"]/.test(tag) ? `tag:"${tag.replace(/"/g, '')}"` : `tag:${tag}`;
+}
+
+// Projects: a row's path is its project (activity.project, optional) followed by its task text,
+// both split on settings.projectSeparator ('' = no hierarchy in the text).
+// "projA/設計" and project "projA" + task "設計" end up in the same place.
+function taskPath(activity, separator) {
+  const split = (text) => {
+    const t = String(text || '').trim();
+    return (separator ? t.split(separator) : [t]).map(p => p.trim()).filter(Boolean);
+  };
+  const project = split(activity.project);
+  const task = split(activity.task);
+  // 作業内容がプロジェクト名から始まるときは二重にしない
+  if (project.length && project.every((p, i) => task[i] === p)) return task;
+  return [...project, ...task];
+}
+
+// Top-level project of a row ('' when it has none)
+function topProject(activity, separator) {
+  const path = taskPath(activity, separator);
+  return path.length > 1 ? path[0] : '';
+}
+
+// Task text → top-level project, from the latest row with that text (its project field)
+// or else from the text itself
+function taskProjectResolver(activities, separator) {
+  const latest = new Map();
+  activities.forEach((a) => {
+    const cur = latest.get(a.task);
+    if (!cur || a.endTime > cur.endTime) latest.set(a.task, a);
+  });
+  return (text) => topProject(latest.get(text) || { task: text }, separator);
+}
+
+// Tree rows for the 'tree' grouping: one row per node in pre-order, with subtotals.
+// roundedMap (see roundActivities) adds rounded subtotals, billOf (activity → billActivity) billing ones.
+function buildTaskTreeRows(activities, separator, roundedMap = null, billOf = null) {
+  const root = { children: new Map() };
+  activities.forEach((a) => {
+    const ms = Math.max(0, new Date(a.endTime) - new Date(a.startTime));
+    const bill = billOf && billOf(a);
+    let node = root;
+    taskPath(a, separator).forEach((name) => {
+      if (!node.children.has(name)) {
+        node.children.set(name, { name, ms: 0, roundedMs: 0, billableMs: 0, amounts: {}, startTime: a.startTime, endTime: a.endTime, children: new Map() });
+      }
+      node = node.children.get(name);
+      node.ms += ms;
+      node.roundedMs += roundedMap ? roundedMap.get(a) : 0;
+      if (bill) {
+        node.billableMs += bill.billableMs;
+        addAmount(node.amounts, bill.currency, bill.amount);
+      }
+      if (a.startTime < node.startTime) node.startTime = a.startTime;
+      if (a.endTime > node.endTime) node.endTime = a.endTime;
+    });
+  });
+  const rows = [];
+  const walk = (node, path) => {
+    Array.from(node.children.values())
+      .sort((x, y) => y.ms - x.ms || x.name.localeCompare(y.name))
+      .forEach((child) => {
+        const childPath = [...path, child.name];
+        rows.push({
+          task: childPath.join(separator || ' / '),
+          name: child.name,
+          depth: path.length,
+          hasChildren: child.children.size > 0,
+          tags: [],
+          startTime: child.startTime,
+          endTime: child.endTime,
+          duration: msToHMS(child.ms),
+          roundedDuration: roundedMap ? msToHMS(child.roundedMs) : '',
+          billableDuration: billOf ? msToHMS(child.billableMs) : '',
+          amount: billOf ? formatAmounts(child.amounts) : ''
+        });
+        walk(child, childPath);
+      });
+  };
+  walk(root, []);
+  return rows;
+}
+
+// Collapsible <details> tree from buildTaskTreeRows (top level open)
+function renderTaskTree(rows, { rounded = false, billing = false } = {}) {
+  if (!rows.length) return '<div style="color:var(--dtm-muted);">集計対象の作業がありません</div>';
+  let html = '';
+  const open = [];
+  rows.forEach((r) => {
+    while (open.length && open[open.length - 1] >= r.depth) {
+      html += '</div></details>';
+      open.pop();
+    }
+    const label = `<span class="tree-name">${escapeHtml(r.name)}</span>`
+      + `<span class="tree-total">${r.duration}${rounded ? `（丸め後 ${r.roundedDuration}）` : ''}</span>`
+      + (billing ? `<span class="tree-total">請求 ${r.billableDuration}${r.amount ? ` ${escapeHtml(r.amount)}` : ''}</span>` : '');
+    if (r.hasChildren) {
+      html += `<details class="tree-node"${r.depth === 0 ? ' open' : ''}><summary>${label}</summary><div class="tree-children">`;
+      open.push(r.depth);
+    } else {
+      html += `<div class="tree-leaf">${label}</div>`;
+    }
+  });
+  return html + '</div></details>'.repeat(open.length);
+}
+
+// Timeline (Gantt) helpers
+
+// Stable colour per tag name
+function tagColor(tag) {
+  let h = 0;
+  for (const ch of String(tag)) h = (h * 31 + ch.codePointAt(0)) % 360;
+  return `hsl(${h}, 55%, 45%)`;
+}
+
+// Enumerate YYYY-MM-DD (local) from..to inclusive
+function enumerateDays(fromYMD, toYMD) {
+  const days = [];
+  if (!fromYMD || !toYMD || fromYMD > toYMD) return days;
+  const [y, m, d] = fromYMD.split('-').map(Number);
+  for (let i = 0; ; i++) {
+    const ymd = toLocalYMD(new Date(y, m - 1, d + i).toISOString());
+    if (ymd > toYMD) break;
+    days.push(ymd);
+  }
+  return days;
+}
+
+// Split activities into per-day segments on a 24h axis (minutes from local midnight).
+// Rows crossing midnight become one segment per day. Overlapping segments are
+// placed on separate lanes so that they stay visible.
+function buildTimelineDays(activities, taskTagsMap, fromYMD, toYMD) {
+  const byDay = new Map(enumerateDays(fromYMD, toYMD).map(ymd => [ymd, []]));
+  for (const a of activities) {
+    const start = new Date(a.startTime).getTime();
+    const end = new Date(a.endTime).getTime();
+    if (isNaN(start) || isNaN(end) || end < start) continue;
+    const tags = activityTags(a, taskTagsMap);
+    const excluded = tags.includes(EXCLUDED_TAG);
+    let cur = start;
+    do {
+      const d = new Date(cur);
+      const dayStart = new Date(d.getFullYear(), d.getMonth(), d.getDate()).getTime();
+      const dayEnd = new Date(d.getFullYear(), d.getMonth(), d.getDate() + 1).getTime();
+      const segEnd = Math.min(end, dayEnd);
+      const list = byDay.get(toLocalYMD(d.toISOString()));
+      if (list) {
+        list.push({
+          activity: a,
+          tags,
+          excluded,
+          startMin: (cur - dayStart) / 60000,
+          endMin: (segEnd - dayStart) / 60000,
+        });
+      }
+      cur = dayEnd;
+    } while (cur < end);
+  }
+  return Array.from(byDay.entries()).map(([date, segments]) => {
+    segments.sort((x, y) => x.startMin - y.startMin || x.endMin - y.endMin);
+    const laneEnds = [];
+    segments.forEach((seg) => {
+      let lane = laneEnds.findIndex(endMin => endMin <= seg.startMin);
+      if (lane < 0) {
+        lane = laneEnds.length;
+        laneEnds.push(0);
+      }
+      laneEnds[lane] = seg.endMin;
+      seg.lane = lane;
+    });
+    return { date, lanes: Math.max(1, laneEnds.length), segments };
+  });
+}
+
+// Render timeline days into a container (bars carry data-id for lookups)
+function renderTimeline(container, days) {
+  if (!container) return;
+  const pct = (min) => `${(min / 1440 * 100).toFixed(3)}%`;
+  const axis = [0, 3, 6, 9, 12, 15, 18, 21, 24]
+    .map(h => `<span class="timeline-hour" style="left:${pct(h * 60)};">${h}</span>`).join('');
+  const rows = days.map(day => {
+    const bars = day.segments.map(seg => {
+      const a = seg.activity;
+      const colorTag = seg.tags.find(t => t !== EXCLUDED_TAG);
+      const color = seg.excluded ? '#475569' : (colorTag ? tagColor(colorTag) : '#3b82f6');
+      const title = `${a.task}\n${fmtLocal(a.startTime)} 〜 ${fmtLocal(a.endTime)} (${buildDuration(a.startTime, a.endTime)})`
+        + (seg.tags.length ? `\n${seg.tags.join(', ')}` : '');
+      return `<div class="timeline-bar${seg.excluded ? ' timeline-bar--excluded' : ''}" data-id="${escapeHtml(String(a.id))}"
+        title="${escapeHtml(title)}"
+        style="left:${pct(seg.startMin)}; width:max(2px, ${pct(seg.endMin - seg.startMin)}); top:${seg.lane * 26}px; background:${color};">${escapeHtml(a.task)}</div>`;
+    }).join('');
+    return `
+      <div class="timeline-row">
+        <div class="timeline-date">${escapeHtml(day.date)}</div>
+        <div class="timeline-track" style="height:${day.lanes * 26}px;">${bars}</div>
+      </div>`;
+  }).join('');
+  container.innerHTML = `
+    <div class="timeline-row timeline-axis">
+      <div class="timeline-date"></div>
+      <div class="timeline-track timeline-track--axis">${axis}</div>
+    </div>${rows || '<div style="color:var(--dtm-muted);">表示する日がありません</div>'}`;
+}
+
+// Integrity checks: overlaps, gaps, zero-length rows and rows spanning midnight
+
+const INTEGRITY_LABELS = {
+  overlap: '重複',
+  gap: '空白',
+  zero: '0秒の行',
+  midnight: '日付またぎ',
+};
+
+// Local midnights strictly inside (startIso, endIso)
+function midnightsBetween(startIso, endIso) {
+  const out = [];
+  const s = new Date(startIso);
+  const end = new Date(endIso).getTime();
+  for (let i = 1; ; i++) {
+    const t = new Date(s.getFullYear(), s.getMonth(), s.getDate() + i).getTime();
+    if (t >= end) break;
+    out.push(new Date(t).toISOString());
+  }
+  return out;
+}
+
+function checkIntegrity(activities) {
+  const sorted = activities.slice().sort((a, b) => a.startTime.localeCompare(b.startTime) || a.endTime.localeCompare(b.endTime));
+  const issues = [];
+  let prev = null; // row with the latest endTime so far
+  for (const a of sorted) {
+    if (a.startTime === a.endTime) {
+      issues.push({ type: 'zero', rows: [a], from: a.startTime, to: a.endTime });
+    } else if (midnightsBetween(a.startTime, a.endTime).length) {
+      issues.push({ type: 'midnight', rows: [a], from: a.startTime, to: a.endTime });
+    }
+    if (prev) {
+      if (a.startTime < prev.endTime) {
+        const to = a.endTime < prev.endTime ? a.endTime : prev.endTime;
+        issues.push({ type: 'overlap', rows: [prev, a], from: a.startTime, to });
+      } else if (a.startTime > prev.endTime) {
+        issues.push({ type: 'gap', rows: [prev, a], from: prev.endTime, to: a.startTime });
+      }
+    }
+    if (!prev || a.endTime > prev.endTime) prev = a;
+  }
+  return issues;
+}
+
+// Repair plans: { remove: [rows], upsert: [rows] } applied by applyActivityPlan.
+// A modified row keeps its id and appears in both lists; new rows carry no id.
+const modifyPlan = (before, after) => ({ remove: [before], upsert: [after] });
+const withoutId = ({ id, ...rest }) => rest;
+
+// Fixes offered for an issue: [{ id, label, needsTask? }]
+function integrityFixes(issue) {
+  const [a, b] = issue.rows;
+  switch (issue.type) {
+    case 'overlap': {
+      const fixes = [];
+      if (b.endTime > a.endTime) fixes.push({ id: 'trimNext', label: '後の行の開始を前の行の完了に合わせる' });
+      if (b.startTime > a.startTime) fixes.push({ id: 'trimPrev', label: '前の行の完了を後の行の開始に合わせる' });
+      if (b.endTime < a.endTime && b.startTime > a.startTime) fixes.push({ id: 'splitAround', label: '前の行を後の行の前後に分割する' });
+      return fixes;
+    }
+    case 'gap':
+      return [
+        { id: 'fill', label: '空白を作業で埋める', needsTask: true },
+        { id: 'extendNext', label: '後の行の開始を前の行の完了に合わせる' },
+      ];
+    case 'zero':
+      return [{ id: 'delete', label: '行を削除する' }];
+    case 'midnight':
+      return [{ id: 'splitMidnight', label: '日付の境目で分割する' }];
+    default:
+      return [];
+  }
+}
+
+// Split one row at the given times (ISO, ascending). Optional task names per part.
+function planSplit(activity, atIsos, tasks = []) {
+  const bounds = [activity.startTime, ...atIsos, activity.endTime];
+  const parts = [];
+  for (let i = 0; i < bounds.length - 1; i++) {
+    const part = { ...activity, task: tasks[i] || activity.task, startTime: bounds[i], endTime: bounds[i + 1] };
+    parts.push(i === 0 ? part : withoutId(part));
+  }
+  return { remove: [activity], upsert: parts };
+}
+
+function planIntegrityFix(issue, fixId, { task = '' } = {}) {
+  const [a, b] = issue.rows;
+  switch (fixId) {
+    // an overlap and a gap are both fixed by starting the later row where the earlier one ends
+    case 'trimNext':
+    case 'extendNext':
+      return modifyPlan(b, { ...b, startTime: a.endTime });
+    case 'trimPrev':
+      return modifyPlan(a, { ...a, endTime: b.startTime });
+    case 'splitAround': {
+      const first = { ...a, endTime: b.startTime };
+      const second = withoutId({ ...a, startTime: b.endTime });
+      return { remove: [a], upsert: [first, second] };
+    }
+    case 'fill':
+      if (!task) throw new Error('埋める作業内容を入力してください');
+      return { remove: [], upsert: [{ task, startTime: issue.from, endTime: issue.to }] };
+    case 'delete':
+      return { remove: [a], upsert: [] };
+    case 'splitMidnight':
+      return planSplit(a, midnightsBetween(a.startTime, a.endTime));
+    default:
+      throw new Error(`未知の修正方法です: ${fixId}`);
+  }
+}
+
+// Workday start detection
+
+// Local Date at HH:MM on the day of `date`
+function atClock(date, hhmm) {
+  const [h, m] = hhmm.split(':').map(Number);
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate(), h, m);
+}
+
+const floorToQuarter = (ms) => Math.floor(ms / (15 * 60000)) * 15 * 60000;
+
+// Decide whether a save at nowIso, starting at the previous row's end, needs confirmation.
+// Returns null, or { reason, choice, at } where reason is 'newDay' (a workday started in between,
+// or the date changed) or 'idle' (longer than idleMinutes), choice is the suggested
+// insertion ('start' | 'break') and at the suggested time (ISO).
+function detectWorkdayGap(lastEndIso, nowIso, { workStart = '09:00', workEnd = '18:00', idleMinutes = 180 } = {}) {
+  if (!lastEndIso) return null;
+  const lastEnd = new Date(lastEndIso);
+  const now = new Date(nowIso);
+  if (!(now > lastEnd)) return null;
+  // Default time when nothing better is known: now, rounded down to 15 minutes
+  const fallback = new Date(Math.max(lastEnd.getTime(), floorToQuarter(now.getTime()))).toISOString();
+
+  // Latest workday start at or before now
+  let dayStart = atClock(now, workStart);
+  if (dayStart > now) dayStart = atClock(new Date(now.getFullYear(), now.getMonth(), now.getDate() - 1), workStart);
+  if (dayStart > lastEnd) return { reason: 'newDay', choice: 'start', at: dayStart.toISOString() };
+  if (toLocalYMD(lastEndIso) !== toLocalYMD(nowIso)) return { reason: 'newDay', choice: 'start', at: fallback };
+
+  if (idleMinutes > 0 && now - lastEnd > idleMinutes * 60000) {
+    // A gap starting after working hours ends the workday rather than being a break
+    const afterHours = lastEnd >= atClock(lastEnd, workEnd);
+    return { reason: 'idle', choice: afterHours ? 'start' : 'break', at: fallback };
+  }
+  return null;
+}
+
+// Rows to write for the answer to the workday prompt:
+// 'start' / 'break' insert a 開始 / 休憩 row up to atIso, 'shift' starts the task at atIso
+// leaving a gap, 'keep' saves as usual.
+function planWorkdaySave(lastEndIso, nowIso, task, choice, atIso) {
+  if (choice === 'keep') {
+    return { remove: [], upsert: [{ task, startTime: lastEndIso, endTime: nowIso }] };
+  }
+  if (!atIso || atIso > nowIso) throw new Error('時刻は現在時刻より前にしてください');
+  if (atIso < lastEndIso) throw new Error('時刻は前回の保存より後にしてください');
+  if (choice === 'shift') {
+    return { remove: [], upsert: [{ task, startTime: atIso, endTime: nowIso }] };
+  }
+  const filler = choice === 'start' ? START_TASK : BREAK_TASK;
+  return {
+    remove: [],
+    upsert: [
+      { task: filler, startTime: lastEndIso, endTime: atIso },
+      { task, startTime: atIso, endTime: nowIso }
+    ]
+  };
+}
+
+// Quick time syntax at the head of the task input:
+//   "-10m 会議" / "-1h30m 会議"  ends the row that long ago
+//   "@14:30 レビュー"            ends the row at 14:30 today
+//   "14:00-14:30 面談"           sets both times (today)
+// Returns null when the text has no such prefix, otherwise { task, startTime, endTime }
+// where startTime is null unless given. Throws on times that cannot be saved.
+function parseQuickTime(text, nowMs = Date.now()) {
+  const m = String(text || '').trim().match(/^(\S+)(?:\s+([\s\S]*))?$/);
+  if (!m) return null;
+  // 全角の数字・記号（IME入力）も受け付ける
+  const token = m[1].normalize('NFKC');
+  const now = new Date(nowMs);
+  let startTime = null;
+  let end;
+  let r;
+  if ((r = token.match(/^-(?:(\d+)h)?(?:(\d+)m)?$/)) && (r[1] || r[2])) {
+    end = new Date(nowMs - ((Number(r[1]) || 0) * 60 + (Number(r[2]) || 0)) * 60000);
+  } else if ((r = token.match(/^@(\d{1,2}:\d{2})$/))) {
+    end = quickClock(now, r[1]);
+  } else if ((r = token.match(/^(\d{1,2}:\d{2})[-~〜](\d{1,2}:\d{2})$/))) {
+    const start = quickClock(now, r[1]);
+    end = quickClock(now, r[2]);
+    if (!(start < end)) throw new Error('開始時刻は終了時刻より前にしてください');
+    startTime = start.toISOString();
+  } else {
+    return null;
+  }
+  const task = (m[2] || '').trim();
+  if (!task) throw new Error('時刻の後に作業内容を入力してください');
+  if (end.getTime() > nowMs) throw new Error('未来の時刻は指定できません');
+  return { task, startTime, endTime: end.toISOString() };
+}
+
+function quickClock(now, hhmm) {
+  const clock = normalizeClock(hhmm, null);
+  if (!clock) throw new Error(`時刻の形式が正しくありません: ${hhmm}`);
+  return atClock(now, clock);
+}
+
+// Fill in the start of a quick-time row (the end of the latest row before it) and
+// reject it when it would overlap an existing row.
+function resolveQuickTime(activities, { startTime, endTime }) {
+  let start = startTime;
+  if (!start) {
+    const prev = activities
+      .filter(a => a.endTime <= endTime)
+      .reduce((best, a) => (!best || a.endTime > best.endTime ? a : best), null);
+    start = prev ? prev.endTime : endTime;
+  }
+  const hit = activities.find(a => a.startTime < endTime && a.endTime > start);
+  if (hit) throw new Error(`「${hit.task}」（${fmtLocal(hit.startTime)}〜${fmtLocal(hit.endTime)}）と重なります`);
+  return { startTime: start, endTime };
+}
+
+// Elapsed time since the last saved row, for the header, tab title and app badge.
+// Computed from the wall clock each time so that it stays right after sleep/resume.
+function formatElapsed(lastActivity, nowMs = Date.now()) {
+  if (!lastActivity || !lastActivity.endTime) return null;
+  const ms = Math.max(0, nowMs - new Date(lastActivity.endTime).getTime());
+  return {
+    hms: msToHMS(ms),
+    minutes: Math.floor(ms / 60000),
+    task: lastActivity.task || ''
+  };
+}
+
+// Reminders
+
+const REMINDER_KEY = 'doneTime.lastReminder'; // shared by tabs so only one of them notifies
+
+// Whether a local time falls inside working hours (workStart > workEnd spans midnight)
+function withinWorkingHours(date, workStart, workEnd) {
+  const hhmm = `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+  if (workStart <= workEnd) return hhmm >= workStart && hhmm < workEnd;
+  return hhmm >= workStart || hhmm < workEnd;
+}
+
+// Remind when nothing was saved for reminderMinutes during working hours, unless the last
+// row is 休憩. Repeats every reminderMinutes while the situation lasts.
+function shouldRemind(lastActivity, nowMs, settings, lastRemindedMs = 0) {
+  if (!settings.reminderEnabled || !lastActivity) return false;
+  if (lastActivity.task === BREAK_TASK) return false;
+  if (!withinWorkingHours(new Date(nowMs), settings.workStart, settings.workEnd)) return false;
+  const interval = settings.reminderMinutes * 60000;
+  const since = Math.max(new Date(lastActivity.endTime).getTime(), lastRemindedMs || 0);
+  return nowMs - since >= interval;
+}
+
+// Up to two recent task texts offered as "log directly" notification actions
+function reminderTasks(recentItems, taskTagsMap, limit = 2) {
+  return recentItems
+    .filter(r => r.text && !(taskTagsMap.get(r.text) || []).includes(EXCLUDED_TAG))
+    .sort((a, b) => (b.lastUsed || 0) - (a.lastUsed || 0))
+    .slice(0, limit)
+    .map(r => r.text);
+}
+
+// Merge two rows (first ends before second) into one spanning both; the first row's id is kept
+function planMerge(first, second) {
+  return {
+    remove: [first, second],
+    upsert: [{ ...first, endTime: second.endTime }]
+  };
+}
+
+// Neighbour of a row in endTime order (direction -1 = previous, 1 = next)
+function adjacentActivity(activities, activity, direction) {
+  const sorted = activities.slice().sort((a, b) => a.endTime.localeCompare(b.endTime) || a.startTime.localeCompare(b.startTime));
+  const idx = sorted.findIndex(a => a.id === activity.id);
+  if (idx < 0) return null;
+  return sorted[idx + direction] || null;
+}
+
+// Reject plans that would produce reversed rows
+function validatePlan(plan) {
+  const bad = plan.upsert.find(r => !r.task || !r.startTime || !r.endTime || r.endTime < r.startTime);
+  if (bad) throw new Error('開始時刻が完了時刻より後になる行ができるため適用できません');
+  return plan;
+}
+
+// Apply a plan in one readwrite transaction (all or nothing).
+// Resolves with the upserted rows including their ids.
+async function applyActivityPlan(db, plan) {
+  const puts = [];
+  const upsert = await sealRecords(STORES.activities, plan.upsert);
+  await withStore(db, STORES.activities, 'readwrite', (store) => {
+    plan.remove.forEach((r) => {
+      if (r.id != null) store.delete(r.id);
+    });
+    upsert.forEach(r => puts.push(store.put(r)));
+  });
+  return plan.upsert.map((r, i) => ({ ...r, id: puts[i].result }));
+}
+
+// History changes for an applied plan (saved = rows returned by applyActivityPlan)
+function planHistoryChanges(plan, saved) {
+  const savedIds = new Set(saved.map(r => r.id));
+  const changes = plan.remove
+    .filter(r => !savedIds.has(r.id))
+    .map(r => ({ store: STORES.activities, before: r, after: null }));
+  saved.forEach((r) => {
+    changes.push({ store: STORES.activities, before: plan.remove.find(x => x.id === r.id) || null, after: r });
+  });
+  return changes;
+}
+
+// Reports: totals per day / ISO week / month, broken down by task or tag
+
+// ISO 8601 week of a local date, e.g. 2025-W01
+function isoWeekKey(iso) {
+  const d = new Date(iso);
+  const t = new Date(d.getFullYear(), d.getMonth(), d.getDate());
+  const dow = (t.getDay() + 6) % 7; // Mon=0
+  t.setDate(t.getDate() - dow + 3); // Thursday of this week decides the year
+  const week1 = new Date(t.getFullYear(), 0, 4);
+  const week = 1 + Math.round(((t - week1) / 86400000 - 3 + ((week1.getDay() + 6) % 7)) / 7);
+  return `${t.getFullYear()}-W${String(week).padStart(2, '0')}`;
+}
+
+function periodKey(iso, period) {
+  if (period === 'week') return isoWeekKey(iso);
+  if (period === 'month') return toLocalYMD(iso).slice(0, 7);
+  return toLocalYMD(iso);
+}
+
+// Activities are attributed to the day of their endTime, like the date filter.
+// Rows tagged EXCLUDED_TAG are left out. With by='tag' multi-tag rows follow tagSplit (see tagShares).
+// With rounding on (settings, see roundActivities) `rounded` holds the same totals after rounding.
+function buildReport(activities, taskTagsMap, { period = 'day', by = 'task', from = '', to = '', tagSplit = 'each', rounding = null, rates = null } = {}) {
+  const included = activities.filter((a) => {
+    const d = toLocalYMD(a.endTime);
+    if (from && d < from) return false;
+    if (to && d > to) return false;
+    return !activityTags(a, taskTagsMap).includes(EXCLUDED_TAG);
+  });
+  const sum = (msOf) => {
+    const cells = new Map();
+    const periodTotals = new Map();
+    const seriesTotals = new Map();
+    let total = 0;
+    for (const a of included) {
+      const ms = msOf(a);
+      const p = periodKey(a.endTime, period);
+      const shares = by === 'tag' ? tagShares(activityTags(a, taskTagsMap), ms, tagSplit) : [[a.task || '', ms]];
+      const row = cells.get(p) || new Map();
+      shares.forEach(([name, share]) => {
+        row.set(name, (row.get(name) || 0) + share);
+        seriesTotals.set(name, (seriesTotals.get(name) || 0) + share);
+      });
+      cells.set(p, row);
+      periodTotals.set(p, (periodTotals.get(p) || 0) + ms);
+      total += ms;
+    }
+    return { cells, periodTotals, seriesTotals, total };
+  };
+  const raw = sum(a => Math.max(0, new Date(a.endTime) - new Date(a.startTime)));
+  const roundedMap = rounding ? roundActivities(included, rounding) : null;
+  const periods = Array.from(raw.cells.keys()).sort();
+  const series = Array.from(raw.seriesTotals.keys()).sort((x, y) => raw.seriesTotals.get(y) - raw.seriesTotals.get(x) || x.localeCompare(y));
+  // Billable time and amounts per series, split between tags like the times
+  let billing = null;
+  if (rates && rates.size > 0) {
+    billing = { seriesBillable: new Map(), seriesAmounts: new Map(), billableMs: 0, amounts: {} };
+    for (const a of included) {
+      const ms = roundedMap ? roundedMap.get(a) : Math.max(0, new Date(a.endTime) - new Date(a.startTime));
+      const bill = billActivity(a, taskTagsMap, rates, ms);
+      if (!bill) continue;
+      const tags = activityTags(a, taskTagsMap);
+      const names = by === 'tag' ? tagShares(tags, 1, tagSplit) : [[a.task || '', 1]];
+      names.forEach(([name, fraction]) => {
+        billing.seriesBillable.set(name, (billing.seriesBillable.get(name) || 0) + bill.billableMs * fraction);
+        billing.seriesAmounts.set(name, addAmount(billing.seriesAmounts.get(name) || {}, bill.currency, bill.amount * fraction));
+      });
+      billing.billableMs += bill.billableMs;
+      addAmount(billing.amounts, bill.currency, bill.amount);
+    }
+  }
+  return { period, by, periods, series, ...raw, rounded: roundedMap ? sum(a => roundedMap.get(a)) : null, billing };
+}
+
+// Utility: CSV text from a 2D array (every field quoted)
+function buildCsv(rows) {
+  return rows.map(r => r.map(v => `"${String(v == null ? '' : v).replace(/"/g, '""')}"`).join(',')).join('\r\n') + '\r\n';
+}
+
+// Rounded columns follow the raw ones when the report was built with rounding
+function reportToCsv(report) {
+  const columns = (r, pick, totalOf) => [...report.series.map(n => msToHMS(pick(r, n) || 0)), msToHMS(totalOf(r))];
+  const both = (pick, totalOf) => [
+    ...columns(report, pick, totalOf),
+    ...(report.rounded ? columns(report.rounded, pick, totalOf) : [])
+  ];
+  const header = ['期間', ...report.series, '合計', ...(report.rounded ? [...report.series, '合計'].map(n => `${n}（丸め後）`) : [])];
+  const body = report.periods.map(p => [p, ...both((r, n) => r.cells.get(p).get(n), r => r.periodTotals.get(p))]);
+  const footer = ['合計', ...both((r, n) => r.seriesTotals.get(n), r => r.total)];
+  const billing = report.billing ? [
+    ['請求対象', ...report.series.map(n => msToHMS(Math.round(report.billing.seriesBillable.get(n) || 0))), msToHMS(Math.round(report.billing.billableMs))],
+    ['金額', ...report.series.map(n => formatAmounts(report.billing.seriesAmounts.get(n))), formatAmounts(report.billing.amounts)],
+  ] : [];
+  return buildCsv([header, ...body, footer, ...billing]);
+}
+
+// Invoice for a date range: one line per billing tag and rate, non-billable rows left out.
+// Line amounts are rounded to the currency's minor unit and the totals add them up.
+function buildInvoice(activities, taskTagsMap, { from = '', to = '', rounding = null, rates = null } = {}) {
+  const included = activities.filter((a) => {
+    const d = toLocalYMD(a.endTime);
+    if (from && d < from) return false;
+    if (to && d > to) return false;
+    return !activityTags(a, taskTagsMap).includes(EXCLUDED_TAG);
+  });
+  const roundedMap = rounding ? roundActivities(included, rounding) : null;
+  const lines = new Map();
+  for (const a of included) {
+    const billing = billingFor(activityTags(a, taskTagsMap), rates);
+    if (!billing || !billing.billable) continue;
+    const key = `${billing.tag}\u0000${billing.currency}\u0000${billing.rate}`;
+    const line = lines.get(key) || { item: billing.tag, rate: billing.rate, currency: billing.currency, ms: 0 };
+    line.ms += roundedMap ? roundedMap.get(a) : Math.max(0, new Date(a.endTime) - new Date(a.startTime));
+    lines.set(key, line);
+  }
+  const items = Array.from(lines.values())
+    .sort((x, y) => x.currency.localeCompare(y.currency) || x.item.localeCompare(y.item) || x.rate - y.rate)
+    .map(line => ({ ...line, amount: roundAmount((line.ms / 3600000) * line.rate, line.currency) }));
+  const totals = {};
+  items.forEach(line => addAmount(totals, line.currency, line.amount));
+  Object.keys(totals).forEach((c) => { totals[c] = roundAmount(totals[c], c); });
+  return { from, to, lines: items, totals };
+}
+
+function invoiceToCsv(invoice) {
+  const fixed = (amount, currency) => amount.toFixed(currencyDigits(currency));
+  return buildCsv([
+    ['期間', `${invoice.from || '指定なし'}〜${invoice.to || '指定なし'}`],
+    [],
+    ['品目', '時間', '時間（h）', '単価', '通貨', '金額'],
+    ...invoice.lines.map(l => [l.item, msToHMS(l.ms), (l.ms / 3600000).toFixed(2), String(l.rate), l.currency, fixed(l.amount, l.currency)]),
+    [],
+    ...Object.keys(invoice.totals).sort().map(c => ['合計', '', '', '', c, fixed(invoice.totals[c], c)]),
+  ]);
+}
+
+// Time budgets: { target: 'tag' | 'task', name, period: 'day' | 'week' | 'month', hours }.
+// Periods are the report periods (periodKey, ISO weeks); rows count on the day of their endTime
+// and EXCLUDED_TAG rows never count. A multi-tag row counts toward a tag budget following tagSplit.
+
+const BUDGET_PERIODS = { day: '日', week: '週', month: '月' };
+// Save warnings fire when usage crosses these ratios
+const BUDGET_LEVELS = [0.8, 1];
+
+function normalizeBudgets(list) {
+  return (Array.isArray(list) ? list : [])
+    .map(b => ({
+      target: b && b.target === 'task' ? 'task' : 'tag',
+      name: String((b && b.name) || '').trim(),
+      period: b && BUDGET_PERIODS[b.period] ? b.period : 'week',
+      hours: Math.round(Number(b && b.hours) * 100) / 100,
+    }))
+    .filter(b => b.name && b.hours > 0);
+}
+
+// 「タグ projA」 16h/週
+function budgetLabel(budget) {
+  return `${budget.target === 'task' ? '作業' : 'タグ'}「${budget.name}」 ${budget.hours}h/${BUDGET_PERIODS[budget.period]}`;
+}
+
+// ms of an activity that counts toward a budget
+function budgetShare(activity, budget, taskTagsMap, tagSplit) {
+  const tags = activityTags(activity, taskTagsMap);
+  if (tags.includes(EXCLUDED_TAG)) return 0;
+  const ms = Math.max(0, new Date(activity.endTime) - new Date(activity.startTime));
+  if (budget.target === 'task') return activity.task === budget.name ? ms : 0;
+  if (!tags.includes(budget.name)) return 0;
+  return tagSplit === 'split' ? ms / tags.length : ms;
+}
+
+const budgetEntry = (budget, key, usedMs) => {
+  const limitMs = budget.hours * 3600000;
+  return { budget, key, usedMs, limitMs, ratio: usedMs / limitMs };
+};
+
+// Usage of each budget in the period containing now
+function budgetStatus(activities, taskTagsMap, budgets, { now = new Date(), tagSplit = 'each' } = {}) {
+  return budgets.map((budget) => {
+    const key = periodKey(now.toISOString(), budget.period);
+    const used = activities
+      .filter(a => periodKey(a.endTime, budget.period) === key)
+      .reduce((sum, a) => sum + budgetShare(a, budget, taskTagsMap, tagSplit), 0);
+    return budgetEntry(budget, key, used);
+  });
+}
+
+// Budget vs actual for every period from the first row to now (newest first); periods without
+// any rows show as 0
+function budgetHistory(activities, taskTagsMap, budget, { tagSplit = 'each', now = new Date() } = {}) {
+  const used = new Map();
+  let first = '';
+  activities.forEach((a) => {
+    if (activityTags(a, taskTagsMap).includes(EXCLUDED_TAG)) return;
+    const key = periodKey(a.endTime, budget.period);
+    used.set(key, (used.get(key) || 0) + budgetShare(a, budget, taskTagsMap, tagSplit));
+    if (!first || a.endTime < first) first = a.endTime;
+  });
+  if (first) {
+    const start = new Date(first);
+    for (let d = new Date(start.getFullYear(), start.getMonth(), start.getDate()); d <= now; d.setDate(d.getDate() + 1)) {
+      const key = periodKey(d.toISOString(), budget.period);
+      if (!used.has(key)) used.set(key, 0);
+    }
+  }
+  return Array.from(used.keys()).sort().reverse().map(key => budgetEntry(budget, key, used.get(key)));
+}
+
+// Budgets whose usage went past a level between two budgetStatus results: [{ budget, level }]
+function budgetCrossings(before, after) {
+  return after.flatMap((cur, i) => {
+    const prev = before[i];
+    const prevRatio = prev && prev.key === cur.key ? prev.ratio : 0;
+    const crossed = BUDGET_LEVELS.filter(level => prevRatio < level && cur.ratio >= level);
+    return crossed.length ? [{ budget: cur.budget, level: crossed[crossed.length - 1] }] : [];
+  });
+}
+
+const budgetLevelClass = (ratio) => (ratio >= 1 ? ' budget--over' : ratio >= BUDGET_LEVELS[0] ? ' budget--warn' : '');
+
+// Progress bars for the current periods, each with its past periods in a <details>
+function renderBudgetPanel(statuses, histories, { limit = 12 } = {}) {
+  return statuses.map((st, i) => {
+    const pct = Math.round(st.ratio * 100);
+    const rows = (histories[i] || []).slice(0, limit).map(h => `
+      <tr class="${budgetLevelClass(h.ratio).trim()}"><td>${escapeHtml(h.key)}</td><td>${msToHMS(h.usedMs)}</td><td>${msToHMS(h.limitMs)}</td><td>${Math.round(h.ratio * 100)}%</td></tr>`).join('');
+    return `
+      <details class="budget${budgetLevelClass(st.ratio)}">
+        <summary>
+          <span class="budget-label">${escapeHtml(budgetLabel(st.budget))}</span>
+          <span class="budget-bar" role="progressbar" aria-valuemin="0" aria-valuemax="100" aria-valuenow="${pct}"><span style="width:${Math.min(100, pct)}%;"></span></span>
+          <span class="budget-value">${msToHMS(st.usedMs)} / ${msToHMS(st.limitMs)}（${pct}%）</span>
+        </summary>
+        <table class="report-table budget-history">
+          <thead><tr><th>期間</th><th>実績</th><th>予算</th><th>消化率</th></tr></thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </details>`;
+  }).join('');
+}
+
+// Exporters for the activities tab. They take the rows of buildActivityRows (detail or grouped),
+// so the current date filter, search and grouping apply; rounded adds the 丸め後 column.
+
+// Plain records with the tags the table shows (grouped rows carry their own)
+function exportRecords(rows, taskTagsMap) {
+  return rows.map(r => ({
+    ...(r.id != null ? { id: r.id } : {}),
+    task: r.task || '',
+    startTime: r.startTime,
+    endTime: r.endTime,
+    duration: r.duration,
+    roundedDuration: r.roundedDuration || '',
+    tags: activityTags(r, taskTagsMap),
+  }));
+}
+
+const exportHeader = (rounded) => ['作業内容', '開始時刻', '完了時刻', '作業時間', ...(rounded ? ['丸め後'] : []), 'タグ'];
+const exportCells = (r, rounded) => [
+  r.task, fmtLocal(r.startTime), fmtLocal(r.endTime), r.duration, ...(rounded ? [r.roundedDuration] : []), r.tags.join(' ')
+];
+
+function activitiesToJson(records, { rounded = false, filter = {}, now = new Date() } = {}) {
+  return JSON.stringify({
+    exportedAt: now.toISOString(),
+    filter,
+    rows: records.map(({ roundedDuration, ...r }) => (rounded ? { ...r, roundedDuration } : r)),
+  }, null, 2) + '\n';
+}
+
+function activitiesToMarkdown(records, { rounded = false } = {}) {
+  const cell = (v) => String(v == null ? '' : v).replace(/\\/g, '\\\\').replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+  const line = (cells) => `| ${cells.map(cell).join(' | ')} |`;
+  const header = exportHeader(rounded);
+  return [line(header), `|${header.map(() => ' --- ').join('|')}|`, ...records.map(r => line(exportCells(r, rounded)))].join('\n') + '\n';
+}
+
+// Tabs and line breaks inside a field would break the columns when pasted into Excel
+function activitiesToTsv(records, { rounded = false } = {}) {
+  const cell = (v) => String(v == null ? '' : v).replace(/[\t\r\n]+/g, ' ');
+  return [exportHeader(rounded), ...records.map(r => exportCells(r, rounded))].map(cells => cells.map(cell).join('\t')).join('\r\n') + '\r\n';
+}
+
+// iCalendar (RFC 5545): one event per row, times in UTC
+const icsStamp = (iso) => new Date(iso).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+const icsText = (v) => String(v == null ? '' : v).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+
+// Fold content lines longer than 75 octets (UTF-8) without splitting a character
+function foldIcsLine(line) {
+  const out = [];
+  let cur = '';
+  let octets = 0;
+  for (const ch of line) {
+    const cp = ch.codePointAt(0);
+    const size = cp < 0x80 ? 1 : cp < 0x800 ? 2 : cp < 0x10000 ? 3 : 4;
+    // continuation lines start with a space, which counts toward the limit
+    if (octets + size > (out.length ? 74 : 75)) {
+      out.push(cur);
+      cur = '';
+      octets = 0;
+    }
+    cur += ch;
+    octets += size;
+  }
+  out.push(cur);
+  return out.join('\r\n ');
+}
+
+function activitiesToIcs(records, { rounded = false, now = new Date() } = {}) {
+  const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//doneTime//doneTime//JA', 'CALSCALE:GREGORIAN'];
+  records.forEach((r, i) => {
+    const duration = `作業時間 ${r.duration}${rounded ? `（丸め後 ${r.roundedDuration}）` : ''}`;
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${r.id != null ? `activity-${r.id}` : `row-${i}-${icsStamp(r.startTime)}`}@doneTime`,
+      `DTSTAMP:${icsStamp(now.toISOString())}`,
+      `DTSTART:${icsStamp(r.startTime)}`,
+      `DTEND:${icsStamp(r.endTime)}`,
+      `SUMMARY:${icsText(r.task)}`,
+      `DESCRIPTION:${icsText(duration)}`,
+      ...(r.tags.length ? [`CATEGORIES:${r.tags.map(icsText).join(',')}`] : []),
+      'END:VEVENT'
+    );
+  });
+  lines.push('END:VCALENDAR');
+  return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+}
+
+// Import presets for time tracking tools. They write one line per (ungrouped) row, leaving out
+// EXCLUDED_TAG rows, with the rounded duration when rounding is on.
+// The project comes from settings.projectRules: the first rule whose search query (same syntax as
+// the activities search) matches the row. Ticket keys are found with the ticket link rules.
+
+const localClock = (iso) => {
+  const d = new Date(iso);
+  return [d.getHours(), d.getMinutes(), d.getSeconds()].map(n => String(n).padStart(2, '0')).join(':');
+};
+const hmsToMs = (hms) => {
+  const [h, m, s] = String(hms || '').split(':').map(Number);
+  return ((h || 0) * 3600 + (m || 0) * 60 + (s || 0)) * 1000;
+};
+
+// First ticket token in the task text, as linkifyTask would link it
+function ticketKey(task, settings) {
+  const token = findTicketTokens(task, getTicketRules(settings))[0];
+  return token ? token.match : '';
+}
+
+function normalizeProjectRules(rules) {
+  if (!Array.isArray(rules)) return [];
+  return rules
+    .filter(r => r && String(r.query || '').trim() && String(r.project || '').trim())
+    .map(r => ({ query: String(r.query).trim(), project: String(r.project).trim() }));
+}
+
+// Rules with an invalid query are skipped
+function projectResolver(settings, taskTagsMap) {
+  const compiled = normalizeProjectRules(settings && settings.projectRules).flatMap((r) => {
+    try {
+      return [{ terms: parseActivityQuery(r.query), project: r.project }];
+    } catch {
+      return [];
+    }
+  });
+  return (activity) => {
+    const hit = compiled.find(c => matchesQuery(activity, c.terms, taskTagsMap));
+    return hit ? hit.project : '';
+  };
+}
+
+const IMPORT_PRESETS = {
+  toggl: {
+    label: 'Toggl Track',
+    columns: ['Email', 'Description', 'Project', 'Tags', 'Start date', 'Start time', 'Duration'],
+    row: (e) => [e.email, e.task, e.project, e.tags.join(', '), e.date, e.time, msToHMS(e.ms)],
+  },
+  clockify: {
+    label: 'Clockify',
+    columns: ['Project', 'Description', 'Email', 'Tags', 'Start Date', 'Start Time', 'Duration (h)', 'Duration (decimal)'],
+    row: (e) => [e.project, e.task, e.email, e.tags.join(', '), e.date, e.time, msToHMS(e.ms), (e.ms / 3600000).toFixed(2)],
+  },
+  jira: {
+    label: 'Jira / Tempo',
+    columns: ['Issue Key', 'Date Started', 'Time Spent (seconds)', 'Work Description'],
+    // Worklogs need an issue, so rows without a ticket key are skipped
+    requires: (e) => !!e.ticket,
+    row: (e) => [e.ticket, `${e.date} ${e.time.slice(0, 5)}`, String(Math.round(e.ms / 1000)), e.task],
+  },
+};
+
+// Returns { csv, count, skipped }
+function buildPresetCsv(presetKey, rows, taskTagsMap, settings) {
+  const preset = IMPORT_PRESETS[presetKey];
+  const projectOf = projectResolver(settings, taskTagsMap);
+  const entries = rows
+    .filter(r => !activityTags(r, taskTagsMap).includes(EXCLUDED_TAG))
+    .map(r => ({
+      email: (settings && settings.exportEmail) || '',
+      task: r.task || '',
+      project: projectOf(r) || r.project || '',
+      tags: activityTags(r, taskTagsMap),
+      ticket: ticketKey(r.task, settings),
+      date: toLocalYMD(r.startTime),
+      time: localClock(r.startTime),
+      ms: r.roundedDuration ? hmsToMs(r.roundedDuration) : Math.max(0, new Date(r.endTime) - new Date(r.startTime)),
+    }));
+  const kept = preset.requires ? entries.filter(preset.requires) : entries;
+  return {
+    csv: buildCsv([preset.columns, ...kept.map(preset.row)]),
+    count: kept.length,
+    skipped: entries.length - kept.length,
+  };
+}
+
+const EXPORT_FORMATS = {
+  json: { label: 'JSON', ext: 'json', mime: 'application/json', build: activitiesToJson },
+  markdown: { label: 'Markdown', ext: 'md', mime: 'text/markdown', build: activitiesToMarkdown },
+  tsv: { label: 'TSV', ext: 'tsv', mime: 'text/tab-separated-values', build: activitiesToTsv },
+  ics: { label: 'iCalendar', ext: 'ics', mime: 'text/calendar', build: activitiesToIcs },
+  // Presets always export ungrouped rows (see buildPresetCsv)
+  toggl: { label: 'Toggl Track CSV', ext: 'csv', mime: 'text/csv', preset: 'toggl' },
+  clockify: { label: 'Clockify CSV', ext: 'csv', mime: 'text/csv', preset: 'clockify' },
+  jira: { label: 'Jira / Tempo CSV', ext: 'csv', mime: 'text/csv', preset: 'jira' },
+};
+
+// Stacked bar chart (hours per period) with legend, as a standalone SVG string
+function renderReportSvg(report, { barWidth = 36, plotHeight = 200 } = {}) {
+  const pad = { top: 16, right: 16, bottom: 56, left: 44 };
+  const maxMs = Math.max(0, ...report.periods.map(p => Array.from(report.cells.get(p).values()).reduce((x, y) => x + y, 0)));
+  const maxH = Math.max(1, Math.ceil(maxMs / 3600000));
+  const width = Math.max(480, pad.left + pad.right + Math.max(1, report.periods.length) * (barWidth + 12));
+  const legendCols = Math.max(1, Math.floor((width - pad.left) / 170));
+  const legendTop = pad.top + plotHeight + pad.bottom;
+  const height = legendTop + Math.ceil(report.series.length / legendCols) * 18 + 8;
+  const y = (h) => pad.top + plotHeight - (h / maxH) * plotHeight;
+  const step = Math.max(1, Math.ceil(maxH / 6));
+  let grid = '';
+  for (let h = 0; h <= maxH; h += step) {
+    grid += `<line x1="${pad.left}" x2="${width - pad.right}" y1="${y(h)}" y2="${y(h)}" stroke="#334155" stroke-width="1"/>`
+      + `<text x="${pad.left - 6}" y="${y(h) + 4}" text-anchor="end" font-size="11" fill="#94a3b8">${h}h</text>`;
+  }
+  const bars = report.periods.map((p, i) => {
+    const x = pad.left + 6 + i * (barWidth + 12);
+    const row = report.cells.get(p);
+    let acc = 0;
+    const rects = report.series.filter(n => row.get(n)).map((n) => {
+      const hours = row.get(n) / 3600000;
+      const top = y(acc + hours);
+      const r = `<rect x="${x}" y="${top}" width="${barWidth}" height="${y(acc) - top}" fill="${tagColor(n)}"><title>${escapeHtml(`${p} ${n}: ${msToHMS(row.get(n))}`)}</title></rect>`;
+      acc += hours;
+      return r;
+    }).join('');
+    const lx = x + barWidth / 2;
+    const ly = pad.top + plotHeight + 14;
+    return rects + `<text x="${lx}" y="${ly}" font-size="11" fill="#94a3b8" text-anchor="end" transform="rotate(-40 ${lx} ${ly})">${escapeHtml(p)}</text>`;
+  }).join('');
+  const legend = report.series.map((n, i) => {
+    const lx = pad.left + (i % legendCols) * 170;
+    const ly = legendTop + Math.floor(i / legendCols) * 18;
+    return `<rect x="${lx}" y="${ly}" width="10" height="10" fill="${tagColor(n)}"/>`
+      + `<text x="${lx + 14}" y="${ly + 9}" font-size="11" fill="#94a3b8">${escapeHtml(n)} (${msToHMS(report.seriesTotals.get(n))})</text>`;
+  }).join('');
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="sans-serif">${grid}${bars}${legend}</svg>`;
+}
+
+async function init() {
+  if (typeof document === 'undefined') return;
+  const db = await openDB();
+
+  // 0. ロック中は、パスフレーズで解除してから読み込む
+  const lockMeta = loadLockMeta();
+  if (lockMeta) await promptUnlock(lockMeta);
+  function promptUnlock(meta) {
+    const modal = document.getElementById('unlockModal');
+    const input = document.getElementById('unlockPassphrase');
+    const error = document.getElementById('unlockError');
+    const unlockBtn = document.getElementById('unlockBtn');
+    const forgotBtn = document.getElementById('unlockForgotBtn');
+    return new Promise((resolve) => {
+      const done = () => {
+        modal.style.display = 'none';
+        resolve();
+      };
+      const tryUnlock = async () => {
+        unlockBtn.disabled = true;
+        error.textContent = '確認しています…';
+        try {
+          setAtRestKeys(await unlockKeys(meta, input.value));
+          await openSealedViews();
+          input.value = '';
+          done();
+        } catch (err) {
+          error.textContent = err.message;
+        } finally {
+          unlockBtn.disabled = false;
+        }
+      };
+      unlockBtn.addEventListener('click', tryUnlock);
+      input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') tryUnlock();
+      });
+      forgotBtn.addEventListener('click', async () => {
+        const ok = confirm('パスフレーズがないと、暗号化された作業内容は取り出せません。\n'
+          + 'この端末の作業履歴・入力候補・タグをすべて削除して、ロックを解除しますか？\n'
+          + '（設定は残ります。バックアップがあれば「設定」の「復元」で、同期を使っていれば次の同期で書き戻せます）');
+        if (!ok) return;
+        await resetLockedData(db);
+        done();
+      });
+      modal.style.display = 'flex';
+      input.focus();
+    });
+  }
+
+  // 1. デフォルト候補を必ず先に投入
+  await seedPinnedDefaults(db);
+
+  // 2. recentTable の初期化
+  const recentTable = new DataTable('#recentTable', {
+    data: [],
+    columns: [
+      {
+        title: 'ピン',
+        data: 'pinned',
+        orderable: false,
+        render: (d) => `
+          <i class="bi ${d ? 'bi-pin-fill' : 'bi-pin'} pin-icon" style="cursor: pointer; font-size: 1.2em;"></i>
+        `
+      },
+      { title: '直近の作業入力内容', data: 'text', orderable: false },
+      {
+        title: 'タグ',
+        data: 'text',
+        orderable: false,
+        render: (text) => renderTags(taskTagsMap.get(text) || [])
+      },
+      {
+        title: '操作',
+        data: null,
+        orderable: false,
+        render: () => `
+          <button class="btn-delete" title="この入力候補を削除" style="padding:4px 8px; border:1px solid #b91c1c; color:#fecaca; background:#7f1d1d; border-radius:6px; cursor:pointer;">
+            <i class="bi bi-trash"></i> 削除
+          </button>
+        `
+      },
+    ],
+    paging: false
+  });
+
+  // Enable drag-and-drop sorting
+  // Initialize this right after table creation, before the first draw.
+  enableDragAndDropSorting(recentTable, db);
+
+  // 3. 入力候補データ取得・描画
+  let recent = await getRecentAll(db);
+  let taskTagsMap = await getTaskTagsMap(db);
+  let tagRates = billingRates(await getTagCatalog(db));
+  const sortedRecent = sortRecentItems(recent);
+  recentTable.clear().rows.add(sortedRecent).draw();
+
+  // 4. activitiesMaster の初期化
+  const acts = await getAllActivities(db);
+  let activitiesMaster = Array.isArray(acts) ? acts.slice() : [];
+
+  // Settings state
+  let settings = loadSettings();
+
+  // 入力候補（プロジェクトで絞り込み可）
+  const taskProjectFilter = document.getElementById('taskProjectFilter');
+  const projectOptionsList = document.getElementById('projectOptions');
+  let taskOptionsRecent = sortedRecent;
+  function refreshTaskOptions(items = taskOptionsRecent) {
+    taskOptionsRecent = items;
+    const projectOf = taskProjectResolver(activitiesMaster, settings.projectSeparator);
+    const projects = Array.from(new Set(items.map(r => projectOf(r.text)).filter(Boolean)))
+      .sort((a, b) => a.localeCompare(b));
+    let project = taskProjectFilter ? taskProjectFilter.value : '';
+    if (taskProjectFilter) {
+      if (project && !projects.includes(project)) project = '';
+      taskProjectFilter.innerHTML = '<option value="">すべてのプロジェクト</option>'
+        + projects.map(p => `<option value="${escapeHtml(p)}">${escapeHtml(p)}</option>`).join('');
+      taskProjectFilter.value = project;
+    }
+    buildOptionsFromRecent(items, { project, projectOf });
+  }
+  // Datalist for the modal's project field: every project seen so far
+  function fillProjectOptions() {
+    if (!projectOptionsList) return;
+    const projects = new Set();
+    activitiesMaster.forEach((a) => {
+      if (a.project) projects.add(String(a.project).trim());
+      const top = topProject(a, settings.projectSeparator);
+      if (top) projects.add(top);
+    });
+    projectOptionsList.innerHTML = Array.from(projects).filter(Boolean).sort((a, b) => a.localeCompare(b))
+      .map(p => `<option value="${escapeHtml(p)}"></option>`).join('');
+  }
+  refreshTaskOptions(sortedRecent);
+  if (taskProjectFilter) taskProjectFilter.addEventListener('change', () => refreshTaskOptions());
+
+  // UI要素取得
+  const filterDateFromInput = document.getElementById('filterDateFrom');
+  const filterDateToInput = document.getElementById('filterDateTo');
+  const groupModeSelect = document.getElementById('groupMode');
+  const datePresetSelect = document.getElementById('datePreset');
+  const savedViewsSelect = document.getElementById('savedViews');
+  const saveViewBtn = document.getElementById('saveViewBtn');
+  const deleteViewBtn = document.getElementById('deleteViewBtn');
+  const queryInput = document.getElementById('activityQuery');
+  const isGrouped = () => getGroupMode() !== 'none';
+  const clearFilterBtn = document.getElementById('clearFilterBtn');
+  const manualAddBtn = document.getElementById('manualAddBtn');
+
+  // Modal elements
+  const modalEl = document.getElementById('activityModal');
+  const modalTitle = document.getElementById('activityModalTitle');
+  const modalTask = document.getElementById('modalTask');
+  const modalTaskLabel = document.getElementById('modalTaskLabel');
+  const modalSplitSection = document.getElementById('modalSplitSection');
+  const modalSplitAt = document.getElementById('modalSplitAt');
+  const modalTask2 = document.getElementById('modalTask2');
+  const modalStart = document.getElementById('modalStart');
+  const modalEnd = document.getElementById('modalEnd');
+  const modalProject = document.getElementById('modalProject');
+  const modalOwnTags = document.getElementById('modalOwnTags');
+  const modalTags = document.getElementById('modalTags');
+  const modalError = document.getElementById('modalError');
+  const modalCancel = document.getElementById('modalCancel');
+  const modalSave = document.getElementById('modalSave');
+
+  // datetime-local helpers
+  const toLocalInputValue = (iso) => {
+    if (!iso) return '';
+    const d = new Date(iso);
+    const y = d.getFullYear();
+    const m = String(d.getMonth() + 1).padStart(2, '0');
+    const day = String(d.getDate()).padStart(2, '0');
+    const hh = String(d.getHours()).padStart(2, '0');
+    const mm = String(d.getMinutes()).padStart(2, '0');
+    return `${y}-${m}-${day}T${hh}:${mm}`;
+  };
+  const fromLocalInputValue = (v) => {
+    if (!v) return '';
+    const d = new Date(v);
+    return d.toISOString();
+  };
+
+  // Modal state: mode is 'add' | 'edit' | 'split' | 'merge'.
+  // rows holds the stored rows being changed (edit/split: [row], merge: [first, second]).
+  let modalMode = 'add';
+  let modalRows = [];
+  function openModal({ title, task = '', project = '', startTime = '', endTime = '', tags, splitAt = '' }, mode = 'add', rows = []) {
+    modalMode = mode;
+    modalRows = rows;
+    if (modalTitle) modalTitle.textContent = title || (mode === 'add' ? 'アクティビティ追加' : 'アクティビティ編集');
+    if (modalTaskLabel) modalTaskLabel.textContent = mode === 'split' ? '前半の作業内容' : '作業内容';
+    if (modalSplitSection) modalSplitSection.style.display = mode === 'split' ? 'grid' : 'none';
+    if (modalSplitAt) modalSplitAt.value = splitAt ? toLocalInputValue(splitAt) : '';
+    if (modalTask2) modalTask2.value = '';
+    if (modalTask) modalTask.value = task || '';
+    if (modalProject) {
+      modalProject.value = project || '';
+      fillProjectOptions();
+    }
+    if (modalStart) modalStart.value = startTime ? toLocalInputValue(startTime) : '';
+    if (modalEnd) modalEnd.value = endTime ? toLocalInputValue(endTime) : '';
+    // 行ごとのタグ（未指定なら作業内容のタグに従う）
+    const ownTags = Array.isArray(tags);
+    if (modalOwnTags) modalOwnTags.checked = ownTags;
+    if (modalTags) {
+      modalTags.value = (ownTags ? tags : (taskTagsMap.get(task) || [])).join(',');
+      modalTags.disabled = !ownTags;
+    }
+    if (modalError) modalError.textContent = '';
+    if (modalEl) {
+      modalEl.style.display = 'flex';
+    }
+    setTimeout(() => modalTask && modalTask.focus(), 0);
+  }
+  function closeModal() {
+    if (modalEl) modalEl.style.display = 'none';
+    modalMode = 'add';
+    modalRows = [];
+  }
+
+  // Tabs behavior
+  document.querySelectorAll('.tab-btn').forEach(btn => {
+    btn.addEventListener('click', () => {
+      document.querySelectorAll('.tab-btn').forEach(b => b.classList.remove('active'));
+      btn.classList.add('active');
+      const target = btn.dataset.tab;
+      document.querySelectorAll('.tab-panel').forEach(p => {
+        if (p.id === target) {
+          p.style.display = '';
+          p.classList.add('active');
+        } else {
+          p.style.display = 'none';
+          p.classList.remove('active');
+        }
+      });
+      if (target === 'tab-timeline') renderTimelineView();
+      if (target === 'tab-reports') renderReportView();
+    });
+  });
+
+  // Timeline tab
+  const timelineEl = document.getElementById('timeline');
+  const timelineFromInput = document.getElementById('timelineFrom');
+  const timelineToInput = document.getElementById('timelineTo');
+  function renderTimelineView() {
+    if (!timelineEl) return;
+    const panel = document.getElementById('tab-timeline');
+    if (panel && panel.style.display === 'none') return;
+    // 未指定時は今日までの直近7日間
+    const today = new Date();
+    const toYMD = (timelineToInput && timelineToInput.value) || toLocalYMD(today.toISOString());
+    const [y, m, d] = toYMD.split('-').map(Number);
+    const fromYMD = (timelineFromInput && timelineFromInput.value) || toLocalYMD(new Date(y, m - 1, d - 6).toISOString());
+    renderTimeline(timelineEl, buildTimelineDays(activitiesMaster, taskTagsMap, fromYMD, toYMD));
+  }
+  if (timelineFromInput) timelineFromInput.addEventListener('change', renderTimelineView);
+  if (timelineToInput) timelineToInput.addEventListener('change', renderTimelineView);
+  if (timelineEl) {
+    timelineEl.addEventListener('click', (e) => {
+      const bar = e.target.closest('.timeline-bar');
+      if (!bar) return;
+      const a = activitiesMaster.find(x => String(x.id) === bar.dataset.id);
+      if (!a) return;
+      openModal({ title: 'アクティビティ編集', task: a.task, project: a.project, startTime: a.startTime, endTime: a.endTime, tags: a.tags }, 'edit', [a]);
+    });
+  }
+
+  // DataTables initialization
+  const activitiesTable = new DataTable('#activitiesTable', {
     data: [],
+    rowId: 'id',
     columns: [
       {
         title: '作業内容',
@@ -606,28 +3359,38 @@ async function init() {
       { title: '開始時刻', data: 'startTime', render: (d) => fmtLocal(d) },
       { title: '完了時刻', data: 'endTime', render: (d) => fmtLocal(d) },
       { title: '作業時間', data: 'duration' },
+      { title: '丸め後', name: 'rounded', data: 'roundedDuration', defaultContent: '', visible: settings.roundUnit > 0 },
+      { title: '請求対象', name: 'billable', data: 'billableDuration', defaultContent: '', visible: tagRates.size > 0 },
+      { title: '金額', name: 'amount', data: 'amount', defaultContent: '', visible: tagRates.size > 0 },
       {
         title: 'タグ',
-        data: 'task',
+        data: null,
         orderable: false,
-        render: (task) => {
-          const tags = recentTagsMap.get(task) || [];
-          return renderTags(tags);
-        }
+        // 集計行は集計キーのタグを持つ
+        render: (row) => renderTags(row.tags || taskTagsMap.get(row.task) || [])
       },
       {
         title: '操作',
         data: null,
         orderable: false,
         render: (row) => {
-          const disabled = (groupToggle && groupToggle.checked);
+          const disabled = isGrouped();
           const dis = disabled ? 'disabled' : '';
-          const hint = disabled ? '（作業別に集計中は編集できません）' : '';
+          const hint = disabled ? '（集計中は編集できません）' : '';
           return `
             <div style="display:flex; gap:6px;">
               <button class="btn-edit" ${dis} title="編集${hint}" style="padding:4px 8px; border:1px solid #1d4ed8; color:#dbeafe; background:#1e3a8a; border-radius:6px; cursor:pointer;">
                 <i class="bi bi-pencil"></i> 編集
               </button>
+              <button class="btn-split" ${dis} title="時刻で分割${hint}" style="padding:4px 8px; border:1px solid #1d4ed8; color:#dbeafe; background:#1e3a8a; border-radius:6px; cursor:pointer;">
+                <i class="bi bi-scissors"></i> 分割
+              </button>
+              <button class="btn-merge-prev" ${dis} title="前の行と結合${hint}" style="padding:4px 8px; border:1px solid #1d4ed8; color:#dbeafe; background:#1e3a8a; border-radius:6px; cursor:pointer;">
+                <i class="bi bi-arrow-bar-up"></i>
+              </button>
+              <button class="btn-merge-next" ${dis} title="次の行と結合${hint}" style="padding:4px 8px; border:1px solid #1d4ed8; color:#dbeafe; background:#1e3a8a; border-radius:6px; cursor:pointer;">
+                <i class="bi bi-arrow-bar-down"></i>
+              </button>
               <button class="btn-delete" ${dis} title="削除${hint}" style="padding:4px 8px; border:1px solid #b91c1c; color:#fecaca; background:#7f1d1d; border-radius:6px; cursor:pointer;">
                 <i class="bi bi-trash"></i> 削除
               </button>
@@ -641,6 +3404,8 @@ async function init() {
     paging: false,
     // DataTables v2 layout API: Buttons を有効化（ツールバーはCSSで非表示にする）
     layout: {
+      // 検索は独自の検索欄（activityQuery）で行う
+      topEnd: null,
       topStart: {
         buttons: [
           {
@@ -648,8 +3413,8 @@ async function init() {
             text: 'CSV',
             bom: true,
             exportOptions: {
-              // 表示されている列を出力
-              columns: [0, 1, 2, 3, 4],
+              // 操作列以外の表示されている列を出力（丸め後・請求の列は表示しているときのみ）
+              columns: (idx) => idx <= 7 && activitiesTable.column(idx).visible(),
               // HTML（リンク）をプレーンテキスト化
               format: {
                 body: function (data) {
@@ -662,15 +3427,8 @@ async function init() {
             },
             // ファイル名（timestamp付き）
             filename: function () {
-              const ts = new Date();
-              const y = ts.getFullYear();
-              const m = String(ts.getMonth() + 1).padStart(2, '0');
-              const d = String(ts.getDate()).padStart(2, '0');
-              const hh = String(ts.getHours()).padStart(2, '0');
-              const mm = String(ts.getMinutes()).padStart(2, '0');
-              const ss = String(ts.getSeconds()).padStart(2, '0');
-              const mode = (groupToggle && groupToggle.checked) ? 'grouped' : 'detail';
-              return `activities_${mode}_${y}${m}${d}_${hh}${mm}${ss}`;
+              const mode = isGrouped() ? `grouped_${getGroupMode()}` : 'detail';
+              return `activities_${mode}_${fileTimestamp()}`;
             }
           }
         ]
@@ -678,6 +3436,184 @@ async function init() {
     }
   });
 
+  // Reports tab
+  const reportFromInput = document.getElementById('reportFrom');
+  const reportToInput = document.getElementById('reportTo');
+  const reportPeriod = document.getElementById('reportPeriod');
+  const reportBy = document.getElementById('reportBy');
+  const reportChart = document.getElementById('reportChart');
+  const reportTableEl = document.getElementById('reportTable');
+  const reportCsvBtn = document.getElementById('reportCsvBtn');
+  const reportSvgBtn = document.getElementById('reportSvgBtn');
+  const reportInvoiceBtn = document.getElementById('reportInvoiceBtn');
+  const currentReport = () => buildReport(activitiesMaster, taskTagsMap, {
+    period: reportPeriod ? reportPeriod.value : 'day',
+    by: reportBy ? reportBy.value : 'task',
+    from: reportFromInput ? reportFromInput.value : '',
+    to: reportToInput ? reportToInput.value : '',
+    tagSplit: settings.tagSplit,
+    rounding: settings,
+    rates: tagRates,
+  });
+  function renderReportView() {
+    const panel = document.getElementById('tab-reports');
+    if (!panel || panel.style.display === 'none') return;
+    const report = currentReport();
+    if (reportChart) reportChart.innerHTML = report.periods.length ? renderReportSvg(report) : '<div style="color:var(--dtm-muted);">集計対象の作業がありません</div>';
+    if (reportTableEl) {
+      const roundedCell = (ms) => (report.rounded ? `<td>${msToHMS(ms || 0)}</td>` : '');
+      // 請求対象の時間と金額（単価のあるタグがあるとき）
+      const billingRow = (label, cell, total) => `<tr class="report-billing"><td>${label}</td>${report.series.map(n => `<td>${escapeHtml(cell(n))}</td>`).join('')}<td>${escapeHtml(total)}</td>${report.rounded ? '<td></td>' : ''}</tr>`;
+      const billingRows = report.billing ? [
+        billingRow('請求対象', n => msToHMS(Math.round(report.billing.seriesBillable.get(n) || 0)), msToHMS(Math.round(report.billing.billableMs))),
+        billingRow('金額', n => formatAmounts(report.billing.seriesAmounts.get(n)), formatAmounts(report.billing.amounts)),
+      ].join('') : '';
+      reportTableEl.innerHTML = `
+        <thead><tr><th>期間</th>${report.series.map(n => `<th>${escapeHtml(n)}</th>`).join('')}<th>合計</th>${report.rounded ? '<th>合計（丸め後）</th>' : ''}</tr></thead>
+        <tbody>${report.periods.map((p) => {
+          const row = report.cells.get(p);
+          return `<tr><td>${escapeHtml(p)}</td>${report.series.map(n => `<td>${row.get(n) ? msToHMS(row.get(n)) : ''}</td>`).join('')}<td>${msToHMS(report.periodTotals.get(p))}</td>${roundedCell(report.rounded && report.rounded.periodTotals.get(p))}</tr>`;
+        }).join('')}</tbody>
+        <tfoot><tr><td>合計</td>${report.series.map(n => `<td>${msToHMS(report.seriesTotals.get(n))}</td>`).join('')}<td>${msToHMS(report.total)}</td>${roundedCell(report.rounded && report.rounded.total)}</tr>${billingRows}</tfoot>`;
+    }
+  }
+  [reportFromInput, reportToInput, reportPeriod, reportBy].forEach((el) => {
+    if (el) el.addEventListener('change', renderReportView);
+  });
+  if (reportCsvBtn) {
+    reportCsvBtn.addEventListener('click', () => {
+      const report = currentReport();
+      downloadFile(`report_${report.period}_${report.by}_${fileTimestamp()}.csv`, '\uFEFF' + reportToCsv(report), 'text/csv');
+    });
+  }
+  if (reportSvgBtn) {
+    reportSvgBtn.addEventListener('click', () => {
+      const report = currentReport();
+      downloadFile(`report_${report.period}_${report.by}_${fileTimestamp()}.svg`, renderReportSvg(report), 'image/svg+xml');
+    });
+  }
+  if (reportInvoiceBtn) {
+    reportInvoiceBtn.addEventListener('click', () => {
+      if (!tagRates.size) {
+        alert('単価が設定されたタグがありません。「入力候補」タブのタグ編集で単価を設定してください。');
+        return;
+      }
+      const invoice = buildInvoice(activitiesMaster, taskTagsMap, {
+        from: reportFromInput ? reportFromInput.value : '',
+        to: reportToInput ? reportToInput.value : '',
+        rounding: settings,
+        rates: tagRates,
+      });
+      downloadFile(`invoice_${invoice.from || 'all'}_${invoice.to || 'all'}_${fileTimestamp()}.csv`, '\uFEFF' + invoiceToCsv(invoice), 'text/csv');
+    });
+  }
+
+  // Budgets panel above the activities table (current periods, whatever the filter)
+  const budgetPanel = document.getElementById('budgetPanel');
+  const currentBudgets = () => budgetStatus(activitiesMaster, taskTagsMap, settings.budgets, { tagSplit: settings.tagSplit });
+  function renderBudgetView() {
+    if (!budgetPanel) return;
+    budgetPanel.style.display = settings.budgets.length ? '' : 'none';
+    // 開いている履歴は描き直しても開いたままにする
+    const open = Array.from(budgetPanel.querySelectorAll('details.budget')).map(d => d.open);
+    budgetPanel.innerHTML = renderBudgetPanel(
+      currentBudgets(),
+      settings.budgets.map(b => budgetHistory(activitiesMaster, taskTagsMap, b, { tagSplit: settings.tagSplit }))
+    );
+    budgetPanel.querySelectorAll('details.budget').forEach((d, i) => { d.open = !!open[i]; });
+  }
+
+  // Re-render every view that depends on activitiesMaster
+  function renderViews() {
+    renderActivities(activitiesTable, activitiesMaster, taskTagsMap, settings, tagRates);
+    renderBudgetView();
+    renderTimelineView();
+    renderReportView();
+    refreshElapsed();
+  }
+
+  // Live elapsed time since the last save (header, document.title, app badge)
+  const elapsedStatus = document.getElementById('elapsedStatus');
+  const baseTitle = document.title;
+  let lastActivity = null;
+  let badgeMinutes = null;
+  function updateElapsed() {
+    const info = formatElapsed(lastActivity);
+    if (elapsedStatus) elapsedStatus.textContent = info ? `経過 ${info.hms}（${info.task} から）` : '';
+    document.title = info ? [`${info.hms} ${info.task}`, baseTitle].filter(Boolean).join(' - ') : baseTitle;
+    const minutes = info ? info.minutes : 0;
+    if (minutes !== badgeMinutes && typeof navigator !== 'undefined' && navigator.setAppBadge) {
+      badgeMinutes = minutes;
+      const p = minutes > 0 ? navigator.setAppBadge(minutes) : navigator.clearAppBadge();
+      if (p && p.catch) p.catch(() => {});
+    }
+  }
+  async function refreshElapsed() {
+    lastActivity = await getLastActivity(db);
+    updateElapsed();
+  }
+  // Reminder notification (shown through the service worker so that actions work)
+  let reminding = false;
+  async function checkReminder() {
+    const now = Date.now();
+    const lastReminded = Number(localStorage.getItem(REMINDER_KEY)) || 0;
+    if (reminding || !shouldRemind(lastActivity, now, settings, lastReminded)) return;
+    if (typeof Notification === 'undefined' || Notification.permission !== 'granted') return;
+    if (!('serviceWorker' in navigator)) return;
+    reminding = true;
+    localStorage.setItem(REMINDER_KEY, String(now));
+    try {
+      const reg = await navigator.serviceWorker.ready;
+      const tasks = reminderTasks(await getRecentAll(db), taskTagsMap);
+      const info = formatElapsed(lastActivity, now);
+      await reg.showNotification('作業を記録しましょう', {
+        body: `最後の記録（${info.task}）から${info.hms}経過しています`,
+        tag: 'doneTime-reminder',
+        renotify: true,
+        icon: 'icon.png',
+        data: { actions: Object.fromEntries(tasks.map((t, i) => [`log${i}`, t])) },
+        actions: tasks.map((t, i) => ({ action: `log${i}`, title: `「${t}」を記録` }))
+      });
+    } catch (err) {
+      console.warn('通知を表示できませんでした', err);
+    } finally {
+      reminding = false;
+    }
+  }
+
+  refreshElapsed();
+  setInterval(() => {
+    updateElapsed();
+    checkReminder();
+  }, 1000);
+  // スリープ復帰・タブ切り替え後は DB から読み直す
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'visible') refreshElapsed();
+  });
+
+  // Other tabs: reload when one of them changes data
+  const tabChannel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(TAB_CHANNEL) : null;
+  function notifyDataChanged() {
+    if (tabChannel) tabChannel.postMessage({ type: 'changed' });
+    syncAfterChange().catch((err) => {
+      showSyncStatus(`同期する変更を記録できませんでした: ${err.message}`);
+    });
+  }
+  if (tabChannel) {
+    tabChannel.onmessage = (e) => {
+      // ロックを変えたタブがあれば、鍵が変わったので読み込み直す（ロック中ならパスフレーズを求める）
+      if (e.data && e.data.type === 'lock') {
+        location.reload();
+        return;
+      }
+      if (e.data && e.data.type === 'changed') {
+        // 他のタブの変更後は、このタブの取り消し履歴は古くなるため破棄
+        clearHistory();
+        reloadData();
+      }
+    };
+  }
+
   // Initialize drag-and-drop sorting for recentTable
   function enableDragAndDropSorting(table, db) {
     const tbody = table.table().body();
@@ -727,14 +3663,15 @@ async function init() {
       });
 
       // Save the updated order to the database
+      const sealed = await sealRecords(STORES.recent, updatedData);
       await withStore(db, STORES.recent, 'readwrite', (store) => {
-        updatedData.forEach((item) => store.put(item));
+        sealed.forEach((item) => store.put(item));
       });
 
       // Update the datalist options, ensuring it's sorted correctly
       const allRecent = await getRecentAll(db);
       const sorted = sortRecentItems(allRecent);
-      buildOptionsFromRecent(sorted);
+      refreshTaskOptions(sorted);
 
       // Remove dragging class
       rows.forEach((row) => row.classList.remove('dragging'));
@@ -749,28 +3686,280 @@ async function init() {
   }
 
   // Settings UI wiring
-  const ticketUrlTemplateInput = document.getElementById('ticketUrlTemplate');
   const settingsSaveBtn = document.getElementById('settingsSaveBtn');
   const settingsSaveStatus = document.getElementById('settingsSaveStatus');
-  if (ticketUrlTemplateInput) {
-    ticketUrlTemplateInput.value = settings.ticketUrlTemplate || '';
+  const ticketRulesBody = document.querySelector('#ticketRulesTable tbody');
+  const ticketRuleAddBtn = document.getElementById('ticketRuleAddBtn');
+  const ticketRulePreviewInput = document.getElementById('ticketRulePreviewInput');
+  const ticketRulePreview = document.getElementById('ticketRulePreview');
+  const tagSplitSelect = document.getElementById('tagSplit');
+  const workStartInput = document.getElementById('workStart');
+  const workEndInput = document.getElementById('workEnd');
+  const idleMinutesInput = document.getElementById('idleMinutes');
+  const reminderEnabledInput = document.getElementById('reminderEnabled');
+  const reminderMinutesInput = document.getElementById('reminderMinutes');
+  const roundUnitInput = document.getElementById('roundUnit');
+  const roundModeSelect = document.getElementById('roundMode');
+  const roundScopeSelect = document.getElementById('roundScope');
+  const projectSeparatorInput = document.getElementById('projectSeparator');
+
+  const projectRulesBody = document.querySelector('#projectRulesTable tbody');
+  const projectRuleAddBtn = document.getElementById('projectRuleAddBtn');
+  const exportEmailInput = document.getElementById('exportEmail');
+  const projectRuleRowHtml = (rule = {}) => `
+    <tr class="project-rule-row">
+      <td><input class="rule-query" type="text" value="${escapeHtml(rule.query || '')}" placeholder="tag:projA / ticket:ABC-* / task:&quot;設計&quot;" style="padding:6px; width:100%; box-sizing:border-box;" /></td>
+      <td><input class="rule-project" type="text" value="${escapeHtml(rule.project || '')}" placeholder="プロジェクト名" style="padding:6px; width:100%; box-sizing:border-box;" /></td>
+      <td style="white-space:nowrap;">
+        <button class="rule-up btn-secondary" title="上へ"><i class="bi bi-arrow-up"></i></button>
+        <button class="rule-down btn-secondary" title="下へ"><i class="bi bi-arrow-down"></i></button>
+        <button class="rule-remove btn-secondary" title="削除"><i class="bi bi-trash"></i></button>
+      </td>
+    </tr>`;
+  const budgetsBody = document.querySelector('#budgetsTable tbody');
+  const budgetAddBtn = document.getElementById('budgetAddBtn');
+  const budgetRowHtml = (b = {}) => `
+    <tr class="budget-row">
+      <td>
+        <select class="budget-target" style="padding:6px;">
+          <option value="tag" ${b.target !== 'task' ? 'selected' : ''}>タグ</option>
+          <option value="task" ${b.target === 'task' ? 'selected' : ''}>作業内容</option>
+        </select>
+      </td>
+      <td><input class="budget-name" type="text" value="${escapeHtml(b.name || '')}" placeholder="projA" style="padding:6px; width:100%; box-sizing:border-box;" /></td>
+      <td>
+        <select class="budget-period" style="padding:6px;">
+          ${Object.entries(BUDGET_PERIODS).map(([value, label]) => `<option value="${value}" ${(b.period || 'week') === value ? 'selected' : ''}>${label}</option>`).join('')}
+        </select>
+      </td>
+      <td><input class="budget-hours" type="number" min="0" step="0.5" value="${b.hours || ''}" placeholder="16" style="padding:6px; width:80px;" /></td>
+      <td style="white-space:nowrap;">
+        <button class="rule-up btn-secondary" title="上へ"><i class="bi bi-arrow-up"></i></button>
+        <button class="rule-down btn-secondary" title="下へ"><i class="bi bi-arrow-down"></i></button>
+        <button class="rule-remove btn-secondary" title="削除"><i class="bi bi-trash"></i></button>
+      </td>
+    </tr>`;
+  const readBudgets = () => {
+    if (!budgetsBody) return settings.budgets;
+    return normalizeBudgets(Array.from(budgetsBody.querySelectorAll('.budget-row')).map(tr => ({
+      target: tr.querySelector('.budget-target').value,
+      name: tr.querySelector('.budget-name').value,
+      period: tr.querySelector('.budget-period').value,
+      hours: tr.querySelector('.budget-hours').value,
+    })));
+  };
+  const readProjectRules = () => {
+    if (!projectRulesBody) return settings.projectRules;
+    return normalizeProjectRules(Array.from(projectRulesBody.querySelectorAll('.project-rule-row')).map(tr => ({
+      query: tr.querySelector('.rule-query').value,
+      project: tr.querySelector('.rule-project').value,
+    })));
+  };
+
+  const ticketRuleRowHtml = (rule = {}) => `
+    <tr class="ticket-rule-row">
+      <td>
+        <select class="rule-type" style="padding:6px;">
+          <option value="prefix" ${rule.type === 'prefix' ? 'selected' : ''}>接頭辞</option>
+          <option value="regex" ${rule.type === 'regex' ? 'selected' : ''}>正規表現</option>
+        </select>
+      </td>
+      <td><input class="rule-pattern" type="text" value="${escapeHtml(rule.pattern || '')}" placeholder="ABC-" style="padding:6px; width:100%; box-sizing:border-box;" /></td>
+      <td><input class="rule-url" type="text" value="${escapeHtml(rule.urlTemplate || '')}" placeholder="https://tracker.example.com/browse/{id}" style="padding:6px; width:100%; box-sizing:border-box;" /></td>
+      <td><input class="rule-label" type="text" value="${escapeHtml(rule.label || '')}" placeholder="{match}" style="padding:6px; width:100%; box-sizing:border-box;" /></td>
+      <td style="white-space:nowrap;">
+        <button class="rule-up btn-secondary" title="上へ"><i class="bi bi-arrow-up"></i></button>
+        <button class="rule-down btn-secondary" title="下へ"><i class="bi bi-arrow-down"></i></button>
+        <button class="rule-remove btn-secondary" title="削除"><i class="bi bi-trash"></i></button>
+      </td>
+    </tr>`;
+
+  const readTicketRules = () => {
+    if (!ticketRulesBody) return settings.ticketRules;
+    return normalizeTicketRules(Array.from(ticketRulesBody.querySelectorAll('.ticket-rule-row')).map(tr => ({
+      type: tr.querySelector('.rule-type').value,
+      pattern: tr.querySelector('.rule-pattern').value.trim(),
+      urlTemplate: tr.querySelector('.rule-url').value.trim(),
+      label: tr.querySelector('.rule-label').value.trim(),
+    })));
+  };
+  const updateTicketRulePreview = () => {
+    if (!ticketRulePreview || !ticketRulePreviewInput) return;
+    ticketRulePreview.innerHTML = linkifyTask(ticketRulePreviewInput.value, { ticketRules: readTicketRules() });
+  };
+
+  // Reflect settings into the form / read the form back
+  function fillSettingsForm(s) {
+    if (tagSplitSelect) tagSplitSelect.value = s.tagSplit;
+    if (workStartInput) workStartInput.value = s.workStart;
+    if (workEndInput) workEndInput.value = s.workEnd;
+    if (idleMinutesInput) idleMinutesInput.value = s.idleMinutes;
+    if (reminderEnabledInput) reminderEnabledInput.checked = s.reminderEnabled;
+    if (reminderMinutesInput) reminderMinutesInput.value = s.reminderMinutes;
+    if (roundUnitInput) roundUnitInput.value = s.roundUnit;
+    if (roundModeSelect) roundModeSelect.value = s.roundMode;
+    if (roundScopeSelect) roundScopeSelect.value = s.roundScope;
+    if (projectSeparatorInput) projectSeparatorInput.value = s.projectSeparator;
+    if (exportEmailInput) exportEmailInput.value = s.exportEmail;
+    if (projectRulesBody) projectRulesBody.innerHTML = s.projectRules.map(projectRuleRowHtml).join('');
+    if (budgetsBody) budgetsBody.innerHTML = s.budgets.map(budgetRowHtml).join('');
+    if (ticketRulesBody) {
+      ticketRulesBody.innerHTML = s.ticketRules.map(ticketRuleRowHtml).join('');
+    }
+    updateTicketRulePreview();
+  }
+  function readSettingsForm() {
+    return {
+      ticketRules: readTicketRules(),
+      tagSplit: tagSplitSelect ? tagSplitSelect.value : settings.tagSplit,
+      workStart: workStartInput ? workStartInput.value : settings.workStart,
+      workEnd: workEndInput ? workEndInput.value : settings.workEnd,
+      idleMinutes: idleMinutesInput ? idleMinutesInput.value : settings.idleMinutes,
+      reminderEnabled: reminderEnabledInput ? reminderEnabledInput.checked : settings.reminderEnabled,
+      reminderMinutes: reminderMinutesInput ? reminderMinutesInput.value : settings.reminderMinutes,
+      roundUnit: roundUnitInput ? roundUnitInput.value : settings.roundUnit,
+      roundMode: roundModeSelect ? roundModeSelect.value : settings.roundMode,
+      roundScope: roundScopeSelect ? roundScopeSelect.value : settings.roundScope,
+      projectSeparator: projectSeparatorInput ? projectSeparatorInput.value : settings.projectSeparator,
+      projectRules: readProjectRules(),
+      exportEmail: exportEmailInput ? exportEmailInput.value : settings.exportEmail,
+      budgets: readBudgets(),
+    };
+  }
+  fillSettingsForm(settings);
+
+  // Up / down / remove buttons of the rule tables
+  const handleRuleRowButton = (body, e, rowSelector) => {
+    const tr = e.target.closest(rowSelector);
+    if (!tr) return;
+    if (e.target.closest('.rule-up') && tr.previousElementSibling) {
+      body.insertBefore(tr, tr.previousElementSibling);
+    } else if (e.target.closest('.rule-down') && tr.nextElementSibling) {
+      body.insertBefore(tr.nextElementSibling, tr);
+    } else if (e.target.closest('.rule-remove')) {
+      tr.remove();
+    }
+  };
+  if (ticketRulesBody) {
+    ticketRulesBody.addEventListener('click', (e) => {
+      handleRuleRowButton(ticketRulesBody, e, '.ticket-rule-row');
+      updateTicketRulePreview();
+    });
+    ticketRulesBody.addEventListener('input', updateTicketRulePreview);
+  }
+  if (projectRulesBody) {
+    projectRulesBody.addEventListener('click', (e) => handleRuleRowButton(projectRulesBody, e, '.project-rule-row'));
+  }
+  if (budgetsBody) {
+    budgetsBody.addEventListener('click', (e) => handleRuleRowButton(budgetsBody, e, '.budget-row'));
+  }
+  if (budgetAddBtn && budgetsBody) {
+    budgetAddBtn.addEventListener('click', () => {
+      budgetsBody.insertAdjacentHTML('beforeend', budgetRowHtml());
+    });
+  }
+  if (projectRuleAddBtn && projectRulesBody) {
+    projectRuleAddBtn.addEventListener('click', () => {
+      projectRulesBody.insertAdjacentHTML('beforeend', projectRuleRowHtml());
+    });
+  }
+  if (ticketRuleAddBtn && ticketRulesBody) {
+    ticketRuleAddBtn.addEventListener('click', () => {
+      ticketRulesBody.insertAdjacentHTML('beforeend', ticketRuleRowHtml({ type: 'prefix' }));
+    });
   }
+  if (ticketRulePreviewInput) ticketRulePreviewInput.addEventListener('input', updateTicketRulePreview);
+
   if (settingsSaveBtn) {
-    settingsSaveBtn.addEventListener('click', () => {
-      const next = {
-        ticketUrlTemplate: (ticketUrlTemplateInput && ticketUrlTemplateInput.value || '').trim()
-      };
-      settings = next;
-      saveSettings(settings);
-      // Re-render activities to apply linkification immediately
-      activitiesTable.rows().invalidate().draw(false);
+    settingsSaveBtn.addEventListener('click', async () => {
+      saveSettings({ ...settings, ...readSettingsForm() });
+      settings = loadSettings();
+      fillSettingsForm(settings);
+      // Re-render to apply linkification / tag split immediately
+      renderViews();
+      refreshTaskOptions();
+      let status = '保存しました';
+      // 通知は明示的に有効にしたときだけ許可を求める
+      if (settings.reminderEnabled) {
+        const permission = typeof Notification === 'undefined' ? 'denied'
+          : Notification.permission === 'default' ? await Notification.requestPermission() : Notification.permission;
+        if (permission !== 'granted') status = '保存しました（通知が許可されていないため通知されません）';
+      }
       if (settingsSaveStatus) {
-        settingsSaveStatus.textContent = '保存しました';
-        setTimeout(() => settingsSaveStatus.textContent = '', 1500);
+        settingsSaveStatus.textContent = status;
+        setTimeout(() => settingsSaveStatus.textContent = '', 3000);
       }
     });
   }
 
+  // Undo / redo (Ctrl+Z / Ctrl+Y) with a toast offering the opposite action
+  const editHistory = createHistory();
+  const toastEl = document.getElementById('toast');
+  const toastMessage = document.getElementById('toastMessage');
+  const toastAction = document.getElementById('toastAction');
+  let toastTimer = null;
+  let historyBusy = false;
+  function showToast(message, action) {
+    if (!toastEl) return;
+    toastMessage.textContent = message;
+    toastAction.style.display = action ? '' : 'none';
+    toastAction.textContent = action ? action.label : '';
+    toastAction.onclick = action ? () => { hideToast(); action.onClick(); } : null;
+    toastEl.style.display = 'flex';
+    clearTimeout(toastTimer);
+    toastTimer = setTimeout(hideToast, 6000);
+  }
+  function hideToast() {
+    if (toastEl) toastEl.style.display = 'none';
+  }
+  function record(entry) {
+    if (pushHistory(editHistory, entry)) {
+      showToast(entry.label, { label: '元に戻す', onClick: undo });
+      notifyDataChanged();
+    }
+  }
+  async function stepHistory(step, doneText, action) {
+    if (historyBusy) return;
+    historyBusy = true;
+    try {
+      const entry = await step(db, editHistory);
+      if (!entry) {
+        showToast(step === undoHistory ? '元に戻せる操作はありません' : 'やり直せる操作はありません');
+        return;
+      }
+      await reloadData();
+      notifyDataChanged();
+      showToast(`${doneText}: ${entry.label}`, action);
+    } catch (err) {
+      console.warn('履歴の適用に失敗しました', err);
+      showToast('操作を適用できませんでした');
+    } finally {
+      historyBusy = false;
+    }
+  }
+  function undo() {
+    return stepHistory(undoHistory, '元に戻しました', { label: 'やり直す', onClick: redo });
+  }
+  function redo() {
+    return stepHistory(redoHistory, 'やり直しました', { label: '元に戻す', onClick: undo });
+  }
+  // Bulk operations (restore, import) and changes from other tabs invalidate recorded snapshots
+  function clearHistory() {
+    editHistory.undo = [];
+    editHistory.redo = [];
+  }
+  document.addEventListener('keydown', (e) => {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+    const key = e.key.toLowerCase();
+    if (key !== 'z' && key !== 'y') return;
+    // テキスト入力中は通常の取り消しを優先（空の入力欄を除く）
+    const t = e.target;
+    if (t && (t.isContentEditable || t.tagName === 'TEXTAREA' || ((t.tagName === 'INPUT') && t.value))) return;
+    e.preventDefault();
+    if (key === 'z' && !e.shiftKey) undo();
+    else redo();
+  });
+
   // Handle pin toggle in recentTable
   document.querySelector('#recentTable').addEventListener('click', async (e) => {
     const pinIcon = e.target.closest('.pin-icon');
@@ -779,9 +3968,12 @@ async function init() {
       const row = recentTable.row(tr);
       const data = row.data();
       const newPinnedState = !data.pinned;
-      const updatedRecent = await updateRecentOrderForPinToggle(db, data.text, newPinnedState);
+      let updatedRecent = [];
+      record(await trackChanges(db, [STORES.recent], newPinnedState ? 'ピン留め' : 'ピン留めの解除', async () => {
+        updatedRecent = await updateRecentOrderForPinToggle(db, data.text, newPinnedState);
+      }));
       recentTable.clear().rows.add(updatedRecent).draw(false);
-      buildOptionsFromRecent(updatedRecent);
+      refreshTaskOptions(updatedRecent);
       return;
     }
 
@@ -794,10 +3986,10 @@ async function init() {
       if (!text) return;
       const ok = confirm(`「${text}」を入力候補から削除しますか？`);
       if (!ok) return;
-      await deleteRecent(db, text);
+      record(await trackChanges(db, [STORES.recent], '入力候補の削除', () => deleteRecent(db, text)));
       const updated = await getRecentAll(db);
       recentTable.clear().rows.add(updated).draw(false);
-      buildOptionsFromRecent(updated);
+      refreshTaskOptions(updated);
     }
   });
 
@@ -815,47 +4007,158 @@ async function init() {
     }, 0);
   }
 
+  // Workday prompt: resolves with the plan to save, or null when cancelled
+  const workdayModal = document.getElementById('workdayModal');
+  const workdayMessage = document.getElementById('workdayMessage');
+  const workdayAt = document.getElementById('workdayAt');
+  const workdayError = document.getElementById('workdayError');
+  function askWorkdayPlan(last, endTime, task, gap) {
+    return new Promise((resolve) => {
+      const elapsed = msToHMS(new Date(endTime) - new Date(last.endTime));
+      workdayMessage.textContent = gap.reason === 'newDay'
+        ? `前回の保存（${fmtLocal(last.endTime)}）から日付または始業時刻をまたいでいます（${elapsed}）。`
+        : `前回の保存（${fmtLocal(last.endTime)}）から${elapsed}経過しています。`;
+      workdayModal.querySelectorAll('input[name="workdayChoice"]').forEach((r) => {
+        r.checked = r.value === gap.choice;
+      });
+      workdayAt.value = toLocalInputValue(gap.at);
+      workdayError.textContent = '';
+      workdayModal.style.display = 'flex';
+      const finish = (plan) => {
+        workdayModal.style.display = 'none';
+        resolve(plan);
+      };
+      document.getElementById('workdayCancel').onclick = () => finish(null);
+      document.getElementById('workdayOk').onclick = () => {
+        const checked = workdayModal.querySelector('input[name="workdayChoice"]:checked');
+        try {
+          finish(validatePlan(planWorkdaySave(last.endTime, endTime, task, checked ? checked.value : 'keep', fromLocalInputValue(workdayAt.value))));
+        } catch (err) {
+          workdayError.textContent = err.message;
+        }
+      };
+    });
+  }
+
+  // Quick time syntax ("-10m 会議" など): the row that Enter would save, or an error
+  const taskPreview = document.getElementById('taskPreview');
+  function quickTimeFor(text) {
+    try {
+      const quick = parseQuickTime(text);
+      return quick && { task: quick.task, ...resolveQuickTime(activitiesMaster, quick) };
+    } catch (err) {
+      return { error: err.message };
+    }
+  }
+  function updateTaskPreview() {
+    if (!taskPreview) return;
+    const quick = quickTimeFor(taskInput.value);
+    taskPreview.textContent = !quick ? ''
+      : quick.error ? quick.error
+      : `${fmtLocal(quick.startTime)} 〜 ${fmtLocal(quick.endTime)}（${buildDuration(quick.startTime, quick.endTime)}）${quick.task}`;
+    taskPreview.style.color = quick && quick.error ? '#e11d48' : '#64748b';
+  }
+
   async function saveTask() {
-    const task = (taskInput.value || '').trim();
+    const quick = quickTimeFor(taskInput.value);
+    if (quick && quick.error) {
+      updateTaskPreview();
+      return;
+    }
+    const task = quick ? quick.task : (taskInput.value || '').trim();
     if (!task) {
       saveStatus.textContent = '作業内容を入力してください';
       setTimeout(() => saveStatus.textContent = '', 1500);
       return;
     }
 
+    if (workdayModal && workdayModal.style.display === 'flex') return;
+
     const last = await getLastActivity(db);
     const endTime = nowIso();
-    const startTime = last ? last.endTime : endTime;
-    const activity = { task, startTime, endTime };
-
-    await withStore(db, STORES.activities, 'readwrite', (store) => store.put(activity));
+    // 日をまたぐ・空き時間が長いときは「開始」「休憩」を挟むか確認（開始・休憩自体、時刻指定の保存は除く）
+    const gap = !quick && last && !(taskTagsMap.get(task) || []).includes(EXCLUDED_TAG)
+      ? detectWorkdayGap(last.endTime, endTime, settings)
+      : null;
+    let plan;
+    if (quick) {
+      plan = { remove: [], upsert: [{ task, startTime: quick.startTime, endTime: quick.endTime }] };
+    } else if (gap) {
+      plan = await askWorkdayPlan(last, endTime, task, gap);
+      if (!plan) return;
+    } else {
+      const startTime = last ? last.endTime : endTime;
+      plan = { remove: [], upsert: [{ task, startTime, endTime }] };
+    }
+    const budgetsBefore = currentBudgets();
+    const saved = await applyActivityPlan(db, plan);
+    record({ label: '作業の保存', changes: planHistoryChanges(plan, saved) });
 
     // Update master list and re-render table
-    activitiesMaster.push(activity);
-    renderActivities(activitiesTable, activitiesMaster, recentTagsMap, settings);
+    activitiesMaster.push(...saved);
+    renderViews();
+    const crossings = budgetCrossings(budgetsBefore, currentBudgets());
 
     // 新しいタスクの並び順を更新し、UIに反映
-    const updatedRecent = await updateRecentOrderForNewTask(db, task, recentTagsMap);
+    const updatedRecent = await updateRecentOrderForNewTask(db, task);
     await trimRecentUnpinned(db, 30);
     const finalRecent = await getRecentAll(db); // trimming後再取得
-    recentTagsMap = getRecentTagsMap(finalRecent);
     const sortedFinal = sortRecentItems(finalRecent);
     recentTable.clear().rows.add(sortedFinal).draw(false);
-    buildOptionsFromRecent(sortedFinal);
+    refreshTaskOptions(sortedFinal);
 
     // UI feedback
-    saveStatus.textContent = '保存しました';
-    setTimeout(() => saveStatus.textContent = '', 1500);
+    if (crossings.length) {
+      // 予算の80%・100%超えは少し長く、色を変えて知らせる
+      saveStatus.textContent = `保存しました（${crossings.map(c => `${budgetLabel(c.budget)}の${c.level >= 1 ? '予算を超えました' : '80%を超えました'}`).join('、')}）`;
+      const color = saveStatus.style.color;
+      saveStatus.style.color = '#f59e0b';
+      setTimeout(() => {
+        saveStatus.textContent = '';
+        saveStatus.style.color = color;
+      }, 6000);
+    } else {
+      saveStatus.textContent = '保存しました';
+      setTimeout(() => saveStatus.textContent = '', 1500);
+    }
     // 入力欄をクリアして意図しない二重入力を防止
     taskInput.value = '';
+    updateTaskPreview();
     taskInput.focus();
   }
 
   saveBtn.addEventListener('click', saveTask);
+
+  // Reminder notification clicks (see sw.js): focus the input or log a recent task
+  const logFromNotification = (task) => {
+    taskInput.value = task;
+    saveTask();
+  };
+  if (typeof navigator !== 'undefined' && navigator.serviceWorker) {
+    navigator.serviceWorker.addEventListener('message', (e) => {
+      const msg = e.data || {};
+      if (msg.type === 'doneTime.logTask' && msg.task) {
+        logFromNotification(msg.task);
+      } else if (msg.type === 'doneTime.focusInput') {
+        taskInput.focus();
+        taskInput.select();
+      }
+    });
+  }
+  // Opened by a notification action while no window was open. A URL can come from anywhere,
+  // so the task is only put in the input; saving is left to the user.
+  const taskParam = new URLSearchParams(location.search).get('task');
+  if (taskParam) {
+    window.history.replaceState(null, '', location.pathname);
+    taskInput.value = taskParam;
+    updateTaskPreview();
+    taskInput.focus();
+  }
   // IME 変換確定 Enter と保存 Enter を分離するためのフラグ
   let isComposing = false;
   taskInput.addEventListener('compositionstart', () => { isComposing = true; });
   taskInput.addEventListener('compositionend', () => { isComposing = false; });
+  taskInput.addEventListener('input', updateTaskPreview);
   taskInput.addEventListener('keydown', (e) => {
     if (e.key === 'Enter') {
       if (isComposing) {
@@ -873,24 +4176,99 @@ async function init() {
       if (filterDateFromInput.value && !filterDateToInput.value) {
         filterDateToInput.value = filterDateFromInput.value;
       }
-      renderActivities(activitiesTable, activitiesMaster, recentTagsMap, settings);
+      if (datePresetSelect) datePresetSelect.value = '';
+      renderViews();
     });
   }
   if (filterDateToInput) {
-    filterDateToInput.addEventListener('change', () => renderActivities(activitiesTable, activitiesMaster, recentTagsMap, settings));
+    filterDateToInput.addEventListener('change', () => {
+      if (datePresetSelect) datePresetSelect.value = '';
+      renderViews();
+    });
   }
-  if (groupToggle) {
-    groupToggle.addEventListener('change', () => renderActivities(activitiesTable, activitiesMaster, recentTagsMap, settings));
+  if (datePresetSelect) {
+    datePresetSelect.addEventListener('change', () => {
+      const range = datePresetRange(datePresetSelect.value);
+      if (!range) return;
+      filterDateFromInput.value = range.from;
+      filterDateToInput.value = range.to;
+      renderViews();
+    });
+  }
+  if (groupModeSelect) {
+    groupModeSelect.addEventListener('change', renderViews);
+  }
+  if (queryInput) {
+    // 検索は作業履歴の表だけに効く
+    queryInput.addEventListener('input', () => renderActivities(activitiesTable, activitiesMaster, taskTagsMap, settings, tagRates));
   }
   if (clearFilterBtn) {
     clearFilterBtn.addEventListener('click', () => {
       if (filterDateFromInput) filterDateFromInput.value = '';
       if (filterDateToInput) filterDateToInput.value = '';
-      // 併せて「作業別に集計」もオフにする
-      if (groupToggle) groupToggle.checked = false;
-      renderActivities(activitiesTable, activitiesMaster, recentTagsMap, settings);
+      if (datePresetSelect) datePresetSelect.value = '';
+      if (queryInput) queryInput.value = '';
+      // 併せて集計もオフにする
+      if (groupModeSelect) groupModeSelect.value = 'none';
+      renderViews();
+    });
+  }
+
+  // Saved views (date range or preset, grouping, search) and the view restored on reload
+  const currentView = (name = '') => normalizeView({
+    name,
+    preset: datePresetSelect ? datePresetSelect.value : '',
+    from: filterDateFromInput.value,
+    to: filterDateToInput.value,
+    groupMode: getGroupMode(),
+    search: queryInput ? queryInput.value : '',
+  });
+  // Set the controls to a view; the caller re-renders
+  function applyView(view) {
+    const range = viewRange(view);
+    if (datePresetSelect) datePresetSelect.value = view.preset;
+    filterDateFromInput.value = range.from;
+    filterDateToInput.value = range.to;
+    if (groupModeSelect) groupModeSelect.value = view.groupMode;
+    if (queryInput) queryInput.value = view.search;
+  }
+  function fillSavedViews(selected = '') {
+    if (!savedViewsSelect) return;
+    savedViewsSelect.innerHTML = '<option value="">保存したビュー</option>'
+      + loadViews().saved.map(v => `<option value="${escapeHtml(v.name)}">${escapeHtml(v.name)}</option>`).join('');
+    savedViewsSelect.value = selected;
+  }
+  fillSavedViews();
+  if (savedViewsSelect) {
+    savedViewsSelect.addEventListener('change', () => {
+      const view = loadViews().saved.find(v => v.name === savedViewsSelect.value);
+      if (!view) return;
+      applyView(view);
+      renderViews();
+    });
+  }
+  if (saveViewBtn) {
+    saveViewBtn.addEventListener('click', () => {
+      const name = (prompt('ビューの名前', savedViewsSelect ? savedViewsSelect.value : '') || '').trim();
+      if (!name) return;
+      const views = loadViews();
+      saveViews({ ...views, saved: upsertView(views.saved, currentView(name)) });
+      fillSavedViews(name);
+    });
+  }
+  if (deleteViewBtn) {
+    deleteViewBtn.addEventListener('click', () => {
+      const name = savedViewsSelect ? savedViewsSelect.value : '';
+      if (!name || !confirm(`ビュー「${name}」を削除しますか？`)) return;
+      const views = loadViews();
+      saveViews({ ...views, saved: views.saved.filter(v => v.name !== name) });
+      fillSavedViews();
     });
   }
+  // 表示中のビューを記憶（検索欄の入力もdrawで拾う）
+  activitiesTable.on('draw', () => {
+    saveViews({ ...loadViews(), last: currentView() });
+  });
 
   const downloadBtn = document.getElementById('downloadCsvBtn');
   if (downloadBtn) {
@@ -900,22 +4278,269 @@ async function init() {
     });
   }
 
+  // JSON / Markdown / TSV / iCalendar export of the rows shown in the table
+  const exportFormatSelect = document.getElementById('exportFormat');
+  const exportStatus = document.getElementById('exportStatus');
+  const buildCurrentExport = () => {
+    const format = EXPORT_FORMATS[exportFormatSelect.value] || EXPORT_FORMATS.json;
+    if (format.preset) {
+      const rows = currentActivityRows(activitiesMaster, taskTagsMap, settings, { groupMode: 'none', rates: tagRates });
+      const { csv, count, skipped } = buildPresetCsv(format.preset, rows, taskTagsMap, settings);
+      const note = skipped ? `（チケットIDのない${skipped}行を除外）` : '';
+      return { format, content: csv, message: `${format.label}: ${count}行${note}` };
+    }
+    const { name, ...filter } = currentView();
+    const records = exportRecords(currentActivityRows(activitiesMaster, taskTagsMap, settings, { rates: tagRates }), taskTagsMap);
+    return { format, content: format.build(records, { rounded: settings.roundUnit > 0, filter }), message: '' };
+  };
+  const showExportStatus = (text) => {
+    if (!exportStatus) return;
+    exportStatus.textContent = text;
+    setTimeout(() => exportStatus.textContent = '', 3000);
+  };
+  const exportBtn = document.getElementById('exportBtn');
+  if (exportBtn && exportFormatSelect) {
+    exportBtn.addEventListener('click', () => {
+      const { format, content, message } = buildCurrentExport();
+      const mode = format.preset || (isGrouped() ? `grouped_${getGroupMode()}` : 'detail');
+      downloadFile(`activities_${mode}_${fileTimestamp()}.${format.ext}`, content, format.mime);
+      if (message) showExportStatus(message);
+    });
+  }
+  const exportCopyBtn = document.getElementById('exportCopyBtn');
+  if (exportCopyBtn && exportFormatSelect) {
+    exportCopyBtn.addEventListener('click', async () => {
+      const { format, content } = buildCurrentExport();
+      try {
+        await navigator.clipboard.writeText(content);
+        showExportStatus(`${format.label}をコピーしました`);
+      } catch {
+        showExportStatus('コピーできませんでした。「出力」でダウンロードしてください');
+      }
+    });
+  }
+
+  // CSV import (preview → confirm → write)
+  const importCsvBtn = document.getElementById('importCsvBtn');
+  const importCsvFile = document.getElementById('importCsvFile');
+  const importModal = document.getElementById('importModal');
+  const importSummary = document.getElementById('importSummary');
+  const importPreviewTable = document.getElementById('importPreviewTable');
+  const importOverwrite = document.getElementById('importOverwrite');
+  const importCancel = document.getElementById('importCancel');
+  const importConfirm = document.getElementById('importConfirm');
+  let importRows = [];
+
+  const renderImportPreview = () => {
+    const overwrite = !!(importOverwrite && importOverwrite.checked);
+    const errorCount = importRows.filter(r => r.errors.length).length;
+    const existingCount = importRows.filter(r => !r.errors.length && r.existing).length;
+    const writable = importRows.filter(r => !r.errors.length && (overwrite || !r.existing)).length;
+    if (importSummary) {
+      importSummary.textContent = `全 ${importRows.length} 行 / エラー ${errorCount} 行 / 既存と重複 ${existingCount} 行 → ${writable} 行を取り込みます`;
+    }
+    if (importPreviewTable) {
+      importPreviewTable.innerHTML = `
+        <thead><tr><th>行</th><th>作業内容</th><th>開始時刻</th><th>完了時刻</th><th>状態</th></tr></thead>
+        <tbody>${importRows.map(r => {
+          let status = 'OK';
+          if (r.errors.length) status = r.errors.join(' / ');
+          else if (r.existing) status = overwrite ? '既存の行を上書き' : '既存と重複（スキップ）';
+          const color = r.errors.length ? '#fecaca' : (r.existing ? '#fde68a' : '#a7f3d0');
+          return `
+            <tr>
+              <td>${r.line}</td>
+              <td>${escapeHtml(r.task)}</td>
+              <td>${r.startTime ? escapeHtml(fmtLocal(r.startTime)) : ''}</td>
+              <td>${r.endTime ? escapeHtml(fmtLocal(r.endTime)) : ''}</td>
+              <td style="color:${color};">${escapeHtml(status)}</td>
+            </tr>`;
+        }).join('')}
+        </tbody>`;
+    }
+    if (importConfirm) importConfirm.disabled = writable === 0;
+  };
+  const closeImportModal = () => {
+    if (importModal) importModal.style.display = 'none';
+    importRows = [];
+    if (importCsvFile) importCsvFile.value = '';
+  };
+
+  if (importCsvBtn && importCsvFile) {
+    importCsvBtn.addEventListener('click', () => importCsvFile.click());
+    importCsvFile.addEventListener('change', async () => {
+      const file = importCsvFile.files && importCsvFile.files[0];
+      if (!file) return;
+      try {
+        importRows = buildImportPreview(parseCsv(await file.text()), activitiesMaster);
+      } catch (err) {
+        alert(`取り込めません: ${err.message}`);
+        importCsvFile.value = '';
+        return;
+      }
+      if (importOverwrite) importOverwrite.checked = false;
+      renderImportPreview();
+      if (importModal) importModal.style.display = 'flex';
+    });
+  }
+  if (importOverwrite) importOverwrite.addEventListener('change', renderImportPreview);
+  if (importCancel) importCancel.addEventListener('click', closeImportModal);
+  if (importConfirm) {
+    importConfirm.addEventListener('click', async () => {
+      const overwrite = !!(importOverwrite && importOverwrite.checked);
+      let count;
+      try {
+        count = await importActivities(db, importRows, { overwrite });
+      } catch (err) {
+        // 1つのトランザクションなので何も書き込まれていない。プレビューを残して知らせる
+        if (importSummary) importSummary.textContent = `取り込めませんでした: ${err.message}`;
+        return;
+      }
+      closeImportModal();
+      clearHistory();
+      notifyDataChanged();
+      activitiesMaster = await getAllActivities(db);
+      renderViews();
+      saveStatus.textContent = `${count} 行を取り込みました`;
+      setTimeout(() => saveStatus.textContent = '', 3000);
+    });
+  }
+
+  // Integrity checker / repair wizard
+  const integrityBtn = document.getElementById('integrityBtn');
+  const integrityModal = document.getElementById('integrityModal');
+  const integrityType = document.getElementById('integrityType');
+  const integrityIncludeExcluded = document.getElementById('integrityIncludeExcluded');
+  const integritySummary = document.getElementById('integritySummary');
+  const integrityList = document.getElementById('integrityList');
+  const integrityPreview = document.getElementById('integrityPreview');
+  const integrityError = document.getElementById('integrityError');
+  const integrityClose = document.getElementById('integrityClose');
+  const integrityApply = document.getElementById('integrityApply');
+  let integrityIssues = [];
+  let integrityPlan = null;
+
+  const describeRow = (a) => `${escapeHtml(a.task)} <small>(${escapeHtml(fmtLocal(a.startTime))} 〜 ${escapeHtml(fmtLocal(a.endTime))}, ${buildDuration(a.startTime, a.endTime)})</small>`;
+  const isExcludedRow = (a) => activityTags(a, taskTagsMap).includes(EXCLUDED_TAG);
+
+  function renderIntegrityList() {
+    const type = integrityType ? integrityType.value : '';
+    const includeExcluded = !!(integrityIncludeExcluded && integrityIncludeExcluded.checked);
+    integrityIssues = checkIntegrity(activitiesMaster)
+      .filter(i => !type || i.type === type)
+      .filter(i => includeExcluded || !i.rows.every(isExcludedRow));
+    integrityPlan = null;
+    if (integrityPreview) integrityPreview.style.display = 'none';
+    if (integrityApply) integrityApply.style.display = 'none';
+    if (integrityError) integrityError.textContent = '';
+    if (integritySummary) integritySummary.textContent = `${integrityIssues.length} 件`;
+    if (!integrityList) return;
+    if (!integrityIssues.length) {
+      integrityList.innerHTML = '<div style="color:#a7f3d0;">問題は見つかりませんでした</div>';
+      return;
+    }
+    integrityList.innerHTML = integrityIssues.map((issue, idx) => {
+      const fixes = integrityFixes(issue);
+      const needsTask = fixes.some(f => f.needsTask);
+      return `
+        <div class="integrity-issue" data-idx="${idx}" style="padding:8px; border:1px solid #1f2937; border-radius:8px;">
+          <div><strong>${INTEGRITY_LABELS[issue.type]}</strong>
+            <small>${escapeHtml(fmtLocal(issue.from))} 〜 ${escapeHtml(fmtLocal(issue.to))} (${buildDuration(issue.from, issue.to)})</small>
+          </div>
+          ${issue.rows.map(r => `<div style="margin-left:12px;">${describeRow(r)}</div>`).join('')}
+          <div style="display:flex; gap:6px; align-items:center; flex-wrap:wrap; margin-top:6px;">
+            <select class="integrity-fix" style="padding:6px;">
+              ${fixes.map(f => `<option value="${f.id}">${escapeHtml(f.label)}</option>`).join('')}
+            </select>
+            ${needsTask ? '<input class="integrity-task" type="text" list="taskOptions" placeholder="埋める作業内容" style="padding:6px;" />' : ''}
+            <button class="integrity-preview-btn btn-secondary"><i class="bi bi-eye"></i> プレビュー</button>
+          </div>
+        </div>`;
+    }).join('');
+  }
+
+  if (integrityBtn && integrityModal) {
+    integrityBtn.addEventListener('click', () => {
+      renderIntegrityList();
+      integrityModal.style.display = 'flex';
+    });
+  }
+  if (integrityType) integrityType.addEventListener('change', renderIntegrityList);
+  if (integrityIncludeExcluded) integrityIncludeExcluded.addEventListener('change', renderIntegrityList);
+  if (integrityClose) integrityClose.addEventListener('click', () => { integrityModal.style.display = 'none'; });
+  if (integrityList) {
+    integrityList.addEventListener('click', (e) => {
+      const btn = e.target.closest('.integrity-preview-btn');
+      if (!btn) return;
+      const card = btn.closest('.integrity-issue');
+      const issue = integrityIssues[Number(card.dataset.idx)];
+      const fixId = card.querySelector('.integrity-fix').value;
+      const taskEl = card.querySelector('.integrity-task');
+      if (integrityError) integrityError.textContent = '';
+      try {
+        integrityPlan = validatePlan(planIntegrityFix(issue, fixId, { task: taskEl ? taskEl.value.trim() : '' }));
+      } catch (err) {
+        integrityPlan = null;
+        if (integrityError) integrityError.textContent = err.message;
+        if (integrityApply) integrityApply.style.display = 'none';
+        return;
+      }
+      if (integrityPreview) {
+        integrityPreview.innerHTML = `
+          <div style="font-weight:600; margin-bottom:4px;">変更前</div>
+          ${integrityPlan.remove.map(r => `<div style="color:#fecaca;">− ${describeRow(r)}</div>`).join('') || '<div>（なし）</div>'}
+          <div style="font-weight:600; margin:6px 0 4px;">変更後</div>
+          ${integrityPlan.upsert.map(r => `<div style="color:#a7f3d0;">＋ ${describeRow(r)}</div>`).join('') || '<div>（なし）</div>'}`;
+        integrityPreview.style.display = '';
+      }
+      if (integrityApply) integrityApply.style.display = '';
+    });
+  }
+  if (integrityApply) {
+    integrityApply.addEventListener('click', async () => {
+      if (!integrityPlan) return;
+      try {
+        const saved = await applyActivityPlan(db, integrityPlan);
+        record({ label: '整合性の修正', changes: planHistoryChanges(integrityPlan, saved) });
+      } catch (err) {
+        if (integrityError) integrityError.textContent = `適用に失敗しました: ${err.message}`;
+        return;
+      }
+      activitiesMaster = await getAllActivities(db);
+      renderViews();
+      renderIntegrityList();
+    });
+  }
+
+  // 入力候補の並び順を作業内容の使用に合わせて更新し、UIに反映
+  async function touchRecent(task) {
+    await updateRecentOrderForNewTask(db, task);
+    await trimRecentUnpinned(db, 30);
+    const sorted = sortRecentItems(await getRecentAll(db));
+    recentTable.clear().rows.add(sorted).draw(false);
+    refreshTaskOptions(sorted);
+  }
+
   // Manual add button
   if (manualAddBtn) {
     manualAddBtn.addEventListener('click', async () => {
-      if (groupToggle && groupToggle.checked) {
-        alert('「作業別に集計」をオフにすると編集・追加できます。');
+      if (isGrouped()) {
+        alert('集計を「なし」にすると編集・追加できます。');
         return;
       }
       const last = await getLastActivity(db);
       const now = nowIso();
       const start = last ? last.endTime : now;
-      openModal({ title: 'アクティビティ追加', task: '', startTime: start, endTime: now }, false);
+      openModal({ title: 'アクティビティ追加', task: '', startTime: start, endTime: now }, 'add');
     });
   }
 
   // Modal buttons
   if (modalCancel) modalCancel.addEventListener('click', closeModal);
+  if (modalOwnTags && modalTags) modalOwnTags.addEventListener('change', () => {
+    modalTags.disabled = !modalOwnTags.checked;
+    if (modalOwnTags.checked) modalTags.focus();
+  });
   if (modalEl) modalEl.addEventListener('click', (e) => {
     if (e.target === modalEl) closeModal();
   });
@@ -937,79 +4562,127 @@ async function init() {
         if (modalError) modalError.textContent = '開始時刻は完了時刻より前である必要があります';
         return;
       }
+      // チェック時のみ行ごとのタグを保存（空配列なら「タグなし」として扱う）
+      const ownTags = (modalOwnTags && modalOwnTags.checked && modalTags)
+        ? Array.from(new Set(modalTags.value.split(',').map(s => s.trim()).filter(Boolean)))
+        : null;
+      const withOwnTags = (activity) => (ownTags ? { ...activity, tags: ownTags } : activity);
+      // プロジェクトは任意（空なら項目ごと持たない）
+      const project = (modalProject && modalProject.value || '').trim();
+      const withProject = (activity) => (project ? { ...activity, project } : activity);
 
-      // Check endTime uniqueness (key)
-      const dup = activitiesMaster.find(a => a.endTime === endIso);
-      if (!editing) {
-        if (dup) {
-          if (modalError) modalError.textContent = '同じ完了時刻の行が既に存在します（完了時刻を変更してください）';
-          return;
-        }
-        const activity = { task, startTime: startIso, endTime: endIso };
-        await withStore(db, STORES.activities, 'readwrite', (store) => store.put(activity));
+      const original = modalRows[0];
+      if (modalMode === 'add') {
+        const activity = await putActivity(db, withProject(withOwnTags({ task, startTime: startIso, endTime: endIso })));
+        record({ label: '作業の追加', changes: [{ store: STORES.activities, before: null, after: activity }] });
         activitiesMaster.push(activity);
-        // 新しいタスクの並び順を更新
-        const updatedRecent = await updateRecentOrderForNewTask(db, task, recentTagsMap);
-        await trimRecentUnpinned(db, 30);
-        const finalRecent = await getRecentAll(db);
-        recentTagsMap = getRecentTagsMap(finalRecent);
-        const sortedFinal = sortRecentItems(finalRecent);
-        recentTable.clear().rows.add(sortedFinal).draw(false);
-        buildOptionsFromRecent(sortedFinal);
+        await touchRecent(task);
+      } else if (modalMode === 'edit') {
+        // the id stays the same even when the end time changes
+        const activity = await putActivity(db, withProject(withOwnTags({ id: original.id, task, startTime: startIso, endTime: endIso })));
+        record({ label: '作業の編集', changes: [{ store: STORES.activities, before: original, after: activity }] });
+        const idx = activitiesMaster.findIndex(a => a.id === original.id);
+        if (idx >= 0) activitiesMaster[idx] = activity; else activitiesMaster.push(activity);
+        await touchRecent(task);
       } else {
-        // editing
-        const original = originalEndTime;
-        if (endIso !== original && dup) {
-          if (modalError) modalError.textContent = '同じ完了時刻の行が既に存在します（完了時刻を変更してください）';
-          return;
+        // split / merge: remove the original rows and write the result in one transaction
+        const merged = withProject(withOwnTags({ id: original.id, task, startTime: startIso, endTime: endIso }));
+        let plan;
+        if (modalMode === 'split') {
+          const task2 = (modalTask2 && modalTask2.value || '').trim();
+          const splitIso = fromLocalInputValue(modalSplitAt && modalSplitAt.value);
+          if (!task2) {
+            if (modalError) modalError.textContent = '後半の作業内容を入力してください';
+            return;
+          }
+          if (!splitIso || !(startIso < splitIso && splitIso < endIso)) {
+            if (modalError) modalError.textContent = '分割する時刻は開始時刻と完了時刻の間にしてください';
+            return;
+          }
+          plan = { ...planSplit(merged, [splitIso], [task, task2]), remove: modalRows };
+        } else {
+          plan = { remove: modalRows, upsert: [merged] };
         }
-        // Remove old if key changed
-        if (original && endIso !== original) {
-          await deleteActivityByEnd(db, original);
-          activitiesMaster = activitiesMaster.filter(a => a.endTime !== original);
+        let saved;
+        try {
+          saved = await applyActivityPlan(db, validatePlan(plan));
+        } catch (err) {
+          if (modalError) modalError.textContent = err.message;
+          return;
         }
-        const activity = { task, startTime: startIso, endTime: endIso };
-        await withStore(db, STORES.activities, 'readwrite', (store) => store.put(activity));
-        // Update master (replace or add)
-        const idx = activitiesMaster.findIndex(a => a.endTime === endIso);
-        if (idx >= 0) activitiesMaster[idx] = activity; else activitiesMaster.push(activity);
-        // 既存のタグを維持して recent を更新
-        const updatedRecent = await updateRecentOrderForNewTask(db, task, recentTagsMap);
-        await trimRecentUnpinned(db, 30);
-        const finalRecent = await getRecentAll(db);
-        recentTagsMap = getRecentTagsMap(finalRecent);
-        const sortedFinal = sortRecentItems(finalRecent);
-        recentTable.clear().rows.add(sortedFinal).draw(false);
-        buildOptionsFromRecent(sortedFinal);
+        record({ label: modalMode === 'split' ? '作業の分割' : '作業の結合', changes: planHistoryChanges(plan, saved) });
+        activitiesMaster = await getAllActivities(db);
+        for (const r of saved) await touchRecent(r.task);
       }
 
+      if (ownTags) await addCatalogTags(db, ownTags);
       closeModal();
-      renderActivities(activitiesTable, activitiesMaster, recentTagsMap, settings);
+      renderViews();
     });
   }
 
-  // Edit/Delete handlers on activities table
+  // Edit/Split/Merge/Delete handlers on activities table
   document.querySelector('#activitiesTable').addEventListener('click', async (e) => {
     const editBtn = e.target.closest('.btn-edit');
     const delBtn = e.target.closest('.btn-delete');
-    if (!editBtn && !delBtn) return;
-    if (groupToggle && groupToggle.checked) {
-      alert('「作業別に集計」をオフにすると編集・削除できます。');
+    const splitBtn = e.target.closest('.btn-split');
+    const mergeBtn = e.target.closest('.btn-merge-prev, .btn-merge-next');
+    const btn = editBtn || delBtn || splitBtn || mergeBtn;
+    if (!btn) return;
+    if (isGrouped()) {
+      alert('集計を「なし」にすると編集・削除できます。');
       return;
     }
-    const tr = (editBtn || delBtn).closest('tr');
+    const tr = btn.closest('tr');
     const row = activitiesTable.row(tr);
     const data = row.data();
     if (!data) return;
+    const current = activitiesMaster.find(a => a.id === data.id);
+    if (!current) return;
     if (editBtn) {
-      openModal({ title: 'アクティビティ編集', task: data.task, startTime: data.startTime, endTime: data.endTime }, true);
+      openModal({ title: 'アクティビティ編集', task: current.task, project: current.project, startTime: current.startTime, endTime: current.endTime, tags: current.tags }, 'edit', [current]);
+      return;
+    }
+    if (splitBtn) {
+      const mid = new Date((new Date(current.startTime).getTime() + new Date(current.endTime).getTime()) / 2);
+      mid.setSeconds(0, 0);
+      openModal({
+        title: 'アクティビティ分割',
+        task: current.task,
+        project: current.project,
+        startTime: current.startTime,
+        endTime: current.endTime,
+        tags: current.tags,
+        splitAt: mid.toISOString()
+      }, 'split', [current]);
+      return;
+    }
+    if (mergeBtn) {
+      const direction = mergeBtn.classList.contains('btn-merge-prev') ? -1 : 1;
+      const other = adjacentActivity(activitiesMaster, current, direction);
+      if (!other) {
+        alert(direction < 0 ? '前の行がありません' : '次の行がありません');
+        return;
+      }
+      const [first, second] = direction < 0 ? [other, current] : [current, other];
+      const merged = planMerge(first, second).upsert[0];
+      openModal({
+        title: 'アクティビティ結合',
+        task: merged.task,
+        project: merged.project,
+        startTime: merged.startTime,
+        endTime: merged.endTime,
+        tags: merged.tags
+      }, 'merge', [first, second]);
       return;
     }
     if (delBtn) {
       const ok = confirm('この行を削除しますか？');
       if (!ok) return;
-      await deleteActivityByEnd(db, data.endTime);
-      activitiesMaster = activitiesMaster.filter(a => a.endTime !== data.endTime);
+      const removed = activitiesMaster.find(a => a.id === data.id);
+      const entry = { label: '作業の削除', changes: [{ store: STORES.activities, before: removed, after: null }] };
+      await deleteActivityById(db, data.id);
+      activitiesMaster = activitiesMaster.filter(a => a.id !== data.id);
       // 削除した行の直後の作業の開始時刻を調整
       try {
         // prev: 削除行より前で最も遅い endTime の行
@@ -1021,14 +4694,17 @@ async function init() {
         if (prev && next) {
           const newStart = prev.endTime;
           if (new Date(next.endTime) >= new Date(newStart) && next.startTime !== newStart) {
+            const before = { ...next };
             next.startTime = newStart;
-            await withStore(db, STORES.activities, 'readwrite', (store) => store.put({ task: next.task, startTime: next.startTime, endTime: next.endTime }));
+            await putActivity(db, next);
+            entry.changes.push({ store: STORES.activities, before, after: { ...next } });
           }
         }
       } catch (err) {
         console.warn('startTime 調整中にエラー:', err);
       }
-      renderActivities(activitiesTable, activitiesMaster, recentTagsMap, settings);
+      record(entry);
+      renderViews();
     }
   });
 
@@ -1044,12 +4720,24 @@ async function init() {
     const data = row.data();
     if (!data) return;
 
-    // 直近履歴からタグ候補を取得
-    const allRecent = await getRecentAll(await openDB());
-    const tagCandidates = getAllTagCandidates(allRecent);
+    // タグカタログから候補を取得
+    const catalog = await getTagCatalog(db);
+    const tagCandidates = catalog.map(t => t.name);
+    const inputStyle = 'padding:4px 6px;border-radius:6px;border:1px solid #334155;background:#0c1428;color:#e5e7eb;box-sizing:border-box;';
+    const billingRowHtml = (rec) => {
+      const b = normalizeTagBilling(rec) || { rate: 0, currency: DEFAULT_CURRENCY, billable: true, priority: 0 };
+      return `
+        <tr class="tag-billing-row" data-tag="${escapeHtml(rec.name)}">
+          <td>${escapeHtml(rec.name)}</td>
+          <td><input class="billing-rate" type="number" min="0" step="any" value="${b.rate || ''}" placeholder="0" style="${inputStyle}width:90px;" /></td>
+          <td><input class="billing-currency" type="text" maxlength="3" value="${escapeHtml(b.currency)}" style="${inputStyle}width:56px;text-transform:uppercase;" /></td>
+          <td style="text-align:center;"><input class="billing-billable" type="checkbox" ${b.billable ? 'checked' : ''} /></td>
+          <td><input class="billing-priority" type="number" step="1" value="${b.priority}" style="${inputStyle}width:60px;" /></td>
+        </tr>`;
+    };
 
     // 編集用ダイアログ生成
-    const currentTags = Array.isArray(data.tags) ? data.tags : [];
+    const currentTags = taskTagsMap.get(data.text) || [];
     const modal = document.createElement('div');
     modal.style = `
       position:fixed; inset:0; z-index:2000; background:rgba(0,0,0,0.25); display:flex; align-items:center; justify-content:center;
@@ -1067,6 +4755,16 @@ async function init() {
             </span>
           `).join('')}
         </div>
+        <details id="tagBillingBox" style="margin-bottom:10px;">
+          <summary style="cursor:pointer; font-size:0.95em;">単価・請求（タグごと）</summary>
+          <div style="font-size:0.85em; color:#94a3b8; margin:6px 0;">
+            時給を入れたタグの作業が請求対象になります。単価のあるタグが複数付いた作業は、優先度の大きいタグ（同じなら先に付いたタグ）で計算します。「請求」を外したタグは請求しない作業になります。
+          </div>
+          <table style="width:100%; font-size:0.9em;">
+            <thead><tr><th style="text-align:left;">タグ</th><th>時給</th><th>通貨</th><th>請求</th><th>優先度</th></tr></thead>
+            <tbody>${catalog.map(billingRowHtml).join('')}</tbody>
+          </table>
+        </details>
         <div style="display:flex; gap:10px; justify-content:flex-end;">
           <button id="tagEditCancel" style="padding:6px 14px;border-radius:6px;border:1px solid #334155;background:#0c1428;color:#e5e7eb;">キャンセル</button>
           <button id="tagEditOk" style="padding:6px 14px;border-radius:6px;border:1px solid #22c55e;background:#22c55e;color:#062813;font-weight:700;">保存</button>
@@ -1113,29 +4811,22 @@ async function init() {
     async function handleTagDelete(e) {
       const tagToDelete = e.target.dataset.tag;
       if (!tagToDelete) return;
-      const ok = confirm(`タグ「${tagToDelete}」をすべての入力候補から削除しますか？この操作は元に戻せません。`);
+      const ok = confirm(`タグ「${tagToDelete}」をすべての作業内容と履歴から削除しますか？削除後は「元に戻す」（Ctrl+Z）で取り消せます。`);
       if (!ok) return;
 
-      const db = await openDB();
-      const allRecent = await getRecentAll(db);
-      const updatedRecent = allRecent.map(item => {
-        if (Array.isArray(item.tags) && item.tags.includes(tagToDelete)) {
-          item.tags = item.tags.filter(t => t !== tagToDelete);
-        }
-        return item;
-      });
-      await withStore(db, STORES.recent, 'readwrite', (store) => {
-        updatedRecent.forEach(item => store.put(item));
+      record(await trackChanges(db, [STORES.tags, STORES.taskTags, STORES.activities], `タグ「${tagToDelete}」の削除`, () => deleteTag(db, tagToDelete)));
+      modal.querySelectorAll('.tag-billing-row').forEach((tr) => {
+        if (tr.dataset.tag === tagToDelete) tr.remove();
       });
 
       // UI Update
-      const newTagCandidates = getAllTagCandidates(updatedRecent);
+      const newTagCandidates = (await getTagCatalog(db)).map(t => t.name);
       renderTagCandidates(modal, newTagCandidates, input, handleTagDelete); // Re-render the list
-      recentTagsMap = getRecentTagsMap(updatedRecent);
-      const sorted = sortRecentItems(updatedRecent);
-      recentTable.clear().rows.add(sorted).draw(false);
-      buildOptionsFromRecent(sorted);
-      renderActivities(activitiesTable, activitiesMaster, recentTagsMap, settings);
+      taskTagsMap = await getTaskTagsMap(db);
+      tagRates = billingRates(await getTagCatalog(db));
+      activitiesMaster = await getAllActivities(db);
+      recentTable.rows().invalidate().draw(false);
+      renderViews();
     }
 
     // 1. Initial setup when the modal is created
@@ -1144,15 +4835,26 @@ async function init() {
     // 保存処理
     const saveTags = async () => {
       const tags = input.value.split(',').map(s => s.trim()).filter(Boolean);
-      data.tags = tags;
-      await withStore(await openDB(), STORES.recent, 'readwrite', (store) => store.put(data));
-      // テーブル・入力候補・タグMap・アクティビティテーブルを更新
-      const updated = await getRecentAll(await openDB());
-      recentTagsMap = getRecentTagsMap(updated);
-      const sorted = sortRecentItems(updated); // ピン留め順を維持するためにソート
-      recentTable.clear().rows.add(sorted).draw(false);
-      buildOptionsFromRecent(sorted);
-      renderActivities(activitiesTable, activitiesMaster, recentTagsMap, settings);
+      // 単価・請求は変わったタグだけ書き込む（タグの変更と一緒に元に戻せる）
+      const billingChanges = Array.from(modal.querySelectorAll('.tag-billing-row')).flatMap((tr) => {
+        const billing = normalizeTagBilling({
+          rate: tr.querySelector('.billing-rate').value,
+          currency: tr.querySelector('.billing-currency').value,
+          billable: tr.querySelector('.billing-billable').checked,
+          priority: tr.querySelector('.billing-priority').value,
+        });
+        const before = catalog.find(t => t.name === tr.dataset.tag);
+        return JSON.stringify(billing) === JSON.stringify(normalizeTagBilling(before)) ? [] : [[tr.dataset.tag, billing]];
+      });
+      record(await trackChanges(db, [STORES.taskTags, STORES.tags], 'タグの変更', async () => {
+        await setTaskTags(db, data.text, tags);
+        for (const [name, billing] of billingChanges) await setTagBilling(db, name, billing);
+      }));
+      // テーブル・タグMap・アクティビティテーブルを更新
+      taskTagsMap = await getTaskTagsMap(db);
+      tagRates = billingRates(await getTagCatalog(db));
+      recentTable.rows().invalidate().draw(false);
+      renderViews();
       document.body.removeChild(modal);
     };
 
@@ -1188,7 +4890,7 @@ async function init() {
 
   // テーブルのタグ列に対するカスタムレンダラー
   function tagCellRenderer(task) {
-    const tags = recentTagsMap.get(task) || [];
+    const tags = taskTagsMap.get(task) || [];
     return renderTags(tags);
   }
   // activitiesTable のタグ列にカスタムレンダラーを適用
@@ -1203,28 +4905,315 @@ async function init() {
     }
   });
 
-  // タグクリックで「Search」に自動入力＆検索 (activitiesTable内のみ)
+  // タグクリックで検索欄に「tag:」条件を追加 (activitiesTable内のみ)
   document.querySelector('#activitiesTable').addEventListener('click', (e) => {
     const tagEl = e.target.closest('.tag-searchable');
-    if (tagEl && tagEl.dataset && tagEl.dataset.tag) {
-      // DataTables v2 APIで検索
-      if (activitiesTable && typeof activitiesTable.search === 'function') {
-        activitiesTable.search(tagEl.dataset.tag).draw();
-      }
+    if (tagEl && tagEl.dataset && tagEl.dataset.tag && queryInput) {
+      const term = tagQueryTerm(tagEl.dataset.tag);
+      let terms = [];
+      try { terms = tokenizeQuery(queryInput.value); } catch { /* 閉じていない引用符はそのまま残す */ }
+      if (!terms.includes(term)) queryInput.value = `${queryInput.value.trim()} ${term}`.trim();
+      renderActivities(activitiesTable, activitiesMaster, taskTagsMap, settings, tagRates);
     }
   });
 
-  // DataTablesのdraw時に検索欄へ値を反映（同期用）
-  activitiesTable.on('draw', function() {
-    const searchVal = activitiesTable.search();
-    const dtSearchInput = document.querySelector('#activitiesTable_filter input[type="search"], #activitiesTable_filter input[type="text"]');
-    if (dtSearchInput && searchVal !== undefined) {
-      dtSearchInput.value = searchVal;
-    }
+  // DB・設定を読み直して全体を再描画（復元後など）
+  async function reloadFromDB() {
+    settings = loadSettings();
+    fillSettingsForm(settings);
+    await reloadData();
+  }
+  // DB から入力候補・タグ・作業履歴だけを読み直す（元に戻す/やり直し後など）
+  async function reloadData() {
+    const allRecent = await getRecentAll(db);
+    taskTagsMap = await getTaskTagsMap(db);
+    tagRates = billingRates(await getTagCatalog(db));
+    const sorted = sortRecentItems(allRecent);
+    recentTable.clear().rows.add(sorted).draw(false);
+    refreshTaskOptions(sorted);
+    activitiesMaster = await getAllActivities(db);
+    renderViews();
+  }
+
+  // Sync with a self-hosted endpoint (see syncOnce)
+  const syncEnabledInput = document.getElementById('syncEnabled');
+  const syncUrlInput = document.getElementById('syncUrl');
+  const syncUserInput = document.getElementById('syncUser');
+  const syncPasswordInput = document.getElementById('syncPassword');
+  const syncSaveBtn = document.getElementById('syncSaveBtn');
+  const syncNowBtn = document.getElementById('syncNowBtn');
+  const syncStatus = document.getElementById('syncStatus');
+  let syncState = loadSyncState();
+  saveSyncState(syncState); // 端末IDを固定する
+  let syncRunning = null;
+  let syncTimer = null;
+  function fillSyncForm() {
+    if (syncEnabledInput) syncEnabledInput.checked = syncState.enabled;
+    if (syncUrlInput) syncUrlInput.value = syncState.url;
+    if (syncUserInput) syncUserInput.value = syncState.user;
+    if (syncPasswordInput) syncPasswordInput.value = syncState.password;
+  }
+  function showSyncStatus(text) {
+    if (syncStatus) syncStatus.textContent = text;
+  }
+  function runSync() {
+    if (!syncState.enabled || !syncState.url) return Promise.resolve();
+    if (syncRunning) return syncRunning;
+    syncRunning = (async () => {
+      // 他のタブが書いた状態から始める
+      syncState = loadSyncState();
+      try {
+        const { pulled } = await syncOnce(db, syncState);
+        saveSyncState(syncState);
+        showSyncStatus(`同期しました（${fmtLocal(syncState.lastSync)}）`);
+        if (pulled) {
+          // 他の端末の変更を書き込んだので、取り消し履歴は古くなる
+          clearHistory();
+          await reloadData();
+          if (tabChannel) tabChannel.postMessage({ type: 'changed' });
+        }
+      } catch (err) {
+        saveSyncState(syncState);
+        const reason = typeof navigator !== 'undefined' && navigator.onLine === false ? 'オフラインです' : err.message;
+        showSyncStatus(`同期できませんでした: ${reason}（未送信 ${syncState.outbox.length}件）`);
+      } finally {
+        syncRunning = null;
+      }
+    })();
+    return syncRunning;
+  }
+  // Local change: stamp it now (also offline) and sync shortly after
+  async function syncAfterChange() {
+    if (!syncState.enabled) return;
+    if (syncRunning) await syncRunning;
+    syncState = loadSyncState();
+    await captureSyncChanges(db, syncState);
+    saveSyncState(syncState);
+    clearTimeout(syncTimer);
+    syncTimer = setTimeout(runSync, 2000);
+  }
+  fillSyncForm();
+  if (syncSaveBtn) {
+    syncSaveBtn.addEventListener('click', () => {
+      syncState = loadSyncState();
+      const url = syncUrlInput ? syncUrlInput.value.trim() : syncState.url;
+      if (url !== syncState.url) {
+        // 同期先が変わったら手元の全件を送り直す
+        syncState.known = {};
+        syncState.outbox = [];
+        syncState.lastSync = '';
+      }
+      syncState.url = url;
+      syncState.enabled = !!(syncEnabledInput && syncEnabledInput.checked) && !!url;
+      syncState.user = syncUserInput ? syncUserInput.value : syncState.user;
+      syncState.password = syncPasswordInput ? syncPasswordInput.value : syncState.password;
+      saveSyncState(syncState);
+      fillSyncForm();
+      showSyncStatus(syncState.enabled ? '同期しています…' : '同期しません');
+      runSync();
+    });
+  }
+  if (syncNowBtn) {
+    syncNowBtn.addEventListener('click', () => {
+      if (!syncState.enabled) {
+        showSyncStatus('「同期する」をオンにして同期設定を保存してください');
+        return;
+      }
+      showSyncStatus('同期しています…');
+      runSync();
+    });
+  }
+  window.addEventListener('online', runSync);
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'visible') runSync();
   });
+  setInterval(runSync, 5 * 60 * 1000);
+  runSync();
+
+  // Backup / restore
+  const backupBtn = document.getElementById('backupBtn');
+  const restoreFile = document.getElementById('restoreFile');
+  const restoreMode = document.getElementById('restoreMode');
+  const restoreBtn = document.getElementById('restoreBtn');
+  const backupStatus = document.getElementById('backupStatus');
+  const restoreModal = document.getElementById('restoreModal');
+  const restoreSummary = document.getElementById('restoreSummary');
+  const restoreConflictTable = document.getElementById('restoreConflictTable');
+  const restorePreferIncoming = document.getElementById('restorePreferIncoming');
+  const restoreCancel = document.getElementById('restoreCancel');
+  const restoreConfirm = document.getElementById('restoreConfirm');
+  const backupPassphrase = document.getElementById('backupPassphrase');
+  let pendingRestore = null;
+
+  const showBackupStatus = (msg) => {
+    if (!backupStatus) return;
+    backupStatus.textContent = msg;
+    setTimeout(() => backupStatus.textContent = '', 3000);
+  };
+  const closeRestoreModal = () => {
+    if (restoreModal) restoreModal.style.display = 'none';
+    pendingRestore = null;
+  };
+  const runRestore = async (backup, opts) => {
+    try {
+      await restoreBackup(db, backup, opts);
+      clearHistory();
+      notifyDataChanged();
+      await reloadFromDB();
+      showBackupStatus('復元しました');
+    } catch (err) {
+      showBackupStatus(`復元できませんでした: ${err.message}`);
+    }
+  };
+
+  if (backupBtn) {
+    backupBtn.addEventListener('click', async () => {
+      const passphrase = backupPassphrase ? backupPassphrase.value : '';
+      if (!passphrase && loadLockMeta()) {
+        const ok = confirm('パスフレーズが空のため、バックアップは暗号化されずに保存されます。続けますか？');
+        if (!ok) return;
+      }
+      const json = JSON.stringify(await buildBackup(db), null, 2);
+      if (!passphrase) {
+        downloadFile(`doneTime_backup_${fileTimestamp()}.json`, json, 'application/json');
+        return;
+      }
+      const file = await encryptWithPassphrase(json, passphrase);
+      downloadFile(`doneTime_backup_${fileTimestamp()}.encrypted.json`, JSON.stringify(file, null, 2), 'application/json');
+      showBackupStatus('暗号化して保存しました');
+    });
+  }
+  if (restoreBtn) {
+    restoreBtn.addEventListener('click', async () => {
+      const file = restoreFile && restoreFile.files && restoreFile.files[0];
+      if (!file) {
+        showBackupStatus('復元するファイルを選択してください');
+        return;
+      }
+      let backup;
+      try {
+        backup = await readBackupFile(await file.text(), backupPassphrase ? backupPassphrase.value : '');
+      } catch (err) {
+        alert(`復元できません: ${err.message}`);
+        return;
+      }
+      const mode = (restoreMode && restoreMode.value) || 'merge';
+      if (mode === 'replace') {
+        const ok = confirm('現在のデータをすべて削除し、バックアップの内容で置き換えますか？');
+        if (!ok) return;
+        await runRestore(backup, { mode });
+        return;
+      }
+      const conflicts = findBackupConflicts(activitiesMaster, backup.stores[STORES.activities]);
+      if (!conflicts.length) {
+        await runRestore(backup, { mode });
+        return;
+      }
+      // 競合がある場合は書き込み前に一覧で確認する
+      pendingRestore = backup;
+      if (restoreSummary) restoreSummary.textContent = `完了時刻が同じで内容が異なる行が ${conflicts.length} 件あります。`;
+      if (restoreConflictTable) {
+        restoreConflictTable.innerHTML = `
+          <thead><tr><th>完了時刻</th><th>現在</th><th>バックアップ</th></tr></thead>
+          <tbody>${conflicts.map(c => `
+            <tr>
+              <td>${escapeHtml(fmtLocal(c.endTime))}</td>
+              <td>${escapeHtml(c.current.task)}<br/><small>${escapeHtml(fmtLocal(c.current.startTime))} 〜</small></td>
+              <td>${escapeHtml(c.incoming.task)}<br/><small>${escapeHtml(fmtLocal(c.incoming.startTime))} 〜</small></td>
+            </tr>`).join('')}
+          </tbody>`;
+      }
+      if (restorePreferIncoming) restorePreferIncoming.checked = false;
+      if (restoreModal) restoreModal.style.display = 'flex';
+    });
+  }
+  if (restoreCancel) restoreCancel.addEventListener('click', closeRestoreModal);
+  if (restoreConfirm) {
+    restoreConfirm.addEventListener('click', async () => {
+      if (!pendingRestore) return;
+      const backup = pendingRestore;
+      const preferIncoming = !!(restorePreferIncoming && restorePreferIncoming.checked);
+      closeRestoreModal();
+      await runRestore(backup, { mode: 'merge', preferIncoming });
+    });
+  }
+
+  // Lock: keep task texts encrypted in IndexedDB (see reencryptStores)
+  const lockPassphrase = document.getElementById('lockPassphrase');
+  const lockPassphraseConfirm = document.getElementById('lockPassphraseConfirm');
+  const lockSaveBtn = document.getElementById('lockSaveBtn');
+  const lockDisableBtn = document.getElementById('lockDisableBtn');
+  const lockStatus = document.getElementById('lockStatus');
+  function showLockStatus(text) {
+    if (lockStatus) lockStatus.textContent = text;
+  }
+  function fillLockForm() {
+    const locked = !!loadLockMeta();
+    if (lockSaveBtn) {
+      lockSaveBtn.innerHTML = locked
+        ? '<i class="bi bi-key"></i> パスフレーズを変更'
+        : '<i class="bi bi-lock"></i> ロックする';
+    }
+    if (lockDisableBtn) lockDisableBtn.disabled = !locked;
+    if (lockPassphrase) lockPassphrase.value = '';
+    if (lockPassphraseConfirm) lockPassphraseConfirm.value = '';
+    showLockStatus(locked ? 'ロック中（起動時にパスフレーズが必要です）' : 'ロックしていません');
+  }
+  // 鍵が変わると取り消し履歴の行は書き戻せないため破棄し、他のタブには読み込み直させる
+  function afterLockChange() {
+    clearHistory();
+    if (tabChannel) tabChannel.postMessage({ type: 'lock' });
+    fillLockForm();
+  }
+  fillLockForm();
+  if (lockSaveBtn) {
+    lockSaveBtn.addEventListener('click', async () => {
+      const passphrase = lockPassphrase ? lockPassphrase.value : '';
+      if (!passphrase) {
+        showLockStatus('パスフレーズを入力してください');
+        return;
+      }
+      if (!lockPassphraseConfirm || passphrase !== lockPassphraseConfirm.value) {
+        showLockStatus('確認用のパスフレーズが一致しません');
+        return;
+      }
+      if (!loadLockMeta()) {
+        const ok = confirm('パスフレーズを忘れると、この端末の作業内容は取り出せなくなります（データを削除して始め直すことはできます）。\n'
+          + '先にバックアップを取っておくことをおすすめします。ロックしますか？');
+        if (!ok) return;
+      }
+      showLockStatus('暗号化しています…');
+      try {
+        const { meta, keys } = await createLock(passphrase);
+        await reencryptStores(db, atRest.keys, keys);
+        localStorage.setItem(LOCK_KEY, JSON.stringify(meta));
+        setAtRestKeys(keys);
+        afterLockChange();
+      } catch (err) {
+        showLockStatus(`ロックできませんでした: ${err.message}`);
+      }
+    });
+  }
+  if (lockDisableBtn) {
+    lockDisableBtn.addEventListener('click', async () => {
+      const ok = confirm('ロックを解除し、作業内容を暗号化せずに保存しますか？');
+      if (!ok) return;
+      showLockStatus('復号しています…');
+      try {
+        await reencryptStores(db, atRest.keys, null);
+        localStorage.removeItem(LOCK_KEY);
+        setAtRestKeys(null);
+        afterLockChange();
+      } catch (err) {
+        showLockStatus(`解除できませんでした: ${err.message}`);
+      }
+    });
+  }
 
-  // 最後に初回描画
-  renderActivities(activitiesTable, activitiesMaster, recentTagsMap, settings);
+  // 前回表示していたビューを復元してから初回描画
+  const lastView = loadViews().last;
+  if (lastView) applyView(lastView);
+  renderViews();
 }
 
 if (typeof document !== 'undefined') {
@@ -1240,6 +5229,9 @@ if (typeof module !== 'undefined') {
     escapeHtml,
     loadSettings,
     saveSettings,
+    normalizeSettings,
+    getTicketRules,
+    findTicketTokens,
     linkifyTask,
     openDB,
     withStore,
@@ -1259,13 +5251,147 @@ if (typeof module !== 'undefined') {
     renderTags,
     getRecentTagsMap,
     getAllTagCandidates,
-    deleteActivityByEnd,
-    getActivityByEnd,
+    deriveTagStores,
+    activityTags,
+    getTaskTagsMap,
+    getTagCatalog,
+    setTaskTags,
+    addCatalogTags,
+    setTagBilling,
+    deleteTag,
+    deleteActivityById,
+    getActivityById,
+    putActivity,
+    HISTORY_LIMIT,
+    createHistory,
+    pushHistory,
+    diffSnapshots,
+    trackChanges,
+    undoHistory,
+    redoHistory,
+    fileTimestamp,
+    buildBackup,
+    parseBackup,
+    readBackupFile,
+    findBackupConflicts,
+    restoreBackup,
+    SYNC_KEY,
+    normalizeSyncState,
+    saveSyncState,
+    syncHash,
+    compareSyncEntries,
+    mergeSyncDoc,
+    captureSyncChanges,
+    applySyncDoc,
+    syncOnce,
+    isEncryptedFile,
+    encryptWithPassphrase,
+    decryptWithPassphrase,
+    deriveCryptoKeys,
+    sealText,
+    openText,
+    isSealed,
+    setAtRestKeys,
+    LOCK_KEY,
+    loadLockMeta,
+    createLock,
+    unlockKeys,
+    reencryptStores,
+    resetLockedData,
+    parseCsv,
+    parseLocalDateTime,
+    buildImportPreview,
+    importActivities,
     toLocalYMD,
+    GROUP_MODES,
+    tagShares,
+    roundMs,
+    apportion,
+    roundActivities,
+    DEFAULT_CURRENCY,
+    normalizeTagBilling,
+    billingRates,
+    billingFor,
+    billActivity,
+    roundAmount,
+    formatAmounts,
+    buildActivityRows,
     renderActivities,
+    taskPath,
+    topProject,
+    taskProjectResolver,
+    buildTaskTreeRows,
+    renderTaskTree,
+    tagColor,
+    enumerateDays,
+    buildTimelineDays,
+    EXCLUDED_TAG,
+    START_TASK,
+    BREAK_TASK,
+    detectWorkdayGap,
+    planWorkdaySave,
+    parseQuickTime,
+    resolveQuickTime,
+    formatElapsed,
+    REMINDER_KEY,
+    withinWorkingHours,
+    shouldRemind,
+    reminderTasks,
+    TAB_CHANNEL,
+    midnightsBetween,
+    checkIntegrity,
+    integrityFixes,
+    planSplit,
+    planIntegrityFix,
+    validatePlan,
+    planMerge,
+    adjacentActivity,
+    planHistoryChanges,
+    applyActivityPlan,
+    isoWeekKey,
+    periodKey,
+    VIEWS_KEY,
+    DATE_PRESETS,
+    datePresetRange,
+    normalizeView,
+    viewRange,
+    loadViews,
+    saveViews,
+    upsertView,
+    tokenizeQuery,
+    parseActivityQuery,
+    matchesQuery,
+    tagQueryTerm,
+    buildReport,
+    buildCsv,
+    exportRecords,
+    activitiesToJson,
+    activitiesToMarkdown,
+    activitiesToTsv,
+    activitiesToIcs,
+    foldIcsLine,
+    EXPORT_FORMATS,
+    ticketKey,
+    normalizeProjectRules,
+    projectResolver,
+    IMPORT_PRESETS,
+    buildPresetCsv,
+    reportToCsv,
+    buildInvoice,
+    invoiceToCsv,
+    BUDGET_PERIODS,
+    normalizeBudgets,
+    budgetLabel,
+    budgetStatus,
+    budgetHistory,
+    budgetCrossings,
+    renderBudgetPanel,
+    renderReportSvg,
     init,
     STORES,
     SETTINGS_KEY,
-    SEEDED_FLAG
+    SEEDED_FLAG,
+    BACKUP_FORMAT,
+    BACKUP_VERSION
   };
 }
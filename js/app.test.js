@@ -1,6 +1,95 @@
 // At the top of your test file, import the functions.
 // Thanks to the Jest transformer, this will now work correctly for app.js
-const { msToHMS, escapeHtml, linkifyTask, loadSettings } = require('./app.js');
+const {
+  msToHMS,
+  escapeHtml,
+  linkifyTask,
+  loadSettings,
+  parseBackup,
+  findBackupConflicts,
+  parseCsv,
+  parseLocalDateTime,
+  buildImportPreview,
+  fmtLocal,
+  enumerateDays,
+  buildTimelineDays,
+  tagColor,
+  checkIntegrity,
+  integrityFixes,
+  planIntegrityFix,
+  validatePlan,
+  isoWeekKey,
+  buildReport,
+  buildCsv,
+  exportRecords,
+  activitiesToJson,
+  activitiesToMarkdown,
+  activitiesToTsv,
+  activitiesToIcs,
+  foldIcsLine,
+  ticketKey,
+  projectResolver,
+  buildPresetCsv,
+  reportToCsv,
+  buildInvoice,
+  invoiceToCsv,
+  normalizeBudgets,
+  budgetLabel,
+  budgetStatus,
+  budgetHistory,
+  budgetCrossings,
+  renderBudgetPanel,
+  normalizeTagBilling,
+  billingRates,
+  billingFor,
+  roundAmount,
+  formatAmounts,
+  renderReportSvg,
+  buildActivityRows,
+  buildOptionsFromRecent,
+  taskPath,
+  taskProjectResolver,
+  buildTaskTreeRows,
+  renderTaskTree,
+  apportion,
+  roundActivities,
+  datePresetRange,
+  normalizeView,
+  viewRange,
+  loadViews,
+  saveViews,
+  upsertView,
+  parseActivityQuery,
+  matchesQuery,
+  tagQueryTerm,
+  withinWorkingHours,
+  shouldRemind,
+  reminderTasks,
+  formatElapsed,
+  parseQuickTime,
+  resolveQuickTime,
+  detectWorkdayGap,
+  planWorkdaySave,
+  planSplit,
+  planMerge,
+  adjacentActivity,
+  createHistory,
+  pushHistory,
+  diffSnapshots,
+  HISTORY_LIMIT,
+  BACKUP_FORMAT,
+  readBackupFile,
+  isEncryptedFile,
+  encryptWithPassphrase,
+  decryptWithPassphrase,
+  deriveCryptoKeys,
+  sealText,
+  openText,
+  isSealed
+} = require('./app.js');
+
+// Local time in January 2025 as an ISO string (2025-01-06 is a Monday)
+const at = (day, h = 0, m = 0) => new Date(2025, 0, day, h, m).toISOString();
 
 describe('msToHMS', () => {
   test('should convert milliseconds to HH:MM:SS format', () => {
@@ -52,6 +141,33 @@ describe('linkifyTask', () => {
     const expected = '&lt;important&gt; task <a href="https://example.com/tickets/123" target="_blank" rel="noopener noreferrer">#123</a>';
     expect(linkifyTask(text, settings)).toBe(expected);
   });
+
+  test('should not linkify inside escaped entities', () => {
+    expect(linkifyTask("it's done", settings)).toBe('it&#039;s done');
+  });
+});
+
+describe('linkifyTask with ticket rules', () => {
+  const settings = {
+    ticketRules: [
+      { type: 'prefix', pattern: '#', urlTemplate: 'https://github.com/o/r/issues/{id}', label: 'GH#{num}' },
+      { type: 'prefix', pattern: 'OPS-', urlTemplate: 'https://ops.example.com/browse/{id}' },
+      { type: 'regex', pattern: '[A-Z]+-([0-9]+)', urlTemplate: 'https://jira.example.com/browse/{match}' },
+    ]
+  };
+
+  test('should apply the first matching rule per token', () => {
+    expect(linkifyTask('OPS-7 and ABC-12 and #3', settings)).toBe(
+      '<a href="https://ops.example.com/browse/OPS-7" target="_blank" rel="noopener noreferrer">OPS-7</a> and '
+      + '<a href="https://jira.example.com/browse/ABC-12" target="_blank" rel="noopener noreferrer">ABC-12</a> and '
+      + '<a href="https://github.com/o/r/issues/3" target="_blank" rel="noopener noreferrer">GH#3</a>'
+    );
+  });
+
+  test('should ignore rules with invalid regular expressions', () => {
+    const broken = { ticketRules: [{ type: 'regex', pattern: '([', urlTemplate: 'x/{id}' }] };
+    expect(linkifyTask('ABC-1 <b>', broken)).toBe('ABC-1 &lt;b&gt;');
+  });
 });
 
 describe('loadSettings', () => {
@@ -81,19 +197,1043 @@ describe('loadSettings', () => {
 
   test('should return default settings if localStorage is empty', () => {
     const settings = loadSettings();
-    expect(settings).toEqual({ ticketUrlTemplate: '' });
+    expect(settings.ticketRules).toEqual([]);
+    expect(settings.tagSplit).toBe('each');
+    expect(settings).toMatchObject({ workStart: '09:00', workEnd: '18:00', idleMinutes: 180, reminderEnabled: false, reminderMinutes: 60 });
+  });
+
+  test('should normalize rounding settings', () => {
+    expect(loadSettings()).toMatchObject({ roundUnit: 0, roundMode: 'nearest', roundScope: 'row' });
+    window.localStorage.setItem('doneTime.settings', JSON.stringify({ roundUnit: '15', roundMode: 'up', roundScope: 'bogus' }));
+    expect(loadSettings()).toMatchObject({ roundUnit: 15, roundMode: 'up', roundScope: 'row' });
+  });
+
+  test('should leave the project separator off unless one is set', () => {
+    expect(loadSettings().projectSeparator).toBe('');
+    window.localStorage.setItem('doneTime.settings', JSON.stringify({ projectSeparator: ' / ' }));
+    expect(loadSettings().projectSeparator).toBe('/');
+    window.localStorage.setItem('doneTime.settings', JSON.stringify({ projectSeparator: ' ' }));
+    expect(loadSettings().projectSeparator).toBe('');
+  });
+
+  test('should normalize working hours and the idle threshold', () => {
+    window.localStorage.setItem('doneTime.settings', JSON.stringify({ workStart: '8:30', workEnd: '25:00', idleMinutes: '0' }));
+    expect(loadSettings()).toMatchObject({ workStart: '08:30', workEnd: '18:00', idleMinutes: 0 });
   });
 
   test('should load settings from localStorage if present', () => {
-    const storedSettings = { ticketUrlTemplate: 'http://jira.com/{id}' };
-    window.localStorage.setItem('doneTime.settings', JSON.stringify(storedSettings));
+    const rules = [{ type: 'prefix', pattern: 'ABC-', urlTemplate: 'http://jira.com/{id}', label: '' }];
+    window.localStorage.setItem('doneTime.settings', JSON.stringify({ ticketRules: rules }));
+    const settings = loadSettings();
+    expect(settings.ticketRules).toEqual(rules);
+  });
+
+  test('should migrate a legacy ticketUrlTemplate into rules', () => {
+    window.localStorage.setItem('doneTime.settings', JSON.stringify({ ticketUrlTemplate: 'http://jira.com/{id}' }));
     const settings = loadSettings();
-    expect(settings).toEqual(storedSettings);
+    expect(settings.ticketRules).toHaveLength(2);
+    expect(settings.ticketRules.every(r => r.urlTemplate === 'http://jira.com/{id}')).toBe(true);
+    expect(linkifyTask('#1 ABC-2', settings)).toBe(linkifyTask('#1 ABC-2', { ticketUrlTemplate: 'http://jira.com/{id}' }));
   });
 
   test('should handle invalid JSON in localStorage gracefully', () => {
     window.localStorage.setItem('doneTime.settings', 'this is not json');
     const settings = loadSettings();
-    expect(settings).toEqual({ ticketUrlTemplate: '' });
+    expect(settings.ticketRules).toEqual([]);
+  });
+});
+
+describe('parseBackup', () => {
+  test('should accept a versioned backup', () => {
+    const text = JSON.stringify({ format: BACKUP_FORMAT, version: 1, stores: { activities: [], recentInputs: [] } });
+    expect(parseBackup(text).stores.activities).toEqual([]);
+  });
+
+  test('should derive tag stores for backups without them', () => {
+    const recent = [{ text: 'A', tags: ['projA'] }, { text: 'B' }];
+    const data = parseBackup(JSON.stringify({ format: BACKUP_FORMAT, version: 1, stores: { activities: [], recentInputs: recent } }));
+    expect(data.stores.taskTags).toEqual([{ task: 'A', tags: ['projA'] }]);
+    expect(data.stores.tags).toEqual([{ name: 'projA' }]);
+  });
+
+  test('should reject invalid or foreign files', () => {
+    expect(() => parseBackup('not json')).toThrow();
+    expect(() => parseBackup(JSON.stringify({ data: [] }))).toThrow();
+    expect(() => parseBackup(JSON.stringify({ format: BACKUP_FORMAT, version: 99, stores: {} }))).toThrow();
+    expect(() => parseBackup(JSON.stringify({ format: BACKUP_FORMAT, version: 1, stores: { activities: {} } }))).toThrow();
+  });
+});
+
+describe('encrypted files', () => {
+  const fast = { iterations: 1000 };
+  const backupText = JSON.stringify({ format: BACKUP_FORMAT, version: 1, stores: { activities: [{ task: '顧客A 打合せ' }] } });
+
+  test('should round-trip a backup through a passphrase', async () => {
+    const file = await encryptWithPassphrase(backupText, 'correct horse', fast);
+    expect(isEncryptedFile(file)).toBe(true);
+    expect(file.kdf).toMatchObject({ name: 'PBKDF2', hash: 'SHA-256', iterations: 1000 });
+    expect(JSON.stringify(file)).not.toContain('顧客A');
+    expect(await decryptWithPassphrase(file, 'correct horse')).toBe(backupText);
+    const backup = await readBackupFile(JSON.stringify(file), 'correct horse');
+    expect(backup.stores.activities[0].task).toBe('顧客A 打合せ');
+  });
+
+  test('should reject a wrong or missing passphrase', async () => {
+    const file = await encryptWithPassphrase(backupText, 'correct horse', fast);
+    await expect(decryptWithPassphrase(file, 'wrong')).rejects.toThrow('パスフレーズが違う');
+    await expect(readBackupFile(JSON.stringify(file), '')).rejects.toThrow('パスフレーズを入力');
+    await expect(encryptWithPassphrase(backupText, '', fast)).rejects.toThrow();
+  });
+
+  test('should refuse files asking for an unbounded key derivation', async () => {
+    const file = await encryptWithPassphrase(backupText, 'correct horse', fast);
+    await expect(decryptWithPassphrase({ ...file, kdf: { ...file.kdf, iterations: 1e12 } }, 'correct horse')).rejects.toThrow('鍵導出の回数');
+    await expect(decryptWithPassphrase({ ...file, kdf: { ...file.kdf, iterations: 'x' } }, 'correct horse')).rejects.toThrow('鍵導出の回数');
+  });
+
+  test('should read plain backups without a passphrase', async () => {
+    expect((await readBackupFile(backupText, '')).stores.activities).toHaveLength(1);
+    await expect(readBackupFile('not json', '')).rejects.toThrow('JSON');
+  });
+});
+
+describe('sealed texts', () => {
+  test('should seal the same text to the same value and open it again', async () => {
+    const keys = await deriveCryptoKeys('pass', new Uint8Array(16), 1000);
+    const a = await sealText(keys, '顧客A/サイト改修');
+    expect(isSealed(a)).toBe(true);
+    expect(a).not.toContain('顧客A');
+    expect(await sealText(keys, '顧客A/サイト改修')).toBe(a);
+    expect(await sealText(keys, '顧客B')).not.toBe(a);
+    expect(await sealText(keys, a)).toBe(a);
+    expect(await openText(keys, a)).toBe('顧客A/サイト改修');
+  });
+
+  test('should pass plain text through and fail without the right keys', async () => {
+    const keys = await deriveCryptoKeys('pass', new Uint8Array(16), 1000);
+    const other = await deriveCryptoKeys('other', new Uint8Array(16), 1000);
+    expect(await sealText(null, '開始')).toBe('開始');
+    expect(await openText(keys, '開始')).toBe('開始');
+    const sealed = await sealText(keys, '開始');
+    await expect(openText(null, sealed)).rejects.toThrow();
+    await expect(openText(other, sealed)).rejects.toThrow('復号できません');
+  });
+});
+
+describe('findBackupConflicts', () => {
+  test('should report only same-endTime rows with different content', () => {
+    const existing = [
+      { task: 'A', startTime: '2025-01-01T00:00:00.000Z', endTime: '2025-01-01T01:00:00.000Z' },
+      { task: 'B', startTime: '2025-01-01T01:00:00.000Z', endTime: '2025-01-01T02:00:00.000Z' },
+    ];
+    const incoming = [
+      { task: 'A', startTime: '2025-01-01T00:00:00.000Z', endTime: '2025-01-01T01:00:00.000Z' },
+      { task: 'B2', startTime: '2025-01-01T01:00:00.000Z', endTime: '2025-01-01T02:00:00.000Z' },
+      { task: 'C', startTime: '2025-01-01T02:00:00.000Z', endTime: '2025-01-01T03:00:00.000Z' },
+    ];
+    const conflicts = findBackupConflicts(existing, incoming);
+    expect(conflicts).toHaveLength(1);
+    expect(conflicts[0].current.task).toBe('B');
+    expect(conflicts[0].incoming.task).toBe('B2');
+  });
+});
+
+describe('parseCsv', () => {
+  test('should handle BOM, quotes, escaped quotes and CRLF', () => {
+    const text = '\uFEFF"作業内容","開始時刻"\r\n"a, ""b""","x"\r\n\r\n';
+    expect(parseCsv(text)).toEqual([['作業内容', '開始時刻'], ['a, "b"', 'x']]);
+  });
+});
+
+describe('parseLocalDateTime', () => {
+  test('should round-trip fmtLocal output', () => {
+    const iso = new Date(2025, 0, 2, 9, 5, 7).toISOString();
+    expect(parseLocalDateTime(fmtLocal(iso))).toBe(iso);
+  });
+
+  test('should parse ja-style and seconds-less timestamps', () => {
+    expect(parseLocalDateTime('2025/1/2 9:05:07')).toBe(new Date(2025, 0, 2, 9, 5, 7).toISOString());
+    expect(parseLocalDateTime('2025/01/02 09:05')).toBe(new Date(2025, 0, 2, 9, 5, 0).toISOString());
+    expect(parseLocalDateTime('2025/1/2 午後1:00:00')).toBe(new Date(2025, 0, 2, 13, 0, 0).toISOString());
+  });
+
+  test('should reject invalid dates', () => {
+    expect(parseLocalDateTime('')).toBe('');
+    expect(parseLocalDateTime('2025/2/30 10:00:00')).toBe('');
+    expect(parseLocalDateTime('yesterday')).toBe('');
+  });
+});
+
+describe('buildImportPreview', () => {
+  const header = ['作業内容', '開始時刻', '完了時刻', '作業時間', 'タグ'];
+
+  test('should flag bad dates, reversed ranges and duplicate endTimes', () => {
+    const rows = buildImportPreview([
+      header,
+      ['ok', '2025/1/2 9:00:00', '2025/1/2 10:00:00', '01:00:00', ''],
+      ['bad', '2025/13/2 9:00:00', '2025/1/2 10:00:00', '', ''],
+      ['reversed', '2025/1/2 12:00:00', '2025/1/2 11:00:00', '', ''],
+      ['dup', '2025/1/2 9:30:00', '2025/1/2 10:00:00', '', ''],
+    ]);
+    expect(rows.map(r => r.errors.length > 0)).toEqual([false, true, true, true]);
+    expect(rows[0].line).toBe(2);
+    expect(rows[3].errors[0]).toContain('2行目');
+  });
+
+  test('should mark rows whose endTime already exists', () => {
+    const existing = [{ task: 'x', startTime: '', endTime: new Date(2025, 0, 2, 10, 0, 0, 123).toISOString() }];
+    const rows = buildImportPreview([header, ['ok', '2025/1/2 9:00:00', '2025/1/2 10:00:00']], existing);
+    expect(rows[0].existing).toBe(true);
+  });
+
+  test('should reject files without the expected columns', () => {
+    expect(() => buildImportPreview([['name', 'salary']])).toThrow();
+  });
+});
+
+describe('timeline', () => {
+
+  test('enumerateDays should list every day in range', () => {
+    expect(enumerateDays('2025-01-30', '2025-02-02')).toEqual(['2025-01-30', '2025-01-31', '2025-02-01', '2025-02-02']);
+    expect(enumerateDays('2025-01-02', '2025-01-01')).toEqual([]);
+  });
+
+  test('buildTimelineDays should split rows at midnight and keep empty days', () => {
+    const acts = [{ task: '開始', startTime: at(1, 20), endTime: at(2, 9) }];
+    const tags = new Map([['開始', ['集計対象外']]]);
+    const days = buildTimelineDays(acts, tags, '2025-01-01', '2025-01-03');
+    expect(days.map(d => d.segments.length)).toEqual([1, 1, 0]);
+    expect(days[0].segments[0]).toMatchObject({ startMin: 20 * 60, endMin: 24 * 60, excluded: true });
+    expect(days[1].segments[0]).toMatchObject({ startMin: 0, endMin: 9 * 60 });
+  });
+
+  test('buildTimelineDays should put overlapping rows on separate lanes', () => {
+    const acts = [
+      { task: 'A', startTime: at(1, 9), endTime: at(1, 11) },
+      { task: 'B', startTime: at(1, 10), endTime: at(1, 12) },
+      { task: 'C', startTime: at(1, 12), endTime: at(1, 13) },
+    ];
+    const [day] = buildTimelineDays(acts, new Map(), '2025-01-01', '2025-01-01');
+    expect(day.lanes).toBe(2);
+    expect(day.segments.map(s => s.lane)).toEqual([0, 1, 0]);
+  });
+
+  test('tagColor should be stable per tag', () => {
+    expect(tagColor('projA')).toBe(tagColor('projA'));
+    expect(tagColor('projA')).toMatch(/^hsl\(/);
+  });
+});
+
+describe('integrity checker', () => {
+  const A = { task: 'A', startTime: at(2, 9), endTime: at(2, 10) };
+  const B = { task: 'B', startTime: at(2, 9, 30), endTime: at(2, 11) };
+  const C = { task: 'C', startTime: at(2, 12), endTime: at(2, 12) };
+  const D = { task: 'D', startTime: at(2, 22), endTime: at(3, 1) };
+
+  test('checkIntegrity should find overlaps, gaps, zero-length and midnight rows', () => {
+    const types = checkIntegrity([D, C, B, A]).map(i => i.type);
+    expect(types).toEqual(['overlap', 'zero', 'gap', 'midnight', 'gap']);
+  });
+
+  test('a continuous chain should have no issues', () => {
+    const chain = [
+      { task: 'A', startTime: at(2, 9), endTime: at(2, 10) },
+      { task: 'B', startTime: at(2, 10), endTime: at(2, 11) },
+    ];
+    expect(checkIntegrity(chain)).toEqual([]);
+  });
+
+  test('overlap fixes should trim either side', () => {
+    const [issue] = checkIntegrity([A, B]);
+    expect(integrityFixes(issue).map(f => f.id)).toEqual(['trimNext', 'trimPrev']);
+    expect(planIntegrityFix(issue, 'trimNext').upsert[0]).toEqual({ ...B, startTime: A.endTime });
+    expect(planIntegrityFix(issue, 'trimPrev').upsert[0]).toEqual({ ...A, endTime: B.startTime });
+  });
+
+  test('contained overlaps can be split around the inner row', () => {
+    const inner = { task: 'I', startTime: at(2, 9, 15), endTime: at(2, 9, 45) };
+    const [issue] = checkIntegrity([A, inner]);
+    expect(integrityFixes(issue).map(f => f.id)).toEqual(['trimPrev', 'splitAround']);
+    const plan = planIntegrityFix(issue, 'splitAround');
+    expect(plan.upsert.map(r => [r.startTime, r.endTime])).toEqual([[A.startTime, inner.startTime], [inner.endTime, A.endTime]]);
+  });
+
+  test('gap fill needs a task and midnight rows split per day', () => {
+    const gap = checkIntegrity([A, { task: 'X', startTime: at(2, 11), endTime: at(2, 12) }])[0];
+    expect(() => planIntegrityFix(gap, 'fill')).toThrow();
+    expect(planIntegrityFix(gap, 'fill', { task: '休憩' }).upsert[0]).toEqual({ task: '休憩', startTime: A.endTime, endTime: at(2, 11) });
+
+    const midnight = checkIntegrity([D])[0];
+    const plan = planIntegrityFix(midnight, 'splitMidnight');
+    expect(plan.upsert.map(r => r.endTime)).toEqual([at(3, 0), D.endTime]);
+  });
+
+  test('split plans should keep the id on the first part only', () => {
+    const midnight = checkIntegrity([{ ...D, id: 7 }])[0];
+    const plan = planIntegrityFix(midnight, 'splitMidnight');
+    expect(plan.upsert.map(r => r.id)).toEqual([7, undefined]);
+  });
+
+  test('validatePlan should reject reversed rows', () => {
+    expect(() => validatePlan({ remove: [], upsert: [{ task: 'x', startTime: at(2, 10), endTime: at(2, 9) }] })).toThrow();
+  });
+});
+
+describe('reports', () => {
+  const acts = [
+    { task: '開始', startTime: at(5, 20), endTime: at(6, 9) },
+    { task: '設計', startTime: at(6, 9), endTime: at(6, 11) },
+    { task: '実装', startTime: at(6, 11), endTime: at(6, 12) },
+    { task: '実装', startTime: at(13, 9), endTime: at(13, 12) },
+  ];
+  const tags = new Map([['開始', ['集計対象外']], ['設計', ['projA']], ['実装', ['projA', 'dev']]]);
+
+  test('isoWeekKey should follow ISO 8601 week numbering', () => {
+    expect(isoWeekKey(new Date(2025, 0, 1).toISOString())).toBe('2025-W01');
+    expect(isoWeekKey(new Date(2024, 11, 30).toISOString())).toBe('2025-W01');
+    expect(isoWeekKey(new Date(2021, 0, 3).toISOString())).toBe('2020-W53');
+  });
+
+  test('buildReport should total per week and task, skipping excluded rows', () => {
+    const r = buildReport(acts, tags, { period: 'week', by: 'task' });
+    expect(r.periods).toEqual(['2025-W02', '2025-W03']);
+    expect(r.series).toEqual(['実装', '設計']);
+    expect(r.cells.get('2025-W02').get('設計')).toBe(2 * 3600000);
+    expect(r.total).toBe(6 * 3600000);
+  });
+
+  test('buildReport by tag should count a row toward each tag and respect the date range', () => {
+    const r = buildReport(acts, tags, { period: 'month', by: 'tag', from: '2025-01-06', to: '2025-01-06' });
+    expect(r.seriesTotals.get('projA')).toBe(3 * 3600000);
+    expect(r.seriesTotals.get('dev')).toBe(3600000);
+    expect(r.periodTotals.get('2025-01')).toBe(3 * 3600000);
+  });
+
+  test('reportToCsv and renderReportSvg should export the report', () => {
+    const r = buildReport(acts, tags, { period: 'day', by: 'task' });
+    const csv = reportToCsv(r);
+    expect(csv.split('\r\n')[0]).toBe('"期間","実装","設計","合計"');
+    expect(csv).toContain('"合計","04:00:00","02:00:00","06:00:00"');
+    const svg = renderReportSvg(r);
+    expect(svg.startsWith('<svg')).toBe(true);
+    expect((svg.match(/<rect /g) || []).length).toBe(3 + 2);
+  });
+
+  test('buildReport with rounding should add rounded totals to the table and CSV', () => {
+    const r = buildReport(acts, tags, { period: 'day', by: 'task', rounding: { roundUnit: 15, roundMode: 'up', roundScope: 'row' } });
+    expect(r.rounded.total).toBe(r.total);
+    const csv = reportToCsv(r);
+    expect(csv.split('\r\n')[0]).toBe('"期間","実装","設計","合計","実装（丸め後）","設計（丸め後）","合計（丸め後）"');
+    expect(buildReport(acts, tags, {}).rounded).toBeNull();
+  });
+
+  test('buildCsv should quote and escape fields', () => {
+    expect(buildCsv([['a"b', null, 1]])).toBe('"a""b","","1"\r\n');
+  });
+});
+
+describe('buildActivityRows', () => {
+  const acts = [
+    { task: '開始', startTime: at(5, 20), endTime: at(6, 9) },
+    { task: '設計', startTime: at(6, 9), endTime: at(6, 11) },
+    { task: '実装', startTime: at(6, 11), endTime: at(6, 12) },
+    { task: '実装', startTime: at(7, 9), endTime: at(7, 12) },
+    { task: '雑務', startTime: at(7, 12), endTime: at(7, 13) },
+  ];
+  const tags = new Map([['開始', ['集計対象外']], ['設計', ['projA']], ['実装', ['projA', 'dev']]]);
+  const summary = rows => rows.map(r => [r.task, r.duration]);
+
+  test('none should list rows in the date range', () => {
+    const rows = buildActivityRows(acts, tags, { from: '2025-01-06', to: '2025-01-06' });
+    expect(summary(rows)).toEqual([['開始', '13:00:00'], ['設計', '02:00:00'], ['実装', '01:00:00']]);
+  });
+
+  test('task should total by task text without excluded rows', () => {
+    const rows = buildActivityRows(acts, tags, { groupMode: 'task' });
+    expect(summary(rows)).toEqual([['設計', '02:00:00'], ['実装', '04:00:00'], ['雑務', '01:00:00']]);
+  });
+
+  test('tag should count each tag fully or split evenly', () => {
+    const each = buildActivityRows(acts, tags, { groupMode: 'tag' });
+    expect(summary(each)).toEqual([['projA', '06:00:00'], ['dev', '04:00:00'], ['(タグなし)', '01:00:00']]);
+    expect(each[2].tags).toEqual([]);
+
+    const split = buildActivityRows(acts, tags, { groupMode: 'tag', tagSplit: 'split' });
+    expect(summary(split)).toEqual([['projA', '04:00:00'], ['dev', '02:00:00'], ['(タグなし)', '01:00:00']]);
+  });
+
+  test('dayTag should total per day and tag', () => {
+    const rows = buildActivityRows(acts, tags, { groupMode: 'dayTag' });
+    expect(summary(rows)).toEqual([
+      ['projA', '03:00:00'], ['dev', '01:00:00'],
+      ['projA', '03:00:00'], ['dev', '03:00:00'], ['(タグなし)', '01:00:00'],
+    ]);
+    expect(rows[0].tags).toEqual(['projA']);
+  });
+  test('per-activity tags should override the task tags', () => {
+    const overridden = acts.map((a, i) => (i === 4 ? { ...a, tags: ['集計対象外'] } : i === 3 ? { ...a, tags: ['projB'] } : a));
+    const rows = buildActivityRows(overridden, tags, { groupMode: 'tag' });
+    expect(summary(rows)).toEqual([['projA', '03:00:00'], ['dev', '01:00:00'], ['projB', '03:00:00']]);
+  });
+});
+
+describe('projects', () => {
+  const acts = [
+    { task: '顧客A/改修/実装', startTime: at(6, 9), endTime: at(6, 11) },
+    { task: 'レビュー', project: '顧客A/改修', startTime: at(6, 11), endTime: at(6, 12) },
+    { task: '顧客A/保守', startTime: at(6, 13), endTime: at(6, 14) },
+    { task: '雑務', startTime: at(6, 14), endTime: at(6, 15) },
+  ];
+
+  test('taskPath should join the project field and the task text without duplicating', () => {
+    expect(taskPath(acts[0], '/')).toEqual(['顧客A', '改修', '実装']);
+    expect(taskPath(acts[1], '/')).toEqual(['顧客A', '改修', 'レビュー']);
+    expect(taskPath({ task: '顧客A/保守', project: '顧客A' }, '/')).toEqual(['顧客A', '保守']);
+    expect(taskPath(acts[0], '')).toEqual(['顧客A/改修/実装']);
+  });
+
+  test('buildTaskTreeRows should give subtotals per level in pre-order', () => {
+    const rows = buildTaskTreeRows(acts, '/');
+    expect(rows.map(r => [r.depth, r.name, r.duration, r.hasChildren])).toEqual([
+      [0, '顧客A', '04:00:00', true],
+      [1, '改修', '03:00:00', true],
+      [2, '実装', '02:00:00', false],
+      [2, 'レビュー', '01:00:00', false],
+      [1, '保守', '01:00:00', false],
+      [0, '雑務', '01:00:00', false],
+    ]);
+    expect(rows[1].task).toBe('顧客A/改修');
+  });
+
+  test('tree grouping should skip excluded rows and add rounded subtotals', () => {
+    const withStart = [{ task: '開始', startTime: at(6, 8), endTime: at(6, 9) }, ...acts.map(a => ({ ...a, endTime: new Date(new Date(a.endTime) - 10 * 60000).toISOString() }))];
+    const rows = buildActivityRows(withStart, new Map([['開始', ['集計対象外']]]), {
+      groupMode: 'tree', separator: '/', rounding: { roundUnit: 30, roundMode: 'up', roundScope: 'row' },
+    });
+    expect(rows.map(r => [r.name, r.duration, r.roundedDuration])).toEqual([
+      ['顧客A', '03:30:00', '04:00:00'],
+      ['改修', '02:40:00', '03:00:00'],
+      ['実装', '01:50:00', '02:00:00'],
+      ['レビュー', '00:50:00', '01:00:00'],
+      ['保守', '00:50:00', '01:00:00'],
+      ['雑務', '00:50:00', '01:00:00'],
+    ]);
+  });
+
+  test('renderTaskTree should nest details per level', () => {
+    document.body.innerHTML = `<div id="tree">${renderTaskTree(buildTaskTreeRows(acts, '/'))}</div>`;
+    const top = document.querySelectorAll('#tree > details, #tree > .tree-leaf');
+    expect(top).toHaveLength(2);
+    expect(top[0].open).toBe(true);
+    const nested = top[0].querySelector('.tree-children > details');
+    expect(nested.open).toBe(false);
+    expect(nested.querySelector('summary .tree-name').textContent).toBe('改修');
+    expect(Array.from(nested.querySelectorAll('.tree-leaf .tree-name')).map(e => e.textContent)).toEqual(['実装', 'レビュー']);
+  });
+
+  test('buildOptionsFromRecent should offer only texts of the chosen project', () => {
+    document.body.innerHTML = '<datalist id="taskOptions"></datalist>';
+    const recent = ['顧客A/改修/実装', 'レビュー', '雑務'].map((text, i) => ({ text, lastUsed: 10 - i }));
+    const projectOf = taskProjectResolver(acts, '/');
+    buildOptionsFromRecent(recent, { project: '顧客A', projectOf });
+    const values = () => Array.from(document.querySelectorAll('#taskOptions option')).map(o => o.value);
+    expect(values()).toEqual(['顧客A/改修/実装', 'レビュー']);
+    buildOptionsFromRecent(recent);
+    expect(values()).toEqual(['顧客A/改修/実装', 'レビュー', '雑務']);
+  });
+});
+
+describe('billing', () => {
+  const rates = billingRates([
+    { name: 'clientA', rate: 8000, currency: 'jpy' },
+    { name: 'clientB', rate: 60, currency: 'USD', priority: 1 },
+    { name: '社内', billable: false, priority: 5 },
+    { name: 'dev' },
+  ]);
+  const tagsMap = new Map([
+    ['開始', ['集計対象外']], ['設計', ['clientA']], ['実装', ['dev', 'clientA', 'clientB']], ['社内会議', ['clientA', '社内']],
+  ]);
+  const acts = [
+    { task: '開始', startTime: at(6, 8), endTime: at(6, 9) },
+    { task: '設計', startTime: at(6, 9), endTime: at(6, 10, 30) },
+    { task: '実装', startTime: at(6, 10, 30), endTime: at(6, 12) },
+    { task: '社内会議', startTime: at(6, 13), endTime: at(6, 14) },
+    { task: '設計', startTime: at(7, 9), endTime: at(7, 9, 20) },
+  ];
+
+  test('normalizeTagBilling should keep only tags with a rate or marked not billable', () => {
+    expect(normalizeTagBilling({ rate: '1500', currency: 'usd', priority: '2.7' })).toEqual({ rate: 1500, currency: 'USD', billable: true, priority: 2 });
+    expect(normalizeTagBilling({ rate: -1, currency: 'yen' })).toBeNull();
+    expect(normalizeTagBilling({ billable: false })).toEqual({ rate: 0, currency: 'JPY', billable: false, priority: 0 });
+    expect(Array.from(rates.keys())).toEqual(['clientA', 'clientB', '社内']);
+  });
+
+  test('billingFor should pick the highest priority, then the first tag', () => {
+    expect(billingFor(['dev', 'clientA', 'clientB'], rates).tag).toBe('clientB');
+    expect(billingFor(['clientA', '社内'], rates)).toMatchObject({ tag: '社内', billable: false });
+    const tie = billingRates([{ name: 'x', rate: 1 }, { name: 'y', rate: 2 }]);
+    expect(billingFor(['y', 'x'], tie).tag).toBe('y');
+    expect(billingFor(['dev'], rates)).toBeNull();
+  });
+
+  test('grouped rows should show billable time and amounts per currency', () => {
+    const rows = buildActivityRows(acts, tagsMap, { groupMode: 'task', rates });
+    expect(rows.map(r => [r.task, r.duration, r.billableDuration, r.amount])).toEqual([
+      ['実装', '01:30:00', '01:30:00', '$90.00'],
+      ['社内会議', '01:00:00', '00:00:00', '￥0'],
+      ['設計', '01:50:00', '01:50:00', '￥14,667'],
+    ]);
+    const none = buildActivityRows(acts, tagsMap, {});
+    expect(none[0]).toMatchObject({ billableDuration: '', amount: '' });
+  });
+
+  test('tag split should share the billing like the time', () => {
+    const rows = buildActivityRows(acts.slice(2, 3), tagsMap, { groupMode: 'tag', tagSplit: 'split', rates });
+    expect(rows.map(r => [r.task, r.billableDuration, r.amount])).toEqual([
+      ['dev', '00:30:00', '$30.00'], ['clientA', '00:30:00', '$30.00'], ['clientB', '00:30:00', '$30.00'],
+    ]);
+  });
+
+  test('billable time should follow rounding', () => {
+    const rows = buildActivityRows(acts, tagsMap, { groupMode: 'task', rates, rounding: { roundUnit: 30, roundMode: 'up', roundScope: 'row' } });
+    expect(rows.find(r => r.task === '設計')).toMatchObject({ billableDuration: '02:00:00', amount: '￥16,000' });
+  });
+
+  test('reports should total billable time and amounts per series', () => {
+    const report = buildReport(acts, tagsMap, { by: 'tag', rates });
+    expect(report.billing.seriesBillable.get('clientA')).toBe((3 * 60 + 20) * 60000);
+    expect(report.billing.seriesAmounts.get('clientB')).toEqual({ USD: 90 });
+    expect(formatAmounts(report.billing.amounts)).toBe('￥14,667 / $90.00');
+    const lines = reportToCsv(report).trim().split('\r\n');
+    expect(lines.slice(-2).map(l => l.split(',')[0])).toEqual(['"請求対象"', '"金額"']);
+    expect(buildReport(acts, tagsMap, {}).billing).toBeNull();
+  });
+
+  test('buildInvoice should give one line per rate with rounded amounts', () => {
+    const invoice = buildInvoice(acts, tagsMap, { from: '2025-01-06', to: '2025-01-06', rates });
+    expect(invoice.lines.map(l => [l.item, l.currency, l.ms / 60000, l.amount])).toEqual([
+      ['clientA', 'JPY', 90, 12000], ['clientB', 'USD', 90, 90],
+    ]);
+    expect(invoice.totals).toEqual({ JPY: 12000, USD: 90 });
+    expect(invoiceToCsv(invoice).split('\r\n')).toEqual([
+      '"期間","2025-01-06〜2025-01-06"',
+      '',
+      '"品目","時間","時間（h）","単価","通貨","金額"',
+      '"clientA","01:30:00","1.50","8000","JPY","12000"',
+      '"clientB","01:30:00","1.50","60","USD","90.00"',
+      '',
+      '"合計","","","","JPY","12000"',
+      '"合計","","","","USD","90.00"',
+      '',
+    ]);
+    expect(roundAmount(1.005, 'USD')).toBe(1.01);
+  });
+});
+
+describe('budgets', () => {
+  const tagsMap = new Map([['開始', ['集計対象外']], ['設計', ['projA']], ['実装', ['projA', 'dev']]]);
+  const budgets = normalizeBudgets([
+    { target: 'tag', name: 'projA', period: 'week', hours: 4 },
+    { target: 'task', name: '設計', period: 'day', hours: '1.5' },
+    { name: '', hours: 3 },
+    { name: 'x', hours: 0 },
+  ]);
+  // 2025-01-06 is a Monday (2025-W02); day -1 is 2024-12-30, which starts 2025-W01
+  const acts = [
+    { task: '設計', startTime: at(-1, 9), endTime: at(-1, 10) },
+    { task: '開始', startTime: at(6, 8), endTime: at(6, 9) },
+    { task: '設計', startTime: at(6, 9), endTime: at(6, 10) },
+    { task: '実装', startTime: at(7, 9), endTime: at(7, 11) },
+  ];
+  const now = new Date(2025, 0, 7, 12);
+
+  test('normalizeBudgets should drop incomplete budgets and default the period', () => {
+    expect(budgets).toEqual([
+      { target: 'tag', name: 'projA', period: 'week', hours: 4 },
+      { target: 'task', name: '設計', period: 'day', hours: 1.5 },
+    ]);
+    expect(normalizeBudgets([{ name: 'a', hours: 1, period: 'year' }])[0].period).toBe('week');
+    expect(budgetLabel(budgets[0])).toBe('タグ「projA」 4h/週');
+  });
+
+  test('budgetStatus should total the current period following tagSplit', () => {
+    const each = budgetStatus(acts, tagsMap, budgets, { now });
+    expect(each.map(s => [s.key, s.usedMs / 3600000, s.ratio])).toEqual([['2025-W02', 3, 0.75], ['2025-01-07', 0, 0]]);
+    const split = budgetStatus(acts, tagsMap, budgets, { now, tagSplit: 'split' });
+    expect(split[0].usedMs / 3600000).toBe(2);
+  });
+
+  test('budgetHistory should list every period from the first row to now, newest first', () => {
+    expect(budgetHistory(acts, tagsMap, budgets[0], { now }).map(h => [h.key, h.usedMs / 3600000])).toEqual([['2025-W02', 3], ['2025-W01', 1]]);
+    const days = budgetHistory(acts, tagsMap, budgets[1], { now }).map(h => [h.key, h.ratio]);
+    expect(days).toHaveLength(9);
+    expect(days.slice(0, 3)).toEqual([['2025-01-07', 0], ['2025-01-06', 2 / 3], ['2025-01-05', 0]]);
+    expect(days[days.length - 1]).toEqual(['2024-12-30', 2 / 3]);
+    // idle weeks up to now are listed too
+    const later = new Date(2025, 0, 21, 12);
+    expect(budgetHistory(acts, tagsMap, budgets[0], { now: later }).map(h => h.key)).toEqual(['2025-W04', '2025-W03', '2025-W02', '2025-W01']);
+  });
+
+  test('budgetCrossings should report the highest level crossed by a save', () => {
+    const before = budgetStatus(acts, tagsMap, budgets, { now });
+    const more = [...acts, { task: '設計', startTime: at(7, 11), endTime: at(7, 11, 30) }];
+    const after = budgetStatus(more, tagsMap, budgets, { now });
+    expect(budgetCrossings(before, after).map(c => [c.budget.name, c.level])).toEqual([['projA', 0.8]]);
+    const much = [...more, { task: '設計', startTime: at(7, 12), endTime: at(7, 14) }];
+    expect(budgetCrossings(before, budgetStatus(much, tagsMap, budgets, { now })).map(c => [c.budget.name, c.level]))
+      .toEqual([['projA', 1], ['設計', 1]]);
+    expect(budgetCrossings(after, after)).toEqual([]);
+  });
+
+  test('renderBudgetPanel should mark budgets past 80% and 100%', () => {
+    const statuses = budgetStatus(acts, tagsMap, budgets, { now });
+    statuses[1] = { ...statuses[1], usedMs: 2 * 3600000, ratio: 4 / 3 };
+    document.body.innerHTML = renderBudgetPanel(statuses, budgets.map(b => budgetHistory(acts, tagsMap, b, { now })));
+    const items = document.querySelectorAll('details.budget');
+    expect(Array.from(items).map(d => d.className)).toEqual(['budget', 'budget budget--over']);
+    expect(items[0].querySelector('.budget-value').textContent).toBe('03:00:00 / 04:00:00（75%）');
+    expect(items[1].querySelector('.budget-bar span').style.width).toBe('100%');
+    expect(items[0].querySelectorAll('tbody tr')).toHaveLength(2);
+  });
+});
+
+describe('filter views', () => {
+  // 2025-01-08 is a Wednesday
+  const now = new Date(2025, 0, 8, 10, 0);
+
+  test('datePresetRange should give local ranges with weeks starting on Monday', () => {
+    expect(datePresetRange('today', now)).toEqual({ from: '2025-01-08', to: '2025-01-08' });
+    expect(datePresetRange('yesterday', now)).toEqual({ from: '2025-01-07', to: '2025-01-07' });
+    expect(datePresetRange('thisWeek', now)).toEqual({ from: '2025-01-06', to: '2025-01-12' });
+    expect(datePresetRange('lastWeek', now)).toEqual({ from: '2024-12-30', to: '2025-01-05' });
+    expect(datePresetRange('thisMonth', now)).toEqual({ from: '2025-01-01', to: '2025-01-31' });
+    expect(datePresetRange('lastMonth', now)).toEqual({ from: '2024-12-01', to: '2024-12-31' });
+    expect(datePresetRange('thisWeek', new Date(2025, 0, 12))).toEqual({ from: '2025-01-06', to: '2025-01-12' });
+    expect(datePresetRange('', now)).toBeNull();
+  });
+
+  test('normalizeView should drop unknown values and viewRange should follow presets', () => {
+    expect(normalizeView({ name: 'x', preset: 'bogus', from: '1/2', groupMode: 'bogus', search: 'abc' }))
+      .toEqual({ name: 'x', preset: '', from: '', to: '', groupMode: 'none', search: 'abc' });
+    expect(viewRange(normalizeView({ preset: 'today', from: '2020-01-01', to: '2020-01-01' }), now))
+      .toEqual({ from: '2025-01-08', to: '2025-01-08' });
+    expect(viewRange(normalizeView({ from: '2020-01-01', to: '2020-01-31' }), now))
+      .toEqual({ from: '2020-01-01', to: '2020-01-31' });
+  });
+
+  test('upsertView should replace a view with the same name in place', () => {
+    const saved = upsertView(upsertView([], { name: 'a', groupMode: 'tag' }), { name: 'b' });
+    const replaced = upsertView(saved, { name: 'a', groupMode: 'task' });
+    expect(replaced.map(v => [v.name, v.groupMode])).toEqual([['a', 'task'], ['b', 'none']]);
+  });
+
+  test('loadViews/saveViews should round-trip and survive broken storage', () => {
+    localStorage.clear();
+    expect(loadViews()).toEqual({ saved: [], last: null });
+    saveViews({ saved: [{ name: '今週のタグ', preset: 'thisWeek', groupMode: 'tag' }, { name: '' }], last: { search: 'ABC' } });
+    const views = loadViews();
+    expect(views.saved.map(v => v.name)).toEqual(['今週のタグ']);
+    expect(views.last.search).toBe('ABC');
+    localStorage.setItem('doneTime.views', '{broken');
+    expect(loadViews()).toEqual({ saved: [], last: null });
+  });
+});
+
+describe('activity search query', () => {
+  const tagsMap = new Map([['ABC-12 実装', ['projA']], ['レビュー会議', ['projA', 'meeting']], ['休憩', ['集計対象外']]]);
+  const acts = [
+    { id: 1, task: 'ABC-12 実装', startTime: at(1, 9), endTime: at(1, 10) },
+    { id: 2, task: 'レビュー会議', startTime: at(1, 10), endTime: at(1, 10, 20) },
+    { id: 3, task: '休憩', startTime: at(1, 12), endTime: at(1, 13) },
+    { id: 4, task: 'XYZ-3 調査 (ABC-7)', startTime: at(20, 9), endTime: at(20, 11) },
+  ];
+  const ids = (q) => acts.filter(a => matchesQuery(a, parseActivityQuery(q), tagsMap)).map(a => a.id);
+
+  test('should combine field terms with AND and support negation', () => {
+    expect(ids('')).toEqual([1, 2, 3, 4]);
+    expect(ids('tag:projA')).toEqual([1, 2]);
+    expect(ids('tag:projA -tag:meeting')).toEqual([1]);
+    expect(ids('-tag:集計対象外')).toEqual([1, 2, 4]);
+    expect(ids('task:"レビュー"')).toEqual([2]);
+    expect(ids('dur>30m')).toEqual([1, 3, 4]);
+    expect(ids('dur>=1h dur<1.5h')).toEqual([1, 3]);
+    expect(ids('date:2025-01-01..2025-01-15')).toEqual([1, 2, 3]);
+    expect(ids('date:2025-01-20')).toEqual([4]);
+    expect(ids('date:..2025-01-01 ticket:ABC-*')).toEqual([1]);
+    expect(ids('ticket:abc-*')).toEqual([1, 4]);
+  });
+
+  test('plain words should match task text or tags, like the old search box', () => {
+    expect(ids('meeting')).toEqual([2]);
+    expect(ids('"ABC-12 実装"')).toEqual([1]);
+    expect(ids('-調査')).toEqual([1, 2, 3]);
+  });
+
+  test('should report syntax errors', () => {
+    expect(() => parseActivityQuery('task:"レビュー')).toThrow('閉じられていません');
+    expect(() => parseActivityQuery('foo:bar')).toThrow('不明な項目');
+    expect(() => parseActivityQuery('dur>abc')).toThrow('時間の形式');
+    expect(() => parseActivityQuery('dur:30m')).toThrow('dur には');
+    expect(() => parseActivityQuery('tag>x')).toThrow('tag には');
+    expect(() => parseActivityQuery('date:2026/10/01')).toThrow('日付の形式');
+    expect(() => parseActivityQuery('tag:')).toThrow('値がありません');
+  });
+
+  test('tagQueryTerm should quote tags with spaces', () => {
+    expect(tagQueryTerm('projA')).toBe('tag:projA');
+    expect(tagQueryTerm('Project A')).toBe('tag:"Project A"');
+    expect(parseActivityQuery(tagQueryTerm('Project A'))).toEqual([{ type: 'tag', neg: false, value: 'Project A' }]);
+  });
+
+  test('buildActivityRows should apply the query before grouping', () => {
+    const rows = buildActivityRows(acts, tagsMap, { query: parseActivityQuery('-tag:meeting'), groupMode: 'tag' });
+    expect(rows.map(r => [r.task, r.duration])).toEqual([['projA', '01:00:00'], ['(タグなし)', '02:00:00']]);
+  });
+});
+
+describe('rounding', () => {
+  // One day: A 7m, A 8m, B 22m, C 38m, then 開始 (excluded) 10m
+  let t = new Date(2025, 0, 6, 9).getTime();
+  const row = (task, min) => {
+    const a = { task, startTime: new Date(t).toISOString(), endTime: new Date(t + min * 60000).toISOString() };
+    t += min * 60000;
+    return a;
+  };
+  const acts = [row('A', 7), row('A', 8), row('B', 22), row('C', 38)];
+  const minutes = (map) => acts.map(a => map.get(a) / 60000);
+  const total = (map) => minutes(map).reduce((s, m) => s + m, 0);
+
+  test('apportion should keep the total and break ties by order', () => {
+    expect(apportion([15, 22, 38], 5, 1)).toEqual([1, 1, 3]);
+    expect(apportion([1, 1, 1], 2, 1)).toEqual([1, 1, 0]);
+    expect(apportion([0, 0], 3, 1)).toEqual([3, 0]);
+    expect(apportion([], 3, 1)).toEqual([]);
+  });
+
+  test('row scope should round each row', () => {
+    expect(minutes(roundActivities(acts, { roundUnit: 15, roundMode: 'nearest', roundScope: 'row' }))).toEqual([0, 15, 15, 45]);
+    expect(minutes(roundActivities(acts, { roundUnit: 6, roundMode: 'up', roundScope: 'row' }))).toEqual([12, 12, 24, 42]);
+    expect(minutes(roundActivities(acts, { roundUnit: 15, roundMode: 'down', roundScope: 'row' }))).toEqual([0, 0, 15, 30]);
+    expect(roundActivities(acts, { roundUnit: 0 })).toBeNull();
+  });
+
+  test('taskDay scope should round each task total and spread it over its rows', () => {
+    const map = roundActivities(acts, { roundUnit: 15, roundMode: 'up', roundScope: 'taskDay' });
+    expect(minutes(map)).toEqual([7, 8, 30, 45]);
+    expect(total(map)).toBe(90);
+  });
+
+  test('day scope should reconcile the task amounts with the rounded daily total', () => {
+    const map = roundActivities(acts, { roundUnit: 15, roundMode: 'up', roundScope: 'day' });
+    expect(total(map)).toBe(75);
+    expect(minutes(map)).toEqual([7, 8, 15, 45]);
+    const down = roundActivities(acts, { roundUnit: 10, roundMode: 'down', roundScope: 'day' });
+    expect(total(down)).toBe(70);
+    // same input, same result
+    expect(minutes(roundActivities(acts.slice().reverse(), { roundUnit: 10, roundMode: 'down', roundScope: 'day' }))).toEqual(minutes(down));
+  });
+
+  test('buildActivityRows should show raw and rounded durations, skipping excluded rows', () => {
+    const all = [...acts, row('開始', 10)];
+    const tagsMap = new Map([['開始', ['集計対象外']]]);
+    const rounding = { roundUnit: 15, roundMode: 'up', roundScope: 'day' };
+    const detail = buildActivityRows(all, tagsMap, { rounding });
+    expect(detail.map(r => r.roundedDuration)).toEqual(['00:07:00', '00:08:00', '00:15:00', '00:45:00', '']);
+    const grouped = buildActivityRows(all, tagsMap, { groupMode: 'task', rounding });
+    expect(grouped.map(r => [r.task, r.duration, r.roundedDuration])).toEqual([
+      ['A', '00:15:00', '00:15:00'], ['B', '00:22:00', '00:15:00'], ['C', '00:38:00', '00:45:00']
+    ]);
+    expect(buildActivityRows(all, tagsMap, {})[0].roundedDuration).toBe('');
+  });
+
+  test('a search should not change the rounded time of the rows it keeps', () => {
+    const rounding = { roundUnit: 15, roundMode: 'up', roundScope: 'day' };
+    const rows = buildActivityRows(acts, new Map(), { rounding, query: parseActivityQuery('task:B') });
+    expect(rows.map(r => [r.task, r.roundedDuration])).toEqual([['B', '00:15:00']]);
+  });
+});
+
+describe('exporters', () => {
+  const tagsMap = new Map([['設計 | 方針', ['projA', 'dev']]]);
+  const acts = [
+    { id: 1, task: '設計 | 方針', startTime: '2025-01-06T00:00:00.000Z', endTime: '2025-01-06T01:00:00.000Z' },
+    { id: 2, task: '会議;定例,週次', startTime: '2025-01-06T01:00:00.000Z', endTime: '2025-01-06T01:30:00.000Z', tags: ['meeting'] },
+  ];
+  const records = exportRecords(buildActivityRows(acts, tagsMap, {}), tagsMap);
+
+  test('exportRecords should carry the tags shown in the table', () => {
+    expect(records.map(r => r.tags)).toEqual([['projA', 'dev'], ['meeting']]);
+    const grouped = exportRecords(buildActivityRows(acts, tagsMap, { groupMode: 'tag' }), tagsMap);
+    expect(grouped.map(r => [r.task, r.tags, r.duration])).toEqual([
+      ['projA', ['projA'], '01:00:00'], ['dev', ['dev'], '01:00:00'], ['meeting', ['meeting'], '00:30:00']
+    ]);
+    expect(grouped[0].id).toBeUndefined();
+  });
+
+  test('activitiesToJson should include the filter, tags and rounded durations only when rounding', () => {
+    const now = new Date(Date.UTC(2025, 0, 7));
+    const data = JSON.parse(activitiesToJson(records, { filter: { groupMode: 'none' }, now }));
+    expect(data.exportedAt).toBe('2025-01-07T00:00:00.000Z');
+    expect(data.filter).toEqual({ groupMode: 'none' });
+    expect(data.rows[0]).toEqual({ id: 1, task: '設計 | 方針', startTime: acts[0].startTime, endTime: acts[0].endTime, duration: '01:00:00', tags: ['projA', 'dev'] });
+    expect(JSON.parse(activitiesToJson(records, { rounded: true })).rows[0].roundedDuration).toBe('');
+  });
+
+  test('activitiesToMarkdown should escape pipes', () => {
+    const lines = activitiesToMarkdown(records).trim().split('\n');
+    expect(lines[0]).toBe('| 作業内容 | 開始時刻 | 完了時刻 | 作業時間 | タグ |');
+    expect(lines[1]).toBe('| --- | --- | --- | --- | --- |');
+    expect(lines[2]).toBe(`| 設計 \\| 方針 | ${fmtLocal(acts[0].startTime)} | ${fmtLocal(acts[0].endTime)} | 01:00:00 | projA dev |`);
+    expect(activitiesToMarkdown(records, { rounded: true }).split('\n')[0]).toContain('| 丸め後 |');
+  });
+
+  test('activitiesToTsv should write one tab-separated line per row', () => {
+    const lines = activitiesToTsv([{ ...records[0], task: 'a\tb\nc' }]).split('\r\n');
+    expect(lines[0]).toBe('作業内容\t開始時刻\t完了時刻\t作業時間\tタグ');
+    expect(lines[1].split('\t')).toEqual(['a b c', fmtLocal(acts[0].startTime), fmtLocal(acts[0].endTime), '01:00:00', 'projA dev']);
+    expect(lines[2]).toBe('');
+  });
+
+  test('activitiesToIcs should write escaped UTC events', () => {
+    const ics = activitiesToIcs(records, { now: new Date(Date.UTC(2025, 0, 7)) });
+    const lines = ics.split('\r\n');
+    expect(lines.slice(0, 2)).toEqual(['BEGIN:VCALENDAR', 'VERSION:2.0']);
+    expect(lines).toContain('UID:activity-2@doneTime');
+    expect(lines).toContain('DTSTART:20250106T010000Z');
+    expect(lines).toContain('DTEND:20250106T013000Z');
+    expect(lines).toContain('SUMMARY:会議\\;定例\\,週次');
+    expect(lines).toContain('CATEGORIES:projA,dev');
+    expect(lines).toContain('DTSTAMP:20250107T000000Z');
+    expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+  });
+
+  test('foldIcsLine should keep lines within 75 octets without splitting characters', () => {
+    const folded = foldIcsLine('SUMMARY:' + 'あ'.repeat(40));
+    const parts = folded.split('\r\n');
+    expect(parts.length).toBe(2);
+    parts.forEach(p => expect(Buffer.byteLength(p)).toBeLessThanOrEqual(75));
+    expect(parts[1].startsWith(' ')).toBe(true);
+    expect(parts.map((p, i) => (i ? p.slice(1) : p)).join('')).toBe('SUMMARY:' + 'あ'.repeat(40));
+    expect(foldIcsLine('SHORT')).toBe('SHORT');
+  });
+});
+
+describe('import presets', () => {
+  const fs = require('fs');
+  const path = require('path');
+  const golden = (name) => fs.readFileSync(path.join(__dirname, '__fixtures__', name), 'utf8');
+  const tagsMap = new Map([['開始', ['集計対象外']], ['ABC-12 実装', ['projA', 'dev']], ['昼会議', ['meeting']]]);
+  const acts = [
+    { id: 1, task: '開始', startTime: at(6, 8, 50), endTime: at(6, 9) },
+    { id: 2, task: 'ABC-12 実装', startTime: at(6, 9), endTime: at(6, 10, 30) },
+    { id: 3, task: 'XYZ-3 調査, "検証"', startTime: at(6, 10, 30), endTime: at(6, 11, 15) },
+    { id: 4, task: '昼会議', startTime: at(6, 11, 15), endTime: at(6, 11, 52) },
+  ];
+  const settings = {
+    ticketRules: [{ type: 'regex', pattern: '[A-Z][A-Z0-9_]*-[0-9]+', urlTemplate: 'https://jira.example.com/browse/{id}' }],
+    projectRules: [{ query: 'tag:projA', project: 'Project A' }, { query: 'ticket:XYZ-*', project: 'XYZ' }],
+    exportEmail: 'me@example.com',
+  };
+  const rows = buildActivityRows(acts, tagsMap, {});
+
+  test.each(['toggl', 'clockify', 'jira'])('%s CSV should match the golden file', (preset) => {
+    expect(buildPresetCsv(preset, rows, tagsMap, settings).csv).toBe(golden(`${preset}.csv`));
+  });
+
+  test('Jira should skip rows without a ticket key and report them', () => {
+    const { count, skipped } = buildPresetCsv('jira', rows, tagsMap, settings);
+    expect([count, skipped]).toEqual([2, 1]);
+  });
+
+  test('ticketKey should use the ticket link rules', () => {
+    expect(ticketKey('fix #12 and ABC-3', settings)).toBe('ABC-3');
+    expect(ticketKey('fix #12', { ticketRules: [{ type: 'prefix', pattern: '#', urlTemplate: 'x/{id}' }] })).toBe('#12');
+    expect(ticketKey('ABC-3', {})).toBe('');
+  });
+
+  test('projectResolver should use the first matching rule and skip invalid ones', () => {
+    const projectOf = projectResolver({ projectRules: [{ query: 'foo:bar', project: 'Broken' }, ...settings.projectRules, { query: 'ABC', project: 'Late' }] }, tagsMap);
+    expect(acts.map(projectOf)).toEqual(['', 'Project A', 'XYZ', '']);
+  });
+
+  test('presets should use rounded durations when rounding is on', () => {
+    const rounded = buildActivityRows(acts, tagsMap, { rounding: { roundUnit: 15, roundMode: 'up', roundScope: 'row' } });
+    const lines = buildPresetCsv('toggl', rounded, tagsMap, settings).csv.split('\r\n');
+    expect(lines[3]).toContain('"00:45:00"');
+  });
+});
+
+describe('undo history', () => {
+  const entry = (n) => ({ label: `e${n}`, changes: [{ store: 'activities', before: null, after: { id: n } }] });
+
+  test('pushHistory should cap the stack, clear redo and skip empty entries', () => {
+    const h = createHistory();
+    h.redo.push(entry(0));
+    for (let i = 1; i <= HISTORY_LIMIT + 2; i++) pushHistory(h, entry(i));
+    expect(h.undo).toHaveLength(HISTORY_LIMIT);
+    expect(h.undo[0].label).toBe('e3');
+    expect(h.redo).toEqual([]);
+    expect(pushHistory(h, { label: 'none', changes: [] })).toBe(false);
+  });
+
+  test('diffSnapshots should report added, changed and removed records', () => {
+    const before = { recentInputs: [{ text: 'a', pinned: false }, { text: 'b' }] };
+    const after = { recentInputs: [{ text: 'a', pinned: true }, { text: 'c' }] };
+    expect(diffSnapshots(before, after)).toEqual([
+      { store: 'recentInputs', before: { text: 'a', pinned: false }, after: { text: 'a', pinned: true } },
+      { store: 'recentInputs', before: { text: 'b' }, after: null },
+      { store: 'recentInputs', before: null, after: { text: 'c' } },
+    ]);
+  });
+});
+
+describe('split and merge', () => {
+  const a = { id: 1, task: 'ABC-12 実装', startTime: at(6, 9), endTime: at(6, 11) };
+  const b = { id: 2, task: 'レビュー', startTime: at(6, 11), endTime: at(6, 12) };
+  const c = { id: 3, task: '雑務', startTime: at(6, 12), endTime: at(6, 12, 30) };
+
+  test('planSplit should give each part its own task name', () => {
+    const plan = planSplit(a, [at(6, 10)], ['ABC-12 実装', 'ABC-13 調査']);
+    expect(plan.remove).toEqual([a]);
+    expect(plan.upsert).toEqual([
+      { id: 1, task: 'ABC-12 実装', startTime: at(6, 9), endTime: at(6, 10) },
+      { task: 'ABC-13 調査', startTime: at(6, 10), endTime: at(6, 11) },
+    ]);
+  });
+
+  test('planMerge should span both rows and keep the first id', () => {
+    expect(planMerge(a, b)).toEqual({ remove: [a, b], upsert: [{ ...a, endTime: at(6, 12) }] });
+  });
+
+  test('adjacentActivity should follow endTime order', () => {
+    const acts = [c, a, b];
+    expect(adjacentActivity(acts, b, -1)).toBe(a);
+    expect(adjacentActivity(acts, b, 1)).toBe(c);
+    expect(adjacentActivity(acts, a, -1)).toBeNull();
+    expect(adjacentActivity(acts, c, 1)).toBeNull();
+  });
+});
+
+describe('workday start detection', () => {
+  const opts = { workStart: '09:00', workEnd: '18:00', idleMinutes: 180 };
+
+  test('a save after the next workday start suggests 開始 at the start time', () => {
+    expect(detectWorkdayGap(at(6, 18, 30), at(7, 10, 5), opts)).toEqual({ reason: 'newDay', choice: 'start', at: at(7, 9) });
+  });
+
+  test('crossing midnight before the workday start is still a new day', () => {
+    expect(detectWorkdayGap(at(6, 23), at(7, 0, 40), opts)).toEqual({ reason: 'newDay', choice: 'start', at: at(7, 0, 30) });
+  });
+
+  test('long gaps suggest 休憩 during working hours and 開始 after them', () => {
+    expect(detectWorkdayGap(at(6, 12), at(6, 16, 20), opts)).toEqual({ reason: 'idle', choice: 'break', at: at(6, 16, 15) });
+    expect(detectWorkdayGap(at(6, 18, 10), at(6, 22), opts).choice).toBe('start');
+    expect(detectWorkdayGap(at(6, 12), at(6, 14), opts)).toBeNull();
+    expect(detectWorkdayGap(at(6, 12), at(6, 16, 20), { ...opts, idleMinutes: 0 })).toBeNull();
+  });
+
+  test('planWorkdaySave should insert a filler row or move the start', () => {
+    const last = at(6, 18);
+    const now = at(7, 10);
+    expect(planWorkdaySave(last, now, 'X', 'start', at(7, 9)).upsert).toEqual([
+      { task: '開始', startTime: last, endTime: at(7, 9) },
+      { task: 'X', startTime: at(7, 9), endTime: now },
+    ]);
+    expect(planWorkdaySave(last, now, 'X', 'break', at(7, 9)).upsert[0].task).toBe('休憩');
+    expect(planWorkdaySave(last, now, 'X', 'shift', at(7, 9)).upsert).toEqual([{ task: 'X', startTime: at(7, 9), endTime: now }]);
+    expect(planWorkdaySave(last, now, 'X', 'keep').upsert).toEqual([{ task: 'X', startTime: last, endTime: now }]);
+    expect(() => planWorkdaySave(last, now, 'X', 'start', at(6, 17))).toThrow();
+    expect(() => planWorkdaySave(last, now, 'X', 'shift', at(7, 11))).toThrow();
+    // moving the start before the previous row would overlap it
+    expect(() => planWorkdaySave(last, now, 'X', 'shift', at(6, 17))).toThrow('前回の保存より後');
+  });
+});
+
+describe('formatElapsed', () => {
+  test('should measure from the last end time using the given clock', () => {
+    const last = { task: 'ABC-1 実装', endTime: '2025-01-06T09:00:00.000Z' };
+    expect(formatElapsed(last, Date.parse('2025-01-06T09:42:13.000Z'))).toEqual({ hms: '00:42:13', minutes: 42, task: 'ABC-1 実装' });
+    expect(formatElapsed(last, Date.parse('2025-01-06T08:00:00.000Z')).hms).toBe('00:00:00');
+    expect(formatElapsed(null)).toBeNull();
+  });
+});
+
+describe('parseQuickTime', () => {
+  const now = new Date(2025, 0, 6, 15, 0).getTime();
+
+  test('should parse offsets, end clocks and ranges', () => {
+    expect(parseQuickTime('-10m 会議', now)).toEqual({ task: '会議', startTime: null, endTime: at(6, 14, 50) });
+    expect(parseQuickTime('-1h30m 会議', now).endTime).toBe(at(6, 13, 30));
+    expect(parseQuickTime('@14:30 レビュー', now)).toEqual({ task: 'レビュー', startTime: null, endTime: at(6, 14, 30) });
+    expect(parseQuickTime('14:00-14:30 面談', now)).toEqual({ task: '面談', startTime: at(6, 14), endTime: at(6, 14, 30) });
+    // 全角入力
+    expect(parseQuickTime('＠９：３０　朝会', now).endTime).toBe(at(6, 9, 30));
+    expect(parseQuickTime('9:00〜9:30 朝会', now).startTime).toBe(at(6, 9));
+  });
+
+  test('should leave plain text alone', () => {
+    expect(parseQuickTime('ABC-1 実装', now)).toBeNull();
+    expect(parseQuickTime('-1 件対応', now)).toBeNull();
+    expect(parseQuickTime('14:00 定例', now)).toBeNull();
+    expect(parseQuickTime('', now)).toBeNull();
+  });
+
+  test('should reject times that cannot be saved', () => {
+    expect(() => parseQuickTime('@16:00 未来', now)).toThrow('未来');
+    expect(() => parseQuickTime('14:30-14:00 逆', now)).toThrow('開始時刻');
+    expect(() => parseQuickTime('@25:00 変', now)).toThrow('形式');
+    expect(() => parseQuickTime('-10m', now)).toThrow('作業内容');
+  });
+});
+
+describe('resolveQuickTime', () => {
+  const acts = [
+    { id: 1, task: 'A', startTime: at(6, 9), endTime: at(6, 10) },
+    { id: 2, task: 'B', startTime: at(6, 10), endTime: at(6, 12) }
+  ];
+
+  test('should start at the end of the latest row before it', () => {
+    expect(resolveQuickTime(acts, { startTime: null, endTime: at(6, 12, 30) })).toEqual({ startTime: at(6, 12), endTime: at(6, 12, 30) });
+    expect(resolveQuickTime([], { startTime: null, endTime: at(6, 8) })).toEqual({ startTime: at(6, 8), endTime: at(6, 8) });
+    expect(resolveQuickTime(acts, { startTime: at(6, 12, 30), endTime: at(6, 13) }).startTime).toBe(at(6, 12, 30));
+  });
+
+  test('should reject overlaps with existing rows', () => {
+    expect(() => resolveQuickTime(acts, { startTime: null, endTime: at(6, 11) })).toThrow('「B」');
+    expect(() => resolveQuickTime(acts, { startTime: at(6, 8, 30), endTime: at(6, 9, 30) })).toThrow('「A」');
+    expect(resolveQuickTime(acts, { startTime: at(6, 8), endTime: at(6, 9) }).endTime).toBe(at(6, 9));
+  });
+});
+
+describe('reminders', () => {
+  const ms = (h, m = 0) => Date.parse(at(6, h, m));
+  const settings = { reminderEnabled: true, reminderMinutes: 60, workStart: '09:00', workEnd: '18:00' };
+
+  test('withinWorkingHours should support ranges across midnight', () => {
+    expect(withinWorkingHours(new Date(at(6, 9)), '09:00', '18:00')).toBe(true);
+    expect(withinWorkingHours(new Date(at(6, 18)), '09:00', '18:00')).toBe(false);
+    expect(withinWorkingHours(new Date(at(6, 23)), '22:00', '06:00')).toBe(true);
+    expect(withinWorkingHours(new Date(at(6, 12)), '22:00', '06:00')).toBe(false);
+  });
+
+  test('shouldRemind should wait N minutes, skip breaks and off hours, and repeat', () => {
+    const last = { task: '実装', endTime: at(6, 10) };
+    expect(shouldRemind(last, ms(10, 59), settings)).toBe(false);
+    expect(shouldRemind(last, ms(11), settings)).toBe(true);
+    expect(shouldRemind(last, ms(11, 30), settings, ms(11))).toBe(false);
+    expect(shouldRemind(last, ms(12), settings, ms(11))).toBe(true);
+    expect(shouldRemind({ task: '休憩', endTime: at(6, 10) }, ms(12), settings)).toBe(false);
+    expect(shouldRemind({ task: '実装', endTime: at(6, 17) }, ms(19), settings)).toBe(false);
+    expect(shouldRemind(last, ms(12), { ...settings, reminderEnabled: false })).toBe(false);
+  });
+
+  test('reminderTasks should offer the most recently used countable tasks', () => {
+    const recent = [
+      { text: '開始', lastUsed: 30 },
+      { text: 'A', lastUsed: 10 },
+      { text: 'B', lastUsed: 20 },
+      { text: 'C', lastUsed: 5 },
+    ];
+    expect(reminderTasks(recent, new Map([['開始', ['集計対象外']]]))).toEqual(['B', 'A']);
   });
 });
@@ -1,4 +1,4 @@
-const CACHE_NAME = 'done-time-cache-v2';
+const CACHE_NAME = 'done-time-cache-v4';
 const ASSETS = [
   'index.html',
   'css/style.css',
@@ -25,15 +25,23 @@ self.addEventListener('activate', (event) => {
   self.clients.claim();
 });
 
+// Only the app's own files are cached. Everything else (the sync endpoint, PUTs, other origins)
+// goes straight to the network, so a cached copy can never stand in for fresh data.
+const ASSET_URLS = new Set(ASSETS.map(a => new URL(a, self.location).href));
+
 self.addEventListener('fetch', (event) => {
   const req = event.request;
-  // Network-first for navigation; cache-first for others
+  if (req.method !== 'GET') return;
+  const url = new URL(req.url);
+  if (url.origin !== self.location.origin) return;
+  // Network-first for navigation; cache-first for the app's files
   if (req.mode === 'navigate') {
     event.respondWith(
       fetch(req).catch(() => caches.match('index.html'))
     );
     return;
   }
+  if (!ASSET_URLS.has(`${url.origin}${url.pathname}`)) return;
   event.respondWith(
     caches.match(req).then(cached => cached || fetch(req).then(res => {
       const copy = res.clone();
@@ -42,3 +50,22 @@ self.addEventListener('fetch', (event) => {
     }).catch(() => cached))
   );
 });
+
+// Reminder notifications are shown by the page (see app.js). A click focuses the app
+// with the task input ready; the "log" actions save a recent task in an open window, or
+// put it in the input of a newly opened one.
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const data = event.notification.data || {};
+  const task = (event.action && data.actions && data.actions[event.action]) || '';
+  event.waitUntil((async () => {
+    const clients = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    const client = clients[0];
+    if (client) {
+      await client.focus();
+      client.postMessage(task ? { type: 'doneTime.logTask', task } : { type: 'doneTime.focusInput' });
+      return;
+    }
+    await self.clients.openWindow(task ? `index.html?task=${encodeURIComponent(task)}` : 'index.html');
+  })());
+});